@@ -0,0 +1,163 @@
+/**
+ * alert_manager.js
+ * Escalating drowsiness alerts · soft chime → loud alarm → full-screen flash, with acknowledge, snooze and mute
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="alert_manager.js"></script>
+ *
+ * Exposes window.TCNAlerts (or module.exports in Node):
+ *   - createAlertManager({ output, escalation, clearS, reArmS, snoozeS, snoozeCooldownS })
+ *       Pure state machine: call update(t, { drowsy, nod, closure, faceLost }) once per frame with the session clock.
+ *       `output` receives setLevel(level, info) whenever the level changes (0 = quiet).
+ *   - createWebAlertOutput({ flashEl, barEl, barText })
+ *       Browser output: WebAudio chime/alarm and the flash overlay. Honors a persisted mute flag.
+ *
+ * Levels: 1 = soft chime (repeats), 2 = loud alarm, 3 = alarm + full-screen flash.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNAlerts = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const LEVEL_NAMES = ["quiet", "chime", "alarm", "flash"];
+  const MUTE_KEY = "dd_alert_muted";
+
+  // Seconds of continuous alert condition before each level kicks in
+  const DEFAULT_ESCALATION = [0, 3, 6];
+
+  function createAlertManager({
+    output = null,
+    escalation = DEFAULT_ESCALATION,
+    clearS = 1.0,          // condition must be false this long before an episode ends
+    reArmS = 10.0,         // after acknowledge, a still-drowsy driver is alerted again after this long
+    snoozeS = 60.0,        // how long a snooze silences alerts
+    snoozeCooldownS = 300.0 // minimum time between the end of one snooze and the next
+  } = {}) {
+    let level = 0, reason = null;
+    let episodeStart = null, lastActiveT = -Infinity;
+    let ackUntil = -Infinity;
+    let snoozeUntil = -Infinity, nextSnoozeAt = -Infinity;
+    let lastT = 0;
+
+    function setLevel(next, t) {
+      if (next === level) return;
+      level = next;
+      output?.setLevel(level, { t, reason, name: LEVEL_NAMES[level] });
+    }
+
+    function levelFor(elapsed) {
+      let l = 0;
+      for (let i = 0; i < escalation.length; i++) if (elapsed >= escalation[i]) l = i + 1;
+      return l;
+    }
+
+    return {
+      /**
+       * Advances the alert state.
+       * @param {number} t  session clock in seconds
+       * @param {{drowsy?:boolean, nod?:boolean, closure?:boolean, faceLost?:boolean}} cond  current detector states
+       */
+      update(t, cond) {
+        lastT = t;
+        const active = !!(cond.drowsy || cond.nod || cond.closure || cond.faceLost);
+        if (active) {
+          reason = cond.nod ? "nod" : cond.closure ? "eyeClosure" : cond.faceLost ? "faceLost" : "drowsy";
+          lastActiveT = t;
+          if (episodeStart === null) episodeStart = t;
+        } else if (episodeStart !== null && t - lastActiveT >= clearS) {
+          episodeStart = null; ackUntil = -Infinity;
+        }
+
+        if (episodeStart === null || t < ackUntil || t < snoozeUntil) { setLevel(0, t); return level; }
+        // After an acknowledge expires the escalation restarts from the chime
+        const from = Math.max(episodeStart, ackUntil, snoozeUntil);
+        setLevel(levelFor(t - from), t);
+        return level;
+      },
+
+      /** Driver confirms they are awake: silence this episode for reArmS. */
+      acknowledge(t = lastT) {
+        if (episodeStart === null) return false;
+        ackUntil = t + reArmS;
+        setLevel(0, t);
+        return true;
+      },
+
+      /** Silences alerts for snoozeS unless a snooze ended less than snoozeCooldownS ago. */
+      snooze(t = lastT) {
+        if (t < nextSnoozeAt) return false;
+        snoozeUntil = t + snoozeS;
+        nextSnoozeAt = snoozeUntil + snoozeCooldownS;
+        setLevel(0, t);
+        return true;
+      },
+
+      canSnooze(t = lastT) { return t >= nextSnoozeAt; },
+      snoozeRemaining(t = lastT) { return Math.max(0, snoozeUntil - t); },
+      getLevel() { return level; },
+      getReason() { return level ? reason : null; },
+
+      reset() {
+        episodeStart = null; lastActiveT = -Infinity; ackUntil = -Infinity;
+        snoozeUntil = -Infinity; nextSnoozeAt = -Infinity; reason = null;
+        setLevel(0, lastT);
+      }
+    };
+  }
+
+  /* ===================== Browser output (WebAudio + overlay) ===================== */
+  function createWebAlertOutput({ flashEl = null, barEl = null, barText = null } = {}) {
+    let audioCtx = null, chimeTimer = null, alarmTimer = null;
+    let muted = false;
+    try { muted = localStorage.getItem(MUTE_KEY) === "1"; } catch { /* storage unavailable */ }
+
+    function ctx() {
+      if (!audioCtx) {
+        const AC = window.AudioContext || window.webkitAudioContext;
+        if (!AC) return null;
+        audioCtx = new AC();
+      }
+      if (audioCtx.state === "suspended") audioCtx.resume();
+      return audioCtx;
+    }
+
+    function tone(freq, durS, { type = "sine", gain = 0.15, at = 0 } = {}) {
+      const ac = ctx(); if (!ac || muted) return;
+      const t0 = ac.currentTime + at;
+      const osc = ac.createOscillator(), g = ac.createGain();
+      osc.type = type; osc.frequency.value = freq;
+      g.gain.setValueAtTime(0, t0);
+      g.gain.linearRampToValueAtTime(gain, t0 + 0.02);
+      g.gain.exponentialRampToValueAtTime(1e-4, t0 + durS);
+      osc.connect(g).connect(ac.destination);
+      osc.start(t0); osc.stop(t0 + durS + 0.05);
+    }
+    const chime = () => { tone(880, 0.35, { gain: 0.12 }); tone(1320, 0.5, { gain: 0.10, at: 0.18 }); };
+    const alarmBeep = () => { tone(1000, 0.22, { type: "square", gain: 0.35 }); tone(750, 0.22, { type: "square", gain: 0.35, at: 0.25 }); };
+
+    function stopSounds() {
+      clearInterval(chimeTimer); clearInterval(alarmTimer);
+      chimeTimer = null; alarmTimer = null;
+    }
+
+    return {
+      /** Call from a user gesture (e.g. Start) so the browser lets the AudioContext play later. */
+      unlock() { ctx(); },
+      isMuted() { return muted; },
+      setMuted(m) {
+        muted = !!m;
+        try { localStorage.setItem(MUTE_KEY, muted ? "1" : "0"); } catch { /* storage unavailable */ }
+      },
+      setLevel(level, info) {
+        stopSounds();
+        if (level === 1) { chime(); chimeTimer = setInterval(chime, 3000); }
+        if (level >= 2) { alarmBeep(); alarmTimer = setInterval(alarmBeep, 600); }
+        flashEl && flashEl.classList.toggle("active", level >= 3);
+        if (barEl) barEl.classList.toggle("active", level > 0);
+        if (barText) barText.textContent = level ? `Alert: ${info.reason} (${LEVEL_NAMES[level]})` : "";
+      }
+    };
+  }
+
+  return { LEVEL_NAMES, DEFAULT_ESCALATION, createAlertManager, createWebAlertOutput };
+});
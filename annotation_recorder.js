@@ -0,0 +1,196 @@
+/**
+ * annotation_recorder.js
+ * Ground-truth annotation for retraining · labeled intervals, raw 15 Hz feature rows, crop thumbnails, export
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="annotation_recorder.js"></script>
+ *
+ * Exposes window.TCNAnnotations (or module.exports in Node):
+ *   - LABELS            ["alert", "drowsy", "talking", "other"]; the index is the class id in the export
+ *   - BINARY            label → tcn_coarse_binary target (drowsy 1, alert/talking 0, other null = not used)
+ *   - createAnnotator({ featOrder, hz, windowLen, stride, thumbEveryS })
+ *       mark(label, t)    starts an interval; the same label again ends it, another label ends it and starts its own
+ *       endInterval(t)    ends the open interval (if any)
+ *       pushRow(t, row)   raw (pre-μ/σ) grid row; a gap longer than 1.5 grid steps starts a new segment
+ *       breakSegment()    forces a new segment (e.g. the monitored person changed)
+ *       wantsThumb(t) / addThumb(t, crops)  keeps one eye/mouth crop per thumbEveryS inside labeled intervals
+ *       setWindowLen(n), setNorm(mu, sigma), reset()
+ *       summary()         counts kept as rows arrive and intervals close (cheap enough to call every second)
+ *       toExport(meta)    builds the windows below; the only call that walks the whole session
+ *
+ * Export (JSON, schema "snoozenet.annotations", version 1):
+ *   { featOrder, hz, windowLen, stride, labels, binary, norm: { mu, sigma } | null, meta,
+ *     intervals: [{ label, t0, t1 }],
+ *     segments: [{ t0, rows: [[F numbers], …] }]        raw rows; row k is at t0 + k / hz
+ *     thumbs:   [{ t, eye, mouth }]                     { width, height, gray: base64 uint8, row-major } or null
+ *     windows:  [{ segment, end, t, label, labelIndex, binary, coverage, thumb }] }
+ * A window is rows[end - windowLen, end) of its segment, taken every `stride` rows; it is labeled by the interval
+ * containing its last row (the frame the TCN verdict belongs to), and `coverage` is the share of its rows inside
+ * that interval. In Python:
+ *     X = np.stack([np.asarray(d["segments"][w["segment"]]["rows"][w["end"] - d["windowLen"]:w["end"]]) for w in d["windows"]])
+ *     if d["norm"]: X = (X - np.asarray(d["norm"]["mu"])) / np.maximum(np.asarray(d["norm"]["sigma"]), 1e-3)
+ * which is the normalization realtime_tcn.js applies before the TCN.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNAnnotations = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.annotations";
+  const VERSION = 1;
+  const LABELS = ["alert", "drowsy", "talking", "other"];
+  const BINARY = { alert: 0, drowsy: 1, talking: 0, other: null };
+
+  const round6 = v => Math.round(v * 1e6) / 1e6;
+
+  function toBase64(bytes) {
+    if (typeof Buffer !== "undefined") return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64");
+    let s = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(s);
+  }
+
+  // Crops arrive as RGBA of a grayscale image (R = G = B); keep one channel, as the CNNs see it
+  function grayThumb(crop) {
+    if (!crop) return null;
+    const gray = new Uint8Array(crop.width * crop.height);
+    for (let i = 0; i < gray.length; i++) gray[i] = crop.data[i * 4];
+    return { width: crop.width, height: crop.height, gray };
+  }
+
+  function createAnnotator({ featOrder, hz = 15, windowLen = 90, stride = 15, thumbEveryS = 1.0 } = {}) {
+    if (!Array.isArray(featOrder) || !featOrder.length) throw new Error("createAnnotator: featOrder is required");
+    const step = 1 / hz;
+    let intervals = [], active = null, segments = [], thumbs = [], norm = null, lastRowT = null, lastThumbT = -Infinity;
+    let broken = false; // next row starts a new segment
+    // Kept as rows arrive and intervals close, so summary() stays O(1) over a long session
+    let rowCount = 0, windowCount = 0, closedSeconds = Object.fromEntries(LABELS.map(l => [l, 0]));
+
+    function labelAt(t) {
+      if (active && t >= active.t0) return active;
+      return intervals.find(iv => t >= iv.t0 && t <= iv.t1) || null;
+    }
+
+    function closeActive(t) {
+      if (!active) return null;
+      const iv = { label: active.label, t0: active.t0, t1: Math.max(t, active.t0) };
+      intervals.push(iv); active = null;
+      closedSeconds[iv.label] += iv.t1 - iv.t0;
+      return iv;
+    }
+
+    // Interval labeling a window that ends at t: closed intervals first, then the open one, which runs up to the
+    // last row (the newest row is inside it by definition). Intervals are appended in time order, so the search
+    // stops at the first one ending before t.
+    function intervalAt(t, newest = false) {
+      for (let i = intervals.length - 1; i >= 0 && intervals[i].t1 >= t; i--) if (t >= intervals[i].t0) return intervals[i];
+      const t1 = lastRowT ?? active?.t0;
+      if (active && t >= active.t0 && (newest || t <= t1)) return { label: active.label, t0: active.t0, t1 };
+      return null;
+    }
+
+    function countWindows() {
+      let n = 0;
+      for (const seg of segments) for (let end = windowLen; end <= seg.rows.length; end += stride) if (intervalAt(seg.t0 + (end - 1) * step)) n++;
+      return n;
+    }
+
+    // Nearest thumbnail within one second of t (thumbs are in time order), or null
+    function nearestThumb(t) {
+      let lo = 0, hi = thumbs.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (thumbs[mid].t < t) lo = mid + 1; else hi = mid; }
+      let thumb = null, best = 1.0;
+      for (const ti of [lo - 1, lo]) {
+        if (ti < 0 || ti >= thumbs.length) continue;
+        const d = Math.abs(thumbs[ti].t - t);
+        if (d <= best) { best = d; thumb = ti; }
+      }
+      return thumb;
+    }
+
+    function buildWindows() {
+      const windows = [];
+      segments.forEach((seg, si) => {
+        for (let end = windowLen; end <= seg.rows.length; end += stride) {
+          const tEnd = seg.t0 + (end - 1) * step;
+          const iv = intervalAt(tEnd);
+          if (!iv) continue;
+          let inside = 0;
+          for (let k = end - windowLen; k < end; k++) { const tk = seg.t0 + k * step; if (tk >= iv.t0 && tk <= iv.t1) inside++; }
+          const thumb = nearestThumb(tEnd);
+          windows.push({
+            segment: si, end, t: round6(tEnd), label: iv.label, labelIndex: LABELS.indexOf(iv.label),
+            binary: BINARY[iv.label], coverage: round6(inside / windowLen), thumb
+          });
+        }
+      });
+      return windows;
+    }
+
+    return {
+      /** Toggles `label` at time t; returns the label now open, or null. */
+      mark(label, t) {
+        if (!LABELS.includes(label)) throw new Error(`Unknown annotation label "${label}". Expected one of: ${LABELS.join(", ")}`);
+        const prev = active?.label;
+        closeActive(t);
+        if (prev !== label) active = { label, t0: t };
+        return active ? active.label : null;
+      },
+      endInterval(t) { return closeActive(t); },
+      getActive() { return active ? { ...active } : null; },
+      getIntervals() { return intervals.slice(); },
+
+      pushRow(t, row) {
+        let seg = segments[segments.length - 1];
+        if (!seg || broken || t - lastRowT > 1.5 * step) { seg = { t0: t, rows: [] }; segments.push(seg); broken = false; }
+        seg.rows.push(Array.from(row, round6));
+        lastRowT = t; rowCount++;
+        const n = seg.rows.length;
+        if (n >= windowLen && (n - windowLen) % stride === 0 && intervalAt(seg.t0 + (n - 1) * step, true)) windowCount++;
+      },
+      breakSegment() { broken = true; },
+
+      wantsThumb(t) { return !!labelAt(t) && t - lastThumbT >= thumbEveryS; },
+      addThumb(t, crops) {
+        if (!crops || (!crops.eye && !crops.mouth)) return;
+        thumbs.push({ t, eye: grayThumb(crops.eye), mouth: grayThumb(crops.mouth) });
+        lastThumbT = t;
+      },
+
+      /** Window length follows the active TCN (model sets may differ); applies to the next summary/export. */
+      setWindowLen(n) { if (n !== windowLen) { windowLen = n; windowCount = countWindows(); } },
+      setNorm(mu, sigma) { norm = mu && sigma ? { mu: Array.from(mu, round6), sigma: Array.from(sigma, round6) } : null; },
+
+      summary() {
+        const seconds = { ...closedSeconds };
+        if (active && lastRowT !== null) seconds[active.label] += Math.max(0, lastRowT - active.t0);
+        return {
+          active: active ? active.label : null, intervals: intervals.length + (active ? 1 : 0), seconds,
+          rows: rowCount, windows: windowCount, thumbs: thumbs.length
+        };
+      },
+
+      /** The export object; an interval still open is included up to the last row. */
+      toExport(meta = {}) {
+        const all = active ? [...intervals, { label: active.label, t0: active.t0, t1: lastRowT ?? active.t0 }] : intervals;
+        const thumbOut = th => th && { width: th.width, height: th.height, gray: toBase64(th.gray) };
+        return {
+          schema: SCHEMA, version: VERSION, createdAt: new Date().toISOString(),
+          featOrder: featOrder.slice(), hz, windowLen, stride, labels: LABELS.slice(), binary: { ...BINARY },
+          norm, meta,
+          intervals: all.map(iv => ({ label: iv.label, t0: round6(iv.t0), t1: round6(iv.t1) })),
+          segments: segments.map(s => ({ t0: round6(s.t0), rows: s.rows })),
+          thumbs: thumbs.map(th => ({ t: round6(th.t), eye: thumbOut(th.eye), mouth: thumbOut(th.mouth) })),
+          windows: buildWindows()
+        };
+      },
+
+      reset() {
+        intervals = []; active = null; segments = []; thumbs = []; norm = null; lastRowT = null; lastThumbT = -Infinity;
+        broken = false; rowCount = 0; windowCount = 0; closedSeconds = Object.fromEntries(LABELS.map(l => [l, 0]));
+      }
+    };
+  }
+
+  return { SCHEMA, VERSION, LABELS, BINARY, createAnnotator };
+});
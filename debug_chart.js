@@ -0,0 +1,210 @@
+/**
+ * debug_chart.js
+ * Debug trend chart · TCN probability + selectable feature series, threshold lines, event markers, pause/scrub
+ *
+ * Usage (in HTML, after Chart.js and before realtime_tcn.js):
+ * <script src="debug_chart.js"></script>
+ *
+ * Exposes window.TCNDebugChart (or module.exports in Node):
+ *   - SCALES         ["raw", "norm", "both"]: selected features as recorded, μ/σ z-scores, or both (z dashed)
+ *   - MARKER_TYPES   { blink, yawn, nod, drowsyOn, drowsyOff } → { color, text }
+ *   - createDebugChart({ canvas, Chart, featNames, getConfig, historyS, spanS })
+ *       push({ t, prob, raw, norm })  one processed frame; prob null while warming up, raw/norm Float32Arrays in
+ *                                     featNames order or null (no face / μ/σ not captured yet)
+ *       marker(type, t)               vertical marker at t (a MARKER_TYPES key)
+ *       setFeatures(names), setScale(scale), setSpan(seconds)
+ *       pause(), resume(), isPaused(), scrub(fraction)  while paused, fraction 0…1 moves the view from the oldest
+ *                                     kept span to the newest; returns the view's end time
+ *       render()                      redraws the current view (callers skip it while the chart is hidden)
+ *       reset()                       drops the history (new session)
+ *
+ * Axes: "y" is probability (TCN output, ON/OFF_THRESH, and the probability-valued features with their EYE_CLOSE_T
+ * / MOUTH_ON_T / MOUTH_OFF_T lines), "y2" the other raw features (pitch_adj with the NOD_PITCH_* lines), "yz" z-scores.
+ * Threshold lines are read from getConfig() at every draw, so config changes show up immediately. The x axis is
+ * seconds relative to the view's end. History older than historyS is dropped.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNDebugChart = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCALES = ["raw", "norm", "both"];
+  const MARKER_TYPES = {
+    blink: { color: "#8fd3ff", text: "B" },
+    yawn: { color: "#d29922", text: "Y" },
+    nod: { color: "#c586ff", text: "N" },
+    drowsyOn: { color: "#ff4b4b", text: "D▲" },
+    drowsyOff: { color: "#3fff9e", text: "D▼" }
+  };
+
+  // Features whose raw value is a probability share the TCN axis, so their thresholds line up
+  const PROB_FEATURES = new Set(["eye_open_unified", "ema_eye_open_1s", "ema_eye_open_5s", "yawn_prob_ema_1s"]);
+  const THRESHOLD_LINES = [
+    { key: "ON_THRESH", color: "#ff4b4b" },
+    { key: "OFF_THRESH", color: "#ff9e4b" },
+    { key: "EYE_CLOSE_T", feature: "eye_open_unified", color: "#8fd3ff" },
+    { key: "MOUTH_ON_T", feature: "yawn_prob_ema_1s", color: "#d29922" },
+    { key: "MOUTH_OFF_T", feature: "yawn_prob_ema_1s", color: "#a87a1b" },
+    { key: "NOD_PITCH_ON_DEG", feature: "pitch_adj", color: "#c586ff" },
+    { key: "NOD_PITCH_OFF_DEG", feature: "pitch_adj", color: "#8e5fc0" }
+  ];
+  const PALETTE = ["#8fd3ff", "#d29922", "#c586ff", "#ff9ecf", "#9ee6a5", "#ffd866", "#78dce8", "#fc9867"];
+
+  function createDebugChart({ canvas, Chart, featNames, getConfig = () => ({}), historyS = 120, spanS = 10 } = {}) {
+    if (!canvas || !Chart) throw new Error("createDebugChart: canvas and Chart are required");
+    if (!Array.isArray(featNames) || !featNames.length) throw new Error("createDebugChart: featNames is required");
+    let samples = [], markers = [];
+    let features = [], scale = "raw", paused = false, viewEnd = null;
+    const datasets = new Map(); // reused across renders so legend visibility toggles stick
+
+    const axisOf = name => (PROB_FEATURES.has(name) ? "y" : "y2");
+    const colorOf = name => PALETTE[featNames.indexOf(name) % PALETTE.length];
+
+    function dataset(key, make) {
+      if (!datasets.has(key)) datasets.set(key, { data: [], pointRadius: 0, borderWidth: 1.5, tension: 0.15, ...make() });
+      return datasets.get(key);
+    }
+
+    function visibleLines() {
+      const cfg = getConfig() || {};
+      const showRaw = scale !== "norm";
+      return THRESHOLD_LINES
+        .filter(l => Number.isFinite(cfg[l.key]) && (!l.feature || (showRaw && features.includes(l.feature))))
+        .map(l => ({ ...l, value: cfg[l.key], axis: l.feature ? axisOf(l.feature) : "y" }));
+    }
+
+    const markerPlugin = {
+      id: "tcnDebugMarkers",
+      afterDatasetsDraw(chart) {
+        const { ctx, chartArea: area, scales } = chart;
+        ctx.save();
+        ctx.font = "10px monospace";
+        ctx.lineWidth = 1;
+        for (const l of visibleLines()) {
+          const s = scales[l.axis];
+          if (!s) continue;
+          const y = s.getPixelForValue(l.value);
+          if (y < area.top || y > area.bottom) continue;
+          ctx.strokeStyle = l.color; ctx.fillStyle = l.color; ctx.setLineDash([6, 4]);
+          ctx.beginPath(); ctx.moveTo(area.left, y); ctx.lineTo(area.right, y); ctx.stroke();
+          ctx.textAlign = "right"; ctx.textBaseline = "bottom";
+          ctx.fillText(l.key, area.right - 2, y - 1);
+        }
+        ctx.setLineDash([]);
+        ctx.textAlign = "center"; ctx.textBaseline = "top";
+        const { min, max } = scales.x;
+        for (const m of markers) {
+          if (m.t < min || m.t > max) continue;
+          const x = scales.x.getPixelForValue(m.t), style = MARKER_TYPES[m.type];
+          ctx.strokeStyle = style.color; ctx.fillStyle = style.color;
+          ctx.beginPath(); ctx.moveTo(x, area.top + 12); ctx.lineTo(x, area.bottom); ctx.stroke();
+          ctx.fillText(style.text, x, area.top);
+        }
+        ctx.restore();
+      }
+    };
+
+    const tickColor = "#c4ffd2", gridColor = "#123";
+    const chart = new Chart(canvas.getContext("2d"), {
+      type: "line",
+      data: { datasets: [] },
+      options: {
+        animation: false,
+        parsing: false,
+        normalized: true,
+        responsive: true,
+        scales: {
+          x: {
+            type: "linear",
+            ticks: { color: tickColor, maxTicksLimit: 7, callback(v) { return `${(v - this.max).toFixed(0)}s`; } },
+            grid: { color: gridColor }
+          },
+          y: { min: 0, max: 1, ticks: { color: tickColor }, grid: { color: gridColor } },
+          y2: { position: "right", display: "auto", ticks: { color: tickColor }, grid: { drawOnChartArea: false } },
+          yz: { position: "right", display: "auto", title: { display: true, text: "z", color: tickColor }, ticks: { color: tickColor }, grid: { drawOnChartArea: false } }
+        },
+        plugins: { legend: { labels: { color: "#7ab891", boxWidth: 12 } } }
+      },
+      plugins: [markerPlugin]
+    });
+
+    function lastT() { return samples.length ? samples[samples.length - 1].t : 0; }
+
+    function trim() {
+      const cutoff = lastT() - historyS;
+      let i = 0;
+      while (i < samples.length && samples[i].t < cutoff) i++;
+      if (i) samples = samples.slice(i);
+      let j = 0;
+      while (j < markers.length && markers[j].t < cutoff) j++;
+      if (j) markers = markers.slice(j);
+    }
+
+    function render() {
+      const end = paused && viewEnd !== null ? viewEnd : lastT();
+      const start = end - spanS;
+      const inView = samples.filter(s => s.t >= start && s.t <= end);
+      const series = [dataset("prob", () => ({ label: "TCN prob", borderColor: "#3fff9e", borderWidth: 2, yAxisID: "y" }))];
+      series[0].data = inView.map(s => ({ x: s.t, y: s.prob }));
+      for (const name of features) {
+        const i = featNames.indexOf(name);
+        if (scale !== "norm") {
+          const d = dataset(`raw:${name}`, () => ({ label: name, borderColor: colorOf(name), yAxisID: axisOf(name) }));
+          d.data = inView.map(s => ({ x: s.t, y: s.raw ? s.raw[i] : null }));
+          series.push(d);
+        }
+        if (scale !== "raw") {
+          const d = dataset(`norm:${name}`, () => ({ label: `${name} (z)`, borderColor: colorOf(name), borderDash: [4, 3], yAxisID: "yz" }));
+          d.data = inView.map(s => ({ x: s.t, y: s.norm ? s.norm[i] : null }));
+          series.push(d);
+        }
+      }
+      chart.data.datasets = series;
+      chart.options.scales.x.min = start;
+      chart.options.scales.x.max = end;
+      chart.update("none");
+    }
+
+    return {
+      push({ t, prob = null, raw = null, norm = null }) {
+        samples.push({ t, prob, raw, norm });
+        trim();
+      },
+      marker(type, t) {
+        if (!MARKER_TYPES[type]) throw new Error(`Unknown marker "${type}". Expected one of: ${Object.keys(MARKER_TYPES).join(", ")}`);
+        markers.push({ type, t });
+      },
+
+      setFeatures(names) {
+        const unknown = names.filter(n => !featNames.includes(n));
+        if (unknown.length) throw new Error(`Unknown feature(s): ${unknown.join(", ")}`);
+        features = names.slice();
+      },
+      getFeatures() { return features.slice(); },
+      setScale(s) {
+        if (!SCALES.includes(s)) throw new Error(`Unknown scale "${s}". Expected one of: ${SCALES.join(", ")}`);
+        scale = s;
+      },
+      setSpan(seconds) {
+        if (!(seconds > 0 && seconds <= historyS)) throw new Error(`Span must be within 0…${historyS} s`);
+        spanS = seconds;
+      },
+
+      pause() { paused = true; viewEnd = lastT(); },
+      resume() { paused = false; viewEnd = null; },
+      isPaused() { return paused; },
+      scrub(fraction) {
+        if (!paused || !samples.length) return null;
+        const first = samples[0].t, last = lastT();
+        const lo = Math.min(first + spanS, last);
+        viewEnd = lo + (last - lo) * Math.min(1, Math.max(0, fraction));
+        return viewEnd;
+      },
+
+      render,
+      reset() { samples = []; markers = []; viewEnd = null; }
+    };
+  }
+
+  return { SCALES, MARKER_TYPES, createDebugChart };
+});
@@ -0,0 +1,136 @@
+/**
+ * face_tracker.js
+ * Multi-face identity tracking and monitored-subject selection · IoU matching, stable IDs, sticky subject
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="face_tracker.js"></script>
+ *
+ * Exposes window.TCNFaceTracker (or module.exports in Node):
+ *   - createFaceTracker({ minIoU, maxMissS })
+ *       update(t, faces) takes every FaceMesh landmark set of the frame and returns the visible tracks
+ *       [{ id, box, landmarks, firstSeen, lastSeen }]; a track keeps its id while it overlaps its last box
+ *       and is forgotten after maxMissS without a match. has(id) tells whether a track is still alive.
+ *   - createSubjectSelector({ rule, maxBaselineCost })
+ *       select(tracks, tracker) → the monitored track or null. Rules:
+ *         "largest"   biggest face box
+ *         "baseline"  closest to the subject's position/size when the baseline was taken (largest until then);
+ *                     faces further than maxBaselineCost (≈ one face width off, or a very different size) are
+ *                     never picked, so a passenger is not monitored while the driver is out of frame
+ *       pin(id) makes a clicked face the subject regardless of rule. Once chosen, the subject is kept while its
+ *       track is alive: if it is only briefly missed select() returns null (the face is "absent", never swapped
+ *       for a passenger); only when its track is forgotten is a new subject chosen by the rule.
+ *       subjectChanged() is true when the last select() chose a possibly different person than the previous
+ *       subject: any new track under "largest", or under "baseline" before the baseline box exists (a match to the
+ *       baseline box is taken to be the same person back in the seat). Per-person state must then restart.
+ *   - faceBox(landmarks), boxAt(tracks, x, y)  helpers (normalized image coordinates)
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNFaceTracker = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const RULES = ["largest", "baseline"];
+
+  function faceBox(lm) {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const p of lm) {
+      if (p.x < x0) x0 = p.x; if (p.x > x1) x1 = p.x;
+      if (p.y < y0) y0 = p.y; if (p.y > y1) y1 = p.y;
+    }
+    return { x0, y0, x1, y1, w: x1 - x0, h: y1 - y0, cx: (x0 + x1) / 2, cy: (y0 + y1) / 2 };
+  }
+
+  function iou(a, b) {
+    const ix = Math.max(0, Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0));
+    const iy = Math.max(0, Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0));
+    const inter = ix * iy, union = a.w * a.h + b.w * b.h - inter;
+    return union > 0 ? inter / union : 0;
+  }
+
+  /** Smallest visible track whose box contains (x, y), or null. */
+  function boxAt(tracks, x, y) {
+    let best = null;
+    for (const tr of tracks) {
+      const b = tr.box;
+      if (x >= b.x0 && x <= b.x1 && y >= b.y0 && y <= b.y1 && (!best || b.w * b.h < best.box.w * best.box.h)) best = tr;
+    }
+    return best;
+  }
+
+  function createFaceTracker({ minIoU = 0.25, maxMissS = 1.0 } = {}) {
+    let tracks = [], nextId = 1;
+
+    return {
+      update(t, faces) {
+        const boxes = faces.map(faceBox);
+        // Greedy assignment, best overlap first
+        const pairs = [];
+        tracks.forEach((tr, ti) => boxes.forEach((b, fi) => { const o = iou(tr.box, b); if (o >= minIoU) pairs.push({ ti, fi, o }); }));
+        pairs.sort((a, b) => b.o - a.o);
+        const usedT = new Set(), usedF = new Set();
+        for (const { ti, fi } of pairs) {
+          if (usedT.has(ti) || usedF.has(fi)) continue;
+          usedT.add(ti); usedF.add(fi);
+          Object.assign(tracks[ti], { box: boxes[fi], landmarks: faces[fi], lastSeen: t });
+        }
+        boxes.forEach((b, fi) => {
+          if (!usedF.has(fi)) tracks.push({ id: nextId++, box: b, landmarks: faces[fi], firstSeen: t, lastSeen: t });
+        });
+        tracks = tracks.filter(tr => t - tr.lastSeen <= maxMissS);
+        return tracks.filter(tr => tr.lastSeen === t);
+      },
+      has(id) { return tracks.some(tr => tr.id === id); },
+      reset() { tracks = []; nextId = 1; }
+    };
+  }
+
+  function createSubjectSelector({ rule = "baseline", maxBaselineCost = 1.0 } = {}) {
+    if (!RULES.includes(rule)) throw new Error(`Unknown subject rule "${rule}". Expected one of: ${RULES.join(", ")}`);
+    let subjectId = null, pinned = false, baselineBox = null;
+    let previousId = null, changed = false; // previousId: the last subject, kept across a forgotten track
+
+    function byRule(tracks) {
+      if (!tracks.length) return null;
+      if (rule === "baseline" && baselineBox) {
+        const b0 = baselineBox, s0 = Math.max(b0.w, b0.h);
+        const cost = b => Math.hypot(b.cx - b0.cx, b.cy - b0.cy) / s0 + Math.abs(Math.log(Math.max(b.w, b.h) / s0));
+        const best = tracks.reduce((a, tr) => cost(tr.box) < cost(a.box) ? tr : a);
+        return cost(best.box) <= maxBaselineCost ? best : null;
+      }
+      return tracks.reduce((best, tr) => tr.box.w * tr.box.h > best.box.w * best.box.h ? tr : best);
+    }
+
+    return {
+      select(tracks, tracker) {
+        changed = false;
+        if (subjectId !== null) {
+          const cur = tracks.find(tr => tr.id === subjectId);
+          if (cur) return cur;
+          if (tracker.has(subjectId)) return null; // briefly missed: report absence, do not switch faces
+          subjectId = null; pinned = false;
+        }
+        const next = byRule(tracks);
+        if (next) {
+          changed = previousId !== null && next.id !== previousId && !(rule === "baseline" && baselineBox);
+          subjectId = previousId = next.id;
+        }
+        return next;
+      },
+      subjectChanged() { return changed; },
+      /** Makes `id` the subject until its track is forgotten; null returns to the rule. The caller resets for it. */
+      pin(id) { subjectId = id; pinned = id !== null; if (id !== null) previousId = id; },
+      isPinned() { return pinned; },
+      getSubjectId() { return subjectId; },
+      /** Records where the subject sat at calibration time (used by the "baseline" rule). */
+      setBaseline(box) { baselineBox = box ? { ...box } : null; },
+      setRule(r) {
+        if (!RULES.includes(r)) throw new Error(`Unknown subject rule "${r}". Expected one of: ${RULES.join(", ")}`);
+        rule = r;
+      },
+      getRule() { return rule; },
+      reset() { subjectId = null; pinned = false; baselineBox = null; previousId = null; changed = false; }
+    };
+  }
+
+  return { RULES, faceBox, iou, boxAt, createFaceTracker, createSubjectSelector };
+});
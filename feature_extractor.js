@@ -0,0 +1,1049 @@
+/**
+ * feature_extractor.js
+ * Headless, stateful TCN feature extractor · pose, eye debounce/blinks, PERCLOS, EMAs, mouth hysteresis, nod rule
+ *
+ * No DOM, MediaPipe or TF.js: callers hand in per-frame landmarks, CNN probabilities and crop quality,
+ * the extractor returns the FEAT_ORDER vector plus the discrete event states. createGridResampler() and
+ * createTcnWindow() turn its rows into the uniform 15 Hz TCN input. Checked by node test/feature_extractor.test.js.
+ *
+ * Browser: <script src="feature_extractor.js"></script>  → window.TCNFeatures
+ * Node:    const { createFeatureExtractor } = require("./feature_extractor.js");
+ *
+ *   const fx = createFeatureExtractor({ rules });  // rules: optional overrides of RULE_DEFAULTS (tcn_config.js keys)
+ *   const out = fx.step({ t, landmarks, eyeLeft, eyeRight, yawn, aspect, eyeConf, yawnConf, quality });
+ *   out.features  // raw (pre-μ/σ) features keyed by FEAT_ORDER
+ *   out.vector    // Float32Array in FEAT_ORDER
+ *   out.eye / out.mouth / out.nod / out.pose / out.quality / out.face  // states and measurements for UI, logs and events
+ *   out.events    // edge events completed on this frame (listed above createFeatureExtractor)
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNFeatures = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  /* ===================== Feature schema ===================== */
+  const FEAT_ORDER = [
+    "yaw_adj", "pitch_adj", "roll_adj",
+    "dyaw_adj_per_s", "dpitch_adj_per_s", "droll_adj_per_s",
+    "eye_open_unified", "ema_eye_open_1s", "ema_eye_open_5s", "eye_open_trend_3s",
+    "eye_close_dur_s", "eye_run_len_frames", "perclos_30s", "blink_rate_30s",
+    "max_close_run_10s", "time_since_last_blink_s",
+    "yawn_prob_ema_1s", "mouth_open_run_s", "mouth_open_rate_30s", "time_since_last_yawn_s"
+  ];
+  const F = FEAT_ORDER.length;
+
+  /* ===================== Timing & constants ===================== */
+  // Every duration, rate, EMA and derivative uses the real frame timestamps, so dropped or late frames do not
+  // shorten closures or yawns. Frame-count constants (BLINK_MIN_F, FRM_2P5S, …) are durations at TARGET_FPS, and
+  // eye_run_len_frames is reported in nominal 15 FPS frames, the scale the TCN was trained on.
+  const TARGET_FPS = 15;
+  const DT = 1 / TARGET_FPS;
+
+  // Eye thresholds + durations (extractor parity)
+  const EYE_CLOSE_T = 0.40;
+  const FRM_2P5S = Math.round(0.8 * TARGET_FPS);
+  const BLINK_MIN_F = 2;
+  const BLINK_MAX_F = 6;
+  const EYE_DEBOUNCE_ON_F = 2;
+  const EYE_DEBOUNCE_OFF_F = 2;
+  const BLINK_LOCK_FRM = Math.round(2.0 * TARGET_FPS);
+
+  // Rolling windows
+  const PERCLOS_WINDOW_S = 30; // perclos_30s: closed fraction of this many seconds
+
+  // Mouth thresholds + hysteresis
+  const MOUTH_ON_T = 0.55;
+  const MOUTH_OFF_T = 0.45;
+  const MOUTH_PROLONG_S = 1.3;
+  const MOUTH_SHORT_MIN_S = 0.10;
+  const MOUTH_SHORT_MAX_S = 0.50;
+
+  // Landmark eye/mouth geometry: fallback for, and fused with, the eye/yawn CNNs
+  const GEO_WINDOW_S = 60, GEO_SAMPLE_S = 0.2, GEO_MIN_S = 5; // per-user reference: window, sampling, warm-up
+  const EAR_OPEN_Q = 0.9;                        // quantile of the EAR history taken as this user's open eye
+  const EAR_CLOSED_FRAC = 0.3, EAR_OPEN_FRAC = 0.85; // EAR / open reference mapped to probability 0 / 1
+  const MAR_CLOSED_Q = 0.2;                      // quantile of the MAR history taken as this user's closed mouth
+  const MAR_YAWN = 0.6;                          // MAR above the closed level that maps to yawn probability 1
+  const GEO_WEIGHT = 0.25;                       // geometric vs CNN weight at equal confidence (0: fallback only)
+  const GEO_MIN_POSE_CONF = 0.5;                 // frames with a worse pose fit do not update the references
+
+  // Frame quality: limits below which a crop's CNN output is not trusted, and indicator hysteresis
+  const QUALITY_MIN_BRIGHTNESS = 0.12;  // mean gray (0…1) of the face region
+  const QUALITY_MIN_CONTRAST = 0.03;    // std of the same
+  const QUALITY_BLUR_FRAC = 0.4;        // sharpness below this fraction of the user's median counts as blurred
+  const QUALITY_MAX_MOTION = 2.0;       // face centre speed in eye distances per second
+  const QUALITY_REF_MIN_S = 5;          // clean history the sharpness medians need
+  const QUALITY_ON_S = 0.5, QUALITY_OFF_S = 1.0; // poor / good this long before "visibility" changes
+
+  // Caps
+  const TS_MAX = 30; // seconds
+
+  // Face presence: hold the last frame this long before declaring the face lost
+  const FACE_GRACE_S = 0.5;
+
+  // Head pose: rigid fit of stable landmarks to the subject's face template, then a Kalman filter per angle
+  const POSE_TEMPLATE_S = 1.0;                     // frames after the first that are averaged into the template
+  const POSE_RESID_OK = 0.03, POSE_RESID_MAX = 0.10; // RMS fit residual (face radius = 1) for confidence 1 / 0
+  const POSE_YAW_FADE_DEG = [50, 80];              // confidence fades over this raw |yaw| (far side self-occluded)
+  const POSE_Q = 400;                              // process noise: angular acceleration density (deg²/s³)
+  const POSE_R = 0.5;                              // measurement noise at confidence 1 (deg²)
+
+  // Nod rule: pitch/yaw/roll limits relative to the baseline pose (degrees)
+  const NOD_PITCH_ON_DEG = -4, NOD_PITCH_OFF_DEG = -2, NOD_YAW_MAX_DEG = 10, NOD_ROLL_MAX_DEG = 20;
+  // ...and the pose confidence a nod needs to start
+  const NOD_MIN_POSE_CONF = 0.5;
+
+  // Baseline drift: offset of the slow pose mean that counts as a new neutral, and for how long
+  const DRIFT_DEG = 8, DRIFT_S = 30, DRIFT_TAU_S = 5;
+
+  // Guided recalibration defaults
+  const CAPTURE_S = 2.0, CAPTURE_MAX_DEG = 3.0, CAPTURE_TIMEOUT_S = 10;
+
+  // Tunable subset of the constants above (see tcn_config.js), per extractor via { rules } or fx.setRules()
+  const RULE_DEFAULTS = Object.freeze({
+    EYE_CLOSE_T, BLINK_MIN_F, BLINK_MAX_F, MOUTH_ON_T, MOUTH_OFF_T, MOUTH_PROLONG_S,
+    NOD_PITCH_ON_DEG, NOD_PITCH_OFF_DEG, NOD_YAW_MAX_DEG, NOD_ROLL_MAX_DEG, NOD_MIN_POSE_CONF, DRIFT_DEG, DRIFT_S,
+    GEO_WEIGHT, QUALITY_MIN_BRIGHTNESS, QUALITY_MIN_CONTRAST, QUALITY_BLUR_FRAC, QUALITY_MAX_MOTION
+  });
+
+  // Longest step a single frame may account for (s); bigger gaps are stalls, not elapsed eye/mouth time
+  const MAX_DT = 0.5;
+  const EPS = 1e-6;
+
+  /* ===================== Time-weighted sliding window ===================== */
+  // Mean of v over the last `spanS` seconds, each sample weighted by the time it covers (dt).
+  class TimeWindow {
+    constructor(spanS) { this.spanS = spanS; this.items = []; this.head = 0; this.sum = 0; this.wsum = 0; }
+    push(t, v, w) {
+      this.items.push({ t, v, w }); this.sum += v * w; this.wsum += w;
+      const cut = t - this.spanS;
+      while (this.head < this.items.length && this.items[this.head].t <= cut) {
+        const o = this.items[this.head++]; this.sum -= o.v * o.w; this.wsum -= o.w;
+      }
+      if (this.head > 1024) { this.items = this.items.slice(this.head); this.head = 0; }
+    }
+    mean() { return this.wsum > EPS ? this.sum / this.wsum : 0; }
+    reset() { this.items = []; this.head = 0; this.sum = 0; this.wsum = 0; }
+  }
+
+  /* ===================== Pose geometry ===================== */
+  function vsub(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) }; }
+  function vcross(a, b) { return { x: a.y * (b.z ?? 0) - (a.z ?? 0) * b.y, y: (a.z ?? 0) * b.x - a.x * (b.z ?? 0), z: a.x * b.y - a.y * b.x }; }
+  function vnorm(v) { return Math.hypot(v.x, v.y, v.z ?? 0) || 1e-8; }
+  function vunit(v) { const n = vnorm(v); return { x: v.x / n, y: v.y / n, z: (v.z ?? 0) / n }; }
+  function eulerFromAxes(X, Y, Z) { return { yaw: Math.atan2(Z.x, Z.z), pitch: Math.atan2(Z.y, Z.z), roll: Math.atan2(X.y, X.x) }; }
+  const RAD2DEG = 180 / Math.PI;
+  function eulerDeg(X, Y, Z) { const e = eulerFromAxes(X, Y, Z); return { yaw: e.yaw * RAD2DEG, pitch: e.pitch * RAD2DEG, roll: e.roll * RAD2DEG }; }
+  const IDX = { rightEyeOuter: 33, leftEyeOuter: 263, chin: 152, forehead: 10 };
+
+  function faceAxesFromLandmarks(lm) {
+    const R = lm[IDX.rightEyeOuter], L = lm[IDX.leftEyeOuter], C = lm[IDX.chin], F = lm[IDX.forehead];
+    let X = vunit(vsub(L, R)), Y = vunit(vsub(C, F)), Z = vunit(vcross(X, Y)); Y = vunit(vcross(Z, X));
+    return { X, Y, Z };
+  }
+  function makeBaselineCalibrator() {
+    let R0 = null;
+    const cross = (a, b) => ({ x: a.y * (b.z ?? 0) - (a.z ?? 0) * b.y, y: (a.z ?? 0) * b.x - a.x * (b.z ?? 0), z: a.x * b.y - a.y * b.x });
+    const mul = (M, v) => ({ x: M[0][0] * v.x + M[0][1] * v.y + M[0][2] * (v.z ?? 0), y: M[1][0] * v.x + M[1][1] * v.y + M[1][2] * (v.z ?? 0), z: M[2][0] * v.x + M[2][1] * v.y + M[2][2] * (v.z ?? 0) });
+    return {
+      reset() { R0 = null; },
+      has() { return !!R0; },
+      getR0() { return R0 ? R0.map(r => r.slice()) : null; },
+      setR0(M) { R0 = M.map(r => Array.from(r, Number)); },
+      setManualAxes(X, Y, Z) { const Xn = vunit(X), Zn = vunit(cross(Xn, Y)), Yn = vunit(cross(Zn, Xn)); R0 = [[Xn.x, Yn.x, Zn.x], [Xn.y, Yn.y, Zn.y], [Xn.z, Yn.z, Zn.z]]; },
+      applyIfReady(X, Y, Z) {
+        if (!R0) return [X, Y, Z];
+        const Rt = [[R0[0][0], R0[1][0], R0[2][0]], [R0[0][1], R0[1][1], R0[2][1]], [R0[0][2], R0[1][2], R0[2][2]]];
+        const Xo = vunit(mul(Rt, X)), Yo = vunit(mul(Rt, Y)), Zo = vunit(mul(Rt, Z));
+        return [Xo, Yo, Zo];
+      }
+    };
+  }
+
+  /* ===================== Rigid head fit ===================== */
+  // Landmarks that move with the skull, not with expressions: eye corners, nose ridge and wings, forehead,
+  // temples, upper cheekbones. Chin, jaw, lips, lids and brows are left out (yawns, blinks, raised brows).
+  const STABLE_IDX = [
+    33, 133, 362, 263,                      // eye corners
+    168, 6, 197, 195, 5, 4, 1, 98, 327,     // nose
+    10, 151, 9, 8, 109, 338, 67, 297,       // forehead
+    127, 356, 234, 454, 162, 389, 116, 345  // temples, cheekbones
+  ];
+
+  // Eigenvector of the largest eigenvalue of a symmetric 4×4 matrix (cyclic Jacobi)
+  function maxEigenvector4(A) {
+    const a = A.map(r => r.slice()), V = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+    for (let sweep = 0; sweep < 12; sweep++) {
+      let off = 0;
+      for (let p = 0; p < 3; p++) for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+      if (off < 1e-18) break;
+      for (let p = 0; p < 3; p++) {
+        for (let q = p + 1; q < 4; q++) {
+          if (Math.abs(a[p][q]) < 1e-15) continue;
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+          for (let k = 0; k < 4; k++) { const x = a[k][p], y = a[k][q]; a[k][p] = c * x - s * y; a[k][q] = s * x + c * y; }
+          for (let k = 0; k < 4; k++) { const x = a[p][k], y = a[q][k]; a[p][k] = c * x - s * y; a[q][k] = s * x + c * y; }
+          for (let k = 0; k < 4; k++) { const x = V[k][p], y = V[k][q]; V[k][p] = c * x - s * y; V[k][q] = s * x + c * y; }
+        }
+      }
+    }
+    let best = 0;
+    for (let i = 1; i < 4; i++) if (a[i][i] > a[best][best]) best = i;
+    return [V[0][best], V[1][best], V[2][best], V[3][best]];
+  }
+
+  // Weighted least-squares rotation R with R·src[i] ≈ dst[i] (Horn's quaternion method); R as a row-major 3×3
+  function fitRotation(src, dst, w) {
+    let xx = 0, xy = 0, xz = 0, yx = 0, yy = 0, yz = 0, zx = 0, zy = 0, zz = 0;
+    for (let i = 0; i < src.length; i++) {
+      const a = src[i], b = dst[i], k = w[i];
+      xx += k * a.x * b.x; xy += k * a.x * b.y; xz += k * a.x * b.z;
+      yx += k * a.y * b.x; yy += k * a.y * b.y; yz += k * a.y * b.z;
+      zx += k * a.z * b.x; zy += k * a.z * b.y; zz += k * a.z * b.z;
+    }
+    const [q0, qx, qy, qz] = maxEigenvector4([
+      [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+      [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+      [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+      [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+    ]);
+    return [
+      [q0 * q0 + qx * qx - qy * qy - qz * qz, 2 * (qx * qy - q0 * qz), 2 * (qx * qz + q0 * qy)],
+      [2 * (qy * qx + q0 * qz), q0 * q0 - qx * qx + qy * qy - qz * qz, 2 * (qy * qz - q0 * qx)],
+      [2 * (qz * qx - q0 * qy), 2 * (qz * qy + q0 * qx), q0 * q0 - qx * qx - qy * qy + qz * qz]
+    ];
+  }
+  const rotate = (M, v) => ({ x: M[0][0] * v.x + M[0][1] * v.y + M[0][2] * v.z, y: M[1][0] * v.x + M[1][1] * v.y + M[1][2] * v.z, z: M[2][0] * v.x + M[2][1] * v.y + M[2][2] * v.z });
+  const rotateT = (M, v) => ({ x: M[0][0] * v.x + M[1][0] * v.y + M[2][0] * v.z, y: M[0][1] * v.x + M[1][1] * v.y + M[2][1] * v.z, z: M[0][2] * v.x + M[1][2] * v.y + M[2][2] * v.z });
+
+  /**
+   * Head axes from a rigid fit of STABLE_IDX to a face template. The template is the subject's own face: the
+   * stable points of the first frame in its four-landmark head frame (faceAxesFromLandmarks), refined with the
+   * fitted frames of the next POSE_TEMPLATE_S. Points are centered and scaled to unit RMS radius, so the fit
+   * residual is relative to face size; two reweighting passes damp points an expression still moves.
+   * confidence (0…1) falls with the residual (POSE_RESID_OK…POSE_RESID_MAX) and with the raw yaw
+   * (POSE_YAW_FADE_DEG, far side self-occluded); it scales the angle filters' trust and gates the nod rule.
+   *   fit(lm, t, aspect) → { X, Y, Z, residual, confidence }   aspect = image width / height of the landmarks
+   */
+  function createPoseFitter() {
+    let template = null, templateT = null, templateN = 0;
+
+    function normalized(lm, aspect) {
+      const pts = STABLE_IDX.map(i => ({ x: lm[i].x, y: lm[i].y / aspect, z: lm[i].z ?? 0 }));
+      const c = { x: 0, y: 0, z: 0 };
+      for (const p of pts) { c.x += p.x; c.y += p.y; c.z += p.z; }
+      c.x /= pts.length; c.y /= pts.length; c.z /= pts.length;
+      let r2 = 0;
+      for (const p of pts) { p.x -= c.x; p.y -= c.y; p.z -= c.z; r2 += p.x * p.x + p.y * p.y + p.z * p.z; }
+      const s = Math.sqrt(r2 / pts.length) || 1;
+      for (const p of pts) { p.x /= s; p.y /= s; p.z /= s; }
+      return pts;
+    }
+
+    function confidenceOf(residual, X, Y, Z) {
+      const rawYaw = Math.abs(eulerFromAxes(X, Y, Z).yaw * RAD2DEG);
+      const fit = (POSE_RESID_MAX - residual) / (POSE_RESID_MAX - POSE_RESID_OK);
+      const view = (POSE_YAW_FADE_DEG[1] - rawYaw) / (POSE_YAW_FADE_DEG[1] - POSE_YAW_FADE_DEG[0]);
+      return Math.min(1, Math.max(0, fit)) * Math.min(1, Math.max(0, view));
+    }
+
+    return {
+      fit(lm, t, aspect = 1) {
+        const pts = normalized(lm, aspect);
+        if (!template) {
+          const scaled = lm.map(p => ({ x: p.x, y: p.y / aspect, z: p.z ?? 0 }));
+          const { X, Y, Z } = faceAxesFromLandmarks(scaled);
+          const A = [[X.x, Y.x, Z.x], [X.y, Y.y, Z.y], [X.z, Y.z, Z.z]];
+          template = pts.map(p => rotateT(A, p)); templateT = t; templateN = 1;
+          return { X, Y, Z, residual: 0, confidence: 1 };
+        }
+        const w = new Array(pts.length).fill(1);
+        let M = fitRotation(template, pts, w), res = [];
+        for (let pass = 0; pass < 3; pass++) {
+          res = pts.map((p, i) => vnorm(vsub(rotate(M, template[i]), p)));
+          if (pass === 2) break;
+          const sorted = res.slice().sort((a, b) => a - b);
+          const k = Math.max(1.5 * sorted[sorted.length >> 1], 0.01); // Huber scale from the median residual
+          for (let i = 0; i < w.length; i++) w[i] = res[i] <= k ? 1 : k / res[i];
+          M = fitRotation(template, pts, w);
+        }
+        let wr = 0, ws = 0;
+        for (let i = 0; i < res.length; i++) { wr += w[i] * res[i] * res[i]; ws += w[i]; }
+        const residual = Math.sqrt(wr / ws);
+        if (t - templateT <= POSE_TEMPLATE_S) {
+          templateN++;
+          template = template.map((q, i) => { const r = rotateT(M, pts[i]); return { x: q.x + (r.x - q.x) / templateN, y: q.y + (r.y - q.y) / templateN, z: q.z + (r.z - q.z) / templateN }; });
+        }
+        const X = { x: M[0][0], y: M[1][0], z: M[2][0] }, Y = { x: M[0][1], y: M[1][1], z: M[2][1] }, Z = { x: M[0][2], y: M[1][2], z: M[2][2] };
+        return { X, Y, Z, residual, confidence: confidenceOf(residual, X, Y, Z) };
+      },
+      hasTemplate() { return !!template; },
+      reset() { template = null; templateT = null; templateN = 0; }
+    };
+  }
+
+  /* ===================== Pose filter ===================== */
+  // Constant-velocity Kalman filter for one angle (degrees): the state carries the angular velocity, and
+  // low-confidence measurements get proportionally larger noise so the filter coasts through them.
+  function createAngleFilter({ q = POSE_Q, r = POSE_R } = {}) {
+    let x = null, v = 0, P = null;
+    return {
+      update(z, dt, confidence = 1) {
+        const R = r / Math.max(confidence, 0.01) ** 2;
+        if (x === null) { x = z; v = 0; P = [[R, 0], [0, 900]]; return { angle: x, rate: v }; }
+        // Predict
+        x += v * dt;
+        const p00 = P[0][0] + dt * (P[0][1] + P[1][0]) + dt * dt * P[1][1] + q * dt * dt * dt / 3;
+        const p01 = P[0][1] + dt * P[1][1] + q * dt * dt / 2;
+        const p11 = P[1][1] + q * dt;
+        // Update
+        const S = p00 + R, k0 = p00 / S, k1 = p01 / S, y = z - x;
+        x += k0 * y; v += k1 * y;
+        P = [[(1 - k0) * p00, (1 - k0) * p01], [(1 - k0) * p01, p11 - k1 * p01]];
+        return { angle: x, rate: v };
+      },
+      reset() { x = null; v = 0; P = null; }
+    };
+  }
+
+  /* ===================== Eye / mouth geometry ===================== */
+  // EAR and MAR measured on the crop landmarks, mapped onto the CNN's 0…1 scale against per-user references
+  // (the EAR_OPEN_Q / MAR_CLOSED_Q quantiles over GEO_WINDOW_S of well-fitted frames), then fused with the CNN
+  // output, so a crop too small for the CNN still gives an estimate while the landmarks are usable.
+  // The landmarks that frame the CNN crops (inference_core.js LIDX / RIDX / MIDX)
+  const EAR_IDX = { left: [33, 133, 159, 145], right: [362, 263, 386, 374] }; // corner, corner, upper lid, lower lid
+  const MAR_IDX = { corners: [61, 291], pairs: [[13, 14], [81, 178]] };        // lip corners, inner-lip pairs
+
+  function dist3(lm, i, j, aspect) {
+    const a = lm[i], b = lm[j];
+    return Math.hypot(a.x - b.x, (a.y - b.y) / aspect, (a.z ?? 0) - (b.z ?? 0));
+  }
+  // Eye aspect ratio: lid gap over eye width (3D, so pitch foreshortens it less)
+  function eyeAspectRatio(lm, [c0, c1, up, low], aspect = 1) {
+    return dist3(lm, up, low, aspect) / Math.max(dist3(lm, c0, c1, aspect), EPS);
+  }
+  // Mouth aspect ratio: mean inner-lip gap over mouth width
+  function mouthAspectRatio(lm, aspect = 1) {
+    const gap = MAR_IDX.pairs.reduce((a, [i, j]) => a + dist3(lm, i, j, aspect), 0) / MAR_IDX.pairs.length;
+    return gap / Math.max(dist3(lm, MAR_IDX.corners[0], MAR_IDX.corners[1], aspect), EPS);
+  }
+
+  // Quantiles of a value over the last windowS seconds, sampled every sampleS (per-user EAR/MAR references)
+  function createQuantileTracker({ windowS = GEO_WINDOW_S, sampleS = GEO_SAMPLE_S } = {}) {
+    let samples = [], lastT = -Infinity, sorted = null;
+    return {
+      push(t, v) {
+        if (!Number.isFinite(v) || t - lastT < sampleS) return;
+        samples.push({ t, v }); lastT = t; sorted = null;
+        while (samples.length && samples[0].t < t - windowS) samples.shift();
+      },
+      spanS() { return samples.length ? samples.length * sampleS : 0; },
+      quantile(q) {
+        if (!samples.length) return NaN;
+        if (!sorted) sorted = samples.map(s => s.v).sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+      },
+      reset() { samples = []; lastT = -Infinity; sorted = null; }
+    };
+  }
+
+  const clamp01 = v => Math.min(1, Math.max(0, v));
+
+  /**
+   * Confidence-weighted mean of a CNN probability and its landmark-geometry estimate. Geometry counts
+   * `geoWeight` as much as an equally confident CNN, and fully when the CNN has nothing (failed crop).
+   * source: "cnn" | "geometric" | "fused" (both carried ≥ 10 %) | "none".
+   */
+  function fuseProbs(cnn, cnnConf, geo, geoConf, geoWeight = GEO_WEIGHT) {
+    const wc = Number.isFinite(cnn) ? clamp01(cnnConf) : 0;
+    const wg = Number.isFinite(geo) ? clamp01(geoConf) * (wc > 0 ? geoWeight : 1) : 0;
+    if (wc + wg < EPS) return { prob: NaN, source: "none" };
+    const share = wc / (wc + wg);
+    const prob = (wc ? wc * cnn : 0) / (wc + wg) + (wg ? wg * geo : 0) / (wc + wg);
+    return { prob, source: share >= 0.9 ? "cnn" : share <= 0.1 ? "geometric" : "fused" };
+  }
+
+  /* ===================== Feature vector helpers ===================== */
+  function finiteOr(v, def) { return Number.isFinite(v) ? v : def; }
+
+  function buildRawFeatures(obj) {
+    // Enforce defaults
+    return {
+      yaw_adj: obj.yawDeg,
+      pitch_adj: obj.pitchDeg,
+      roll_adj: obj.rollDeg,
+      dyaw_adj_per_s: obj.dYaw,
+      dpitch_adj_per_s: obj.dPitch,
+      droll_adj_per_s: obj.dRoll,
+      eye_open_unified: finiteOr(obj.eye_open_unified, 0.5),
+      ema_eye_open_1s: finiteOr(obj.ema_eye_open_1s, 0.5),
+      ema_eye_open_5s: finiteOr(obj.ema_eye_open_5s, 0.5),
+      eye_open_trend_3s: finiteOr(obj.eye_open_trend_3s, 0.0),
+      eye_close_dur_s: finiteOr(obj.eye_close_dur_s, 0.0),
+      eye_run_len_frames: obj.eye_run_len_frames ?? 0,
+      perclos_30s: finiteOr(obj.perclos_30s, 0.0),
+      blink_rate_30s: finiteOr(obj.blink_rate_30s, 0.0),
+      max_close_run_10s: finiteOr(obj.max_close_run_10s, 0.0),
+      time_since_last_blink_s: finiteOr(obj.time_since_last_blink_s, 0.0),
+      yawn_prob_ema_1s: finiteOr(obj.yawn_prob_ema_1s, 0.0),
+      mouth_open_run_s: finiteOr(obj.mouth_open_run_s, 0.0),
+      mouth_open_rate_30s: finiteOr(obj.mouth_open_rate_30s, 0.0),
+      time_since_last_yawn_s: finiteOr(obj.time_since_last_yawn_s, 0.0)
+    };
+  }
+  function rawToVector(raw) {
+    const v = new Float32Array(FEAT_ORDER.length);
+    for (let i = 0; i < FEAT_ORDER.length; i++) v[i] = Number(raw[FEAT_ORDER[i]] ?? 0);
+    return v;
+  }
+
+  // Smoothly bias toward the eye that faces the camera more.
+  // ±20° gives about ±50% bias; clamp range for stability.
+  function unifyEyeProbs(eyeLProb, eyeRProb, rawYawDeg) {
+    if (!Number.isFinite(eyeLProb) || !Number.isFinite(eyeRProb)) return NaN;
+    const bias = Math.max(-1, Math.min(1, rawYawDeg / 20));
+    const wL = 1 - bias / 2;
+    const wR = 1 + bias / 2;
+    return (eyeLProb * wL + eyeRProb * wR) / (wL + wR);
+  }
+
+  // Blink = debounced closure lasting BLINK_MIN_F..BLINK_MAX_F nominal frames
+  function isBlinkDur(durS, minF = BLINK_MIN_F, maxF = BLINK_MAX_F) { return durS >= minF * DT - EPS && durS <= maxF * DT + EPS; }
+
+  /* ===================== Uniform-grid resampling for the TCN ===================== */
+  /**
+   * Linearly interpolates feature rows taken at irregular timestamps onto a uniform `hz` grid.
+   * push(t, row) returns { rows, times, restarted }: the grid rows that fall in (previous t, t], their grid
+   * timestamps, and whether the grid restarted because the gap since the previous row exceeded maxGapS
+   * (callers should drop their window).
+   */
+  function createGridResampler({ hz = TARGET_FPS, maxGapS = MAX_DT } = {}) {
+    const step = 1 / hz;
+    let t0 = null, n = 0, prevT = null, prevRow = null;
+    return {
+      push(t, row) {
+        let restarted = false;
+        if (prevT === null || t - prevT > maxGapS) {
+          restarted = prevT !== null;
+          t0 = t; n = 1; prevT = t; prevRow = Float32Array.from(row);
+          return { rows: [Float32Array.from(row)], times: [t], restarted };
+        }
+        const rows = [], times = [];
+        for (let g = t0 + n * step; g <= t + EPS; g = t0 + (++n) * step) {
+          const span = t - prevT;
+          const a = span > EPS ? Math.min(1, Math.max(0, (g - prevT) / span)) : 1;
+          const r = new Float32Array(row.length);
+          for (let i = 0; i < row.length; i++) r[i] = prevRow[i] + a * (row[i] - prevRow[i]);
+          rows.push(r); times.push(g);
+        }
+        prevT = t; prevRow = Float32Array.from(row);
+        return { rows, times, restarted };
+      },
+      reset() { t0 = null; n = 0; prevT = null; prevRow = null; }
+    };
+  }
+
+  /* ===================== TCN input window ===================== */
+  /**
+   * The last T grid rows of F model inputs in one preallocated ring. nextRow() hands out the slot for the newest
+   * row to fill in place; read() copies the window, oldest row first, into a [T, F] array that is reused (and
+   * overwritten) by the next read(). due() is true once the window is full and `stride` rows have arrived since the
+   * last read(), so the TCN runs on every stride-th grid row rather than every frame.
+   */
+  function createTcnWindow({ T, F, stride = 1 }) {
+    const ring = new Float32Array(T * F), out = new Float32Array(T * F);
+    let head = 0, count = 0, sinceRead = 0; // head: slot of the next row, i.e. the oldest once full
+    return {
+      T, F,
+      nextRow() {
+        const row = ring.subarray(head * F, (head + 1) * F);
+        head = (head + 1) % T; count = Math.min(count + 1, T); sinceRead++;
+        return row;
+      },
+      length() { return count; },
+      due() { return count === T && sinceRead >= stride; },
+      read() {
+        const split = head * F;
+        out.set(ring.subarray(split), 0);
+        out.set(ring.subarray(0, split), T * F - split);
+        sinceRead = 0;
+        return out;
+      },
+      setStride(n) { stride = n; },
+      reset() { head = 0; count = 0; sinceRead = 0; }
+    };
+  }
+
+  /* ===================== Input rate diagnostics ===================== */
+  /** Effective frame rate, inter-frame jitter and late-frame count over the last `n` intervals. */
+  function createRateMonitor(n = 2 * TARGET_FPS) {
+    const dts = [];
+    let lastT = null;
+    return {
+      push(t) {
+        if (lastT !== null && t > lastT) { dts.push(t - lastT); if (dts.length > n) dts.shift(); }
+        lastT = t;
+      },
+      stats() {
+        if (!dts.length) return { hz: 0, jitterMs: 0, late: 0 };
+        const mean = dts.reduce((a, b) => a + b, 0) / dts.length;
+        const sd = Math.sqrt(dts.reduce((a, b) => a + (b - mean) * (b - mean), 0) / dts.length);
+        return { hz: 1 / mean, jitterMs: sd * 1000, late: dts.filter(d => d > 1.5 * DT).length };
+      },
+      reset() { dts.length = 0; lastT = null; }
+    };
+  }
+
+  /* ===================== Stateful extractor ===================== */
+  /**
+   * Event objects in out.events (all carry `type` and `t`, in seconds):
+   *   { type: "blink", t, durS, lenFrames }              debounced closure within BLINK_MIN_F..BLINK_MAX_F ended
+   *   { type: "yawn", t, durS }                          mouth-open run of at least MOUTH_PROLONG_S ended
+   *   { type: "nod", t, active, pitchDeg, yawDeg, rollDeg }  nod rule started (active) / ended
+   *   { type: "eyeClosure", t, active, durS, perclos }   prolonged eye closure started (active) / ended
+   *   { type: "face", t, state, absentS }                face presence changed (present / grace / lost)
+   *   { type: "recalibration", t, ok, reason, frames, restarts, shiftDeg, R0, dominantEye }
+   *                                                      guided capture finished (shiftDeg: new neutral seen from the old) or timed out
+   *   { type: "poseDrift", t, active, yawDeg, pitchDeg, rollDeg, durS }  head rests away from the baseline / came back
+   *   { type: "visibility", t, active, flags, durS }     poor frame quality for QUALITY_ON_S started / good for QUALITY_OFF_S
+   */
+  function pickRules(rules) {
+    const r = { ...RULE_DEFAULTS };
+    for (const k of Object.keys(RULE_DEFAULTS)) if (rules && Number.isFinite(rules[k])) r[k] = rules[k];
+    return r;
+  }
+
+  function createFeatureExtractor({ rules } = {}) {
+    let R = pickRules(rules);
+    const baseline = makeBaselineCalibrator();
+    let dominantEye = "both";
+
+    let lastT = null;
+
+    // Pose: rigid fit, then filtered angles and angular velocities
+    const poseFitter = createPoseFitter();
+    const angleFilters = { yaw: createAngleFilter(), pitch: createAngleFilter(), roll: createAngleFilter() };
+    const resetAngleFilters = () => { angleFilters.yaw.reset(); angleFilters.pitch.reset(); angleFilters.roll.reset(); };
+
+    // Eye
+    let eyeClosedDebounced = false, eyeDebOn = 0, eyeDebOff = 0;
+    let eyeRunS = 0;
+    let prolongedEyeActive = false, lastProlongStartT = -Infinity;
+    let blinkPulse = 0;
+    const eyeRuns = []; // {tEnd,durS}
+    let lastBlinkEndTime = 0;
+
+    // Eye EMAs
+    let emaEye1 = NaN, emaEye5 = NaN;
+
+    // Eye closed fraction over the last 30 s, time-weighted
+    const rbEyeClosed = new TimeWindow(PERCLOS_WINDOW_S);
+
+    // Mouth
+    let yawnEma1 = NaN;
+    let mouthOpen = false, mouthRunS = 0, yawnProlonged = false;
+    const mouthRuns = []; // {tEnd,durS}
+    let yawnPulse = 0, lastYawnEndTime = 0;
+
+    // Nod
+    let nodActive = false;
+
+    // Per-user EAR / MAR references for the geometric eye and mouth estimates
+    const geoRefs = { left: createQuantileTracker(), right: createQuantileTracker(), mouth: createQuantileTracker() };
+
+    // Frame quality: per-user sharpness medians, face centre for motion, "visibility" hysteresis
+    const sharpRefs = { eye: createQuantileTracker(), mouth: createQuantileTracker() };
+    let prevCentre = null;
+    const visibility = { active: false, sinceT: null, flags: new Set() };
+
+    // Edge tracking for events
+    let prevProlongedEye = false;
+
+    // Face presence (starts "lost" until the first face is seen)
+    let faceState = "lost", faceLostAt = null, lastOut = null, absentS = 0;
+
+    // Pose baseline upkeep: guided capture in progress, slow pose statistics for drift, pending window reset
+    let capture = null; // { reason, durationS, maxDeg, timeoutS, startT, firstT, lastT, n, sumX, sumY, sumZ, sumDeg, restarts }
+    const drift = { mean: null, varDeg: { yaw: 0, pitch: 0, roll: 0 }, candidateS: 0, active: false };
+    let baselineChanged = false;
+
+    function reset() {
+      baseline.reset(); dominantEye = "both"; lastT = null;
+      poseFitter.reset(); resetAngleFilters();
+
+      eyeClosedDebounced = false; eyeDebOn = 0; eyeDebOff = 0; eyeRunS = 0;
+      prolongedEyeActive = false; lastProlongStartT = -Infinity; blinkPulse = 0;
+      eyeRuns.length = 0; lastBlinkEndTime = 0;
+      emaEye1 = NaN; emaEye5 = NaN; rbEyeClosed.reset();
+
+      yawnEma1 = NaN; mouthOpen = false; mouthRunS = 0; yawnProlonged = false; mouthRuns.length = 0; yawnPulse = 0; lastYawnEndTime = 0;
+
+      nodActive = false;
+      geoRefs.left.reset(); geoRefs.right.reset(); geoRefs.mouth.reset();
+      sharpRefs.eye.reset(); sharpRefs.mouth.reset(); prevCentre = null; resetVisibility();
+      prevProlongedEye = false;
+      faceState = "lost"; faceLostAt = null; lastOut = null; absentS = 0;
+      capture = null; resetDrift(); baselineChanged = false;
+    }
+
+    function resetVisibility() { visibility.active = false; visibility.sinceT = null; visibility.flags.clear(); }
+
+    function resetDrift() {
+      drift.mean = null; drift.varDeg = { yaw: 0, pitch: 0, roll: 0 }; drift.candidateS = 0; drift.active = false;
+    }
+
+    // New neutral pose mid-session (recalibrate() capture or rebaseline()): eye/mouth state and histories are kept,
+    // the pose derivatives and drift statistics restart, and out.windowReset tells the caller to drop its TCN window
+    function swapBaseline(t, events) {
+      resetAngleFilters();
+      if (drift.active && events) {
+        const m = drift.mean;
+        events.push({ type: "poseDrift", t, active: false, yawDeg: m.yaw, pitchDeg: m.pitch, rollDeg: m.roll, durS: 0 });
+      }
+      resetDrift();
+      baselineChanged = true;
+    }
+
+    function startCapture(t, axes, deg) {
+      capture.firstT = t; capture.lastT = t; capture.n = 1;
+      capture.sumX = { ...axes.X }; capture.sumY = { ...axes.Y }; capture.sumZ = { ...axes.Z }; capture.sumDeg = { ...deg };
+    }
+
+    function advanceCapture(t, axes, events) {
+      const c = capture, deg = eulerDeg(axes.X, axes.Y, axes.Z);
+      if (c.startT === null) c.startT = t;
+      if (t - c.startT > c.timeoutS) {
+        events.push({ type: "recalibration", t, ok: false, reason: c.reason, frames: c.n, restarts: c.restarts });
+        capture = null;
+        return;
+      }
+      // A move away from the running mean, or a gap (face lost), starts the capture over
+      const moved = c.n && (t - c.lastT > MAX_DT || ["yaw", "pitch", "roll"].some(a => Math.abs(deg[a] - c.sumDeg[a] / c.n) > c.maxDeg));
+      if (!c.n || moved) {
+        if (moved) c.restarts++;
+        startCapture(t, axes, deg);
+        return;
+      }
+      c.n++; c.lastT = t;
+      for (const k of ["x", "y", "z"]) { c.sumX[k] += axes.X[k]; c.sumY[k] += axes.Y[k]; c.sumZ[k] += axes.Z[k]; }
+      for (const a of ["yaw", "pitch", "roll"]) c.sumDeg[a] += deg[a];
+      if (t - c.firstT < c.durationS - EPS) return;
+
+      const X = vunit(c.sumX), Y = vunit(c.sumY), Z = vunit(c.sumZ);
+      const shift = eulerDeg(...baseline.applyIfReady(X, Y, Z));
+      baseline.setManualAxes(X, Y, Z);
+      const rawYaw = c.sumDeg.yaw / c.n;
+      dominantEye = rawYaw > 10 ? "right" : (rawYaw < -10 ? "left" : "both");
+      swapBaseline(t, events);
+      events.push({
+        type: "recalibration", t, ok: true, reason: c.reason, frames: c.n, restarts: c.restarts,
+        shiftDeg: shift, R0: baseline.getR0(), dominantEye
+      });
+      capture = null;
+    }
+
+    // Slow pose statistics on frames with open eyes and no nod (a drowsy head drop is not a new neutral); resting
+    // ≥ DRIFT_DEG away with little spread for DRIFT_S raises "poseDrift" so the caller can prompt or recalibrate
+    function updateDrift(t, dt, pose, events) {
+      const k = 1 - Math.exp(-dt / DRIFT_TAU_S);
+      if (!drift.mean) drift.mean = { ...pose };
+      for (const a of ["yaw", "pitch", "roll"]) {
+        const d = pose[a] - drift.mean[a];
+        drift.mean[a] += k * d;
+        drift.varDeg[a] = (1 - k) * (drift.varDeg[a] + k * d * d);
+      }
+      const m = drift.mean;
+      const offset = Math.max(Math.abs(m.yaw), Math.abs(m.pitch), Math.abs(m.roll));
+      const spread = Math.sqrt(Math.max(drift.varDeg.yaw, drift.varDeg.pitch, drift.varDeg.roll));
+      if (offset < R.DRIFT_DEG) drift.candidateS = 0;
+      else if (spread <= R.DRIFT_DEG / 2) drift.candidateS += dt; // still moving around: neither counts nor resets
+      if (!drift.active && drift.candidateS >= R.DRIFT_S - EPS) {
+        drift.active = true;
+        events.push({ type: "poseDrift", t, active: true, yawDeg: m.yaw, pitchDeg: m.pitch, rollDeg: m.roll, durS: drift.candidateS });
+      } else if (drift.active && offset < R.DRIFT_DEG / 2) {
+        drift.active = false;
+        events.push({ type: "poseDrift", t, active: false, yawDeg: m.yaw, pitchDeg: m.pitch, rollDeg: m.roll, durS: 0 });
+      }
+    }
+
+    // Landmark estimates on the CNN probability scale, once this user's references have GEO_MIN_S of history
+    function geometricProbs(lm, t, aspect, poseConf, flags) {
+      const ear = { left: eyeAspectRatio(lm, EAR_IDX.left, aspect), right: eyeAspectRatio(lm, EAR_IDX.right, aspect) };
+      const mar = mouthAspectRatio(lm, aspect);
+      const moving = flags.includes("motion") || flags.includes("occluded"), dim = flags.includes("dark") || flags.includes("lowContrast");
+      const conf = moving ? 0 : dim ? poseConf / 2 : poseConf;
+      if (poseConf >= GEO_MIN_POSE_CONF && !moving && !dim) { geoRefs.left.push(t, ear.left); geoRefs.right.push(t, ear.right); geoRefs.mouth.push(t, mar); }
+      const eyeProb = side => {
+        if (geoRefs[side].spanS() < GEO_MIN_S) return NaN;
+        const rel = ear[side] / Math.max(geoRefs[side].quantile(EAR_OPEN_Q), EPS);
+        return clamp01((rel - EAR_CLOSED_FRAC) / (EAR_OPEN_FRAC - EAR_CLOSED_FRAC));
+      };
+      const yawn = geoRefs.mouth.spanS() < GEO_MIN_S ? NaN : clamp01((mar - geoRefs.mouth.quantile(MAR_CLOSED_Q)) / MAR_YAWN);
+      return { ear, mar, left: eyeProb("left"), right: eyeProb("right"), yawn, conf };
+    }
+
+    // Quality flags of one face frame: "dark", "lowContrast", "blurEyes" / "blurMouth" (below QUALITY_BLUR_FRAC × the
+    // user's median once QUALITY_REF_MIN_S is in), "motion" and "occluded" (fit residual ≥ POSE_RESID_MAX). Missing
+    // image measures are not checked; the sharpness medians only learn from otherwise clean frames.
+    function assessQuality(lm, t, dt, aspect, residual, q) {
+      const pt = i => ({ x: lm[i].x * aspect, y: lm[i].y });
+      const eyeDist = Math.hypot(pt(33).x - pt(263).x, pt(33).y - pt(263).y);
+      const centre = { x: 0, y: 0 };
+      for (const i of STABLE_IDX) { const p = pt(i); centre.x += p.x / STABLE_IDX.length; centre.y += p.y / STABLE_IDX.length; }
+      const motion = prevCentre && dt > EPS ? Math.hypot(centre.x - prevCentre.x, centre.y - prevCentre.y) / Math.max(eyeDist, EPS) / dt : 0;
+      prevCentre = centre;
+
+      const num = v => (Number.isFinite(v) ? v : NaN);
+      const brightness = num(q?.brightness), contrast = num(q?.contrast), eyeSharpness = num(q?.eyeSharpness), mouthSharpness = num(q?.mouthSharpness);
+      const flags = [];
+      if (brightness < R.QUALITY_MIN_BRIGHTNESS) flags.push("dark");
+      if (contrast < R.QUALITY_MIN_CONTRAST) flags.push("lowContrast");
+      if (motion > R.QUALITY_MAX_MOTION) flags.push("motion");
+      if (residual >= POSE_RESID_MAX) flags.push("occluded");
+      const clean = !flags.length;
+      const blurred = (v, ref) => ref.spanS() >= QUALITY_REF_MIN_S && v < R.QUALITY_BLUR_FRAC * ref.quantile(0.5);
+      if (blurred(eyeSharpness, sharpRefs.eye)) flags.push("blurEyes");
+      if (blurred(mouthSharpness, sharpRefs.mouth)) flags.push("blurMouth");
+      if (clean) { sharpRefs.eye.push(t, eyeSharpness); sharpRefs.mouth.push(t, mouthSharpness); }
+      return { brightness, contrast, eyeSharpness, mouthSharpness, motion, flags, poor: flags.length > 0 };
+    }
+
+    // "visibility" once poor quality lasted QUALITY_ON_S, cleared after QUALITY_OFF_S of good frames
+    function updateVisibility(t, quality, events) {
+      if (quality.poor) for (const f of quality.flags) visibility.flags.add(f);
+      if (quality.poor === visibility.active) { visibility.sinceT = null; if (!visibility.active) visibility.flags.clear(); return; }
+      if (visibility.sinceT === null) visibility.sinceT = t;
+      const heldS = t - visibility.sinceT;
+      if (heldS < (visibility.active ? QUALITY_OFF_S : QUALITY_ON_S) - EPS) return;
+      visibility.active = !visibility.active; visibility.sinceT = null;
+      events.push({ type: "visibility", t, active: visibility.active, flags: [...visibility.flags], durS: heldS });
+      if (!visibility.active) visibility.flags.clear();
+    }
+
+    function calibrationStatus() {
+      if (!capture) return { capturing: false, progress: 0, restarts: 0, reason: null };
+      const held = capture.n ? capture.lastT - capture.firstT : 0;
+      return { capturing: true, progress: Math.min(1, held / capture.durationS), restarts: capture.restarts, reason: capture.reason };
+    }
+
+    function driftStatus() {
+      const m = drift.mean;
+      return { active: drift.active, yawDeg: m ? m.yaw : 0, pitchDeg: m ? m.pitch : 0, rollDeg: m ? m.roll : 0, candidateS: drift.candidateS };
+    }
+
+    // Drops run-length state that would otherwise bridge a gap in the face track.
+    function clearTransientState(nowSec, events) {
+      if (prevProlongedEye) events.push({ type: "eyeClosure", t: nowSec, active: false, durS: eyeRunS, perclos: rbEyeClosed.mean() });
+      if (nodActive) events.push({ type: "nod", t: nowSec, active: false, pitchDeg: NaN, yawDeg: NaN, rollDeg: NaN });
+      if (visibility.active) events.push({ type: "visibility", t: nowSec, active: false, flags: [], durS: 0 });
+      resetAngleFilters(); prevCentre = null; resetVisibility();
+      eyeClosedDebounced = false; eyeDebOn = 0; eyeDebOff = 0; eyeRunS = 0;
+      prolongedEyeActive = false; prevProlongedEye = false; blinkPulse = 0;
+      mouthOpen = false; mouthRunS = 0; yawnProlonged = false; yawnPulse = 0;
+      nodActive = false;
+    }
+
+    // No face: for FACE_GRACE_S ("grace") the last measured frame is held with only time_since_last_* counting
+    // (out.imputed); then ("lost") the outputs are null, out.windowReset is set on the transition and short-term
+    // state is cleared. 30 s histories and the pose baseline are kept.
+    function stepNoFace(nowSec) {
+      const events = [];
+      lastT = nowSec;
+      if (faceLostAt === null) faceLostAt = nowSec;
+      absentS = nowSec - faceLostAt;
+      const next = (lastOut && absentS < FACE_GRACE_S) ? "grace" : "lost";
+      let windowReset = false;
+      if (next !== faceState) {
+        if (next === "lost") { clearTransientState(nowSec, events); windowReset = true; }
+        faceState = next;
+        events.push({ type: "face", t: nowSec, state: faceState, absentS });
+      }
+      const face = { state: faceState, absentS };
+
+      if (faceState === "grace") {
+        // Hold the last measured frame; only the time-since timers keep running
+        const dt = nowSec - lastOut.t;
+        const features = {
+          ...lastOut.features,
+          time_since_last_blink_s: Math.min(lastOut.features.time_since_last_blink_s + dt, TS_MAX),
+          time_since_last_yawn_s: Math.min(lastOut.features.time_since_last_yawn_s + dt, TS_MAX)
+        };
+        return {
+          ...lastOut, t: nowSec, features, vector: rawToVector(features), baselineCaptured: false,
+          eye: { ...lastOut.eye, blink: 0 }, mouth: { ...lastOut.mouth, yawnEvent: 0 },
+          face, imputed: true, windowReset, calibration: calibrationStatus(), events
+        };
+      }
+      return {
+        t: nowSec, features: null, vector: null, baselineCaptured: false, dominantEye,
+        pose: null, eye: null, mouth: null, nod: false, quality: null,
+        face, imputed: false, windowReset, calibration: calibrationStatus(), drift: driftStatus(), events
+      };
+    }
+
+    /**
+     * Advances the extractor by one frame.
+     * @param {Object} input
+     * @param {number} input.t  frame time in seconds
+     * @param {Array<{x:number,y:number,z:number}>|null} input.landmarks  FaceMesh landmarks (468 points, normalized), null if no face
+     * @param {number} [input.eyeLeft]  eye-open probability of the left crop (NaN/undefined if no crop)
+     * @param {number} [input.eyeRight]  eye-open probability of the right crop
+     * @param {number} [input.yawn]  mouth-open probability (NaN/undefined if no crop)
+     * @param {number} [input.aspect]  width / height of the image the landmarks are normalized to (default 1)
+     * @param {number} [input.eyeConf]  confidence 0…1 of the eye CNN probabilities (crop size; default 1)
+     * @param {number} [input.yawnConf]  confidence 0…1 of the yawn CNN probability
+     * @param {{brightness:number,contrast:number,eyeSharpness:number,mouthSharpness:number}|null} [input.quality]
+     *   image quality of the frame (predictCrops); without it only motion and occlusion are checked
+     */
+    function step({ t, landmarks, eyeLeft = NaN, eyeRight = NaN, yawn = NaN, aspect = 1, eyeConf = 1, yawnConf = 1, quality = null }) {
+      const nowSec = t;
+      const lm = landmarks;
+      if (!lm) return stepNoFace(nowSec);
+      const dt = lastT === null ? DT : Math.min(Math.max(nowSec - lastT, 0), MAX_DT);
+      lastT = nowSec;
+
+      const events = [];
+      let closedRunS = 0; // duration of a debounced closure that ended on this frame
+      if (faceState !== "present") {
+        events.push({ type: "face", t: nowSec, state: "present", absentS: faceLostAt === null ? 0 : nowSec - faceLostAt });
+        faceState = "present"; faceLostAt = null;
+      }
+      absentS = 0;
+
+      // Pose
+      const fit = poseFitter.fit(lm, nowSec, aspect);
+      const preAxes = { X: fit.X, Y: fit.Y, Z: fit.Z };
+      const rawYawDeg = Math.atan2(preAxes.Z.x, preAxes.Z.z) * 180 / Math.PI;
+
+      // Initial baseline snapshot
+      let baselineCaptured = false;
+      if (!baseline.has()) {
+        dominantEye = rawYawDeg > 10 ? "right" : (rawYawDeg < -10 ? "left" : "both");
+        baseline.setManualAxes(preAxes.X, preAxes.Y, preAxes.Z);
+        baselineCaptured = true;
+      } else if (capture) {
+        advanceCapture(nowSec, preAxes, events);
+      }
+
+      const [X, Y, Z] = baseline.applyIfReady(preAxes.X, preAxes.Y, preAxes.Z);
+      const measured = eulerDeg(X, Y, Z);
+      const poseConf = fit.confidence;
+      const fYaw = angleFilters.yaw.update(measured.yaw, dt, poseConf);
+      const fPitch = angleFilters.pitch.update(measured.pitch, dt, poseConf);
+      const fRoll = angleFilters.roll.update(measured.roll, dt, poseConf);
+      const yawDeg = fYaw.angle, pitchDeg = fPitch.angle, rollDeg = fRoll.angle;
+      const dYaw = fYaw.rate, dPitch = fPitch.rate, dRoll = fRoll.rate;
+
+      // ---------- Frame quality ----------
+      const q = assessQuality(lm, nowSec, dt, aspect, fit.residual, quality);
+      updateVisibility(nowSec, q, events);
+      // Motion only affects the geometry: a head drop is what this detector is for, and blur from it is caught by
+      // the crops' own sharpness. An occluded mesh misplaces the crops too.
+      const imageBad = ["dark", "lowContrast", "occluded"].some(f => q.flags.includes(f));
+      const eyeCnnConf = imageBad || q.flags.includes("blurEyes") ? 0 : eyeConf;
+      const yawnCnnConf = imageBad || q.flags.includes("blurMouth") ? 0 : yawnConf;
+
+      // ---------- Eye / mouth probabilities: CNN, landmark geometry or both ----------
+      const geo = geometricProbs(lm, nowSec, aspect, poseConf, q.flags);
+      const fusedL = fuseProbs(eyeLeft, eyeCnnConf, geo.left, geo.conf, R.GEO_WEIGHT);
+      const fusedR = fuseProbs(eyeRight, eyeCnnConf, geo.right, geo.conf, R.GEO_WEIGHT);
+      const fusedYawn = fuseProbs(yawn, yawnCnnConf, geo.yawn, geo.conf, R.GEO_WEIGHT);
+      const unifiedEyeProb = unifyEyeProbs(fusedL.prob, fusedR.prob, rawYawDeg);
+      const eyeSource = fusedL.source === fusedR.source ? fusedL.source : "fused";
+      const yawnProb = fusedYawn.prob;
+
+      // ---------- Eye pipeline ----------
+      // No usable estimate (nothing to crop, poor quality): hold the debounced state, skip PERCLOS, keep the run length
+      const eyeKnown = !Number.isNaN(unifiedEyeProb);
+      const eyeClosedRaw = eyeKnown ? (unifiedEyeProb < R.EYE_CLOSE_T ? 1 : 0) : (eyeClosedDebounced ? 1 : 0);
+      if (eyeKnown) rbEyeClosed.push(nowSec, eyeClosedRaw, dt);
+      const perclos_30s = rbEyeClosed.mean();
+
+      if (!isFinite(emaEye1)) { const v = isFinite(unifiedEyeProb) ? unifiedEyeProb : 1.0; emaEye1 = v; emaEye5 = v; }
+      else {
+        const v = isFinite(unifiedEyeProb) ? unifiedEyeProb : emaEye1;
+        emaEye1 += (1 - Math.exp(-dt / 1.0)) * (v - emaEye1);
+        emaEye5 += (1 - Math.exp(-dt / 5.0)) * (v - emaEye5);
+      }
+      const eye_open_trend_3s = emaEye1 - emaEye5;
+
+      if (eyeKnown && eyeClosedRaw) {
+        eyeDebOn++; eyeDebOff = 0;
+        if (!eyeClosedDebounced && eyeDebOn >= EYE_DEBOUNCE_ON_F) {
+          eyeClosedDebounced = true; eyeRunS = 0;
+        }
+      } else if (eyeKnown) {
+        eyeDebOff++; eyeDebOn = 0;
+        if (eyeClosedDebounced && eyeDebOff >= EYE_DEBOUNCE_OFF_F) {
+          const durS = eyeRunS;
+          eyeRuns.push({ tEnd: nowSec, durS });
+          const cut30 = nowSec - 30.0; while (eyeRuns.length && eyeRuns[0].tEnd < cut30) eyeRuns.shift();
+          if (isBlinkDur(durS, R.BLINK_MIN_F, R.BLINK_MAX_F)) {
+            lastBlinkEndTime = nowSec; blinkPulse = 1;
+            events.push({ type: "blink", t: nowSec, durS, lenFrames: Math.round(durS / DT) });
+          }
+          closedRunS = durS;
+          eyeClosedDebounced = false; eyeRunS = 0;
+        }
+      }
+      if (eyeClosedDebounced && eyeKnown) eyeRunS += dt;
+
+      if (eyeClosedDebounced) {
+        if (!prolongedEyeActive && eyeRunS >= FRM_2P5S * DT - EPS && (nowSec - lastProlongStartT) >= BLINK_LOCK_FRM * DT - EPS) {
+          prolongedEyeActive = true; lastProlongStartT = nowSec;
+        }
+      } else {
+        prolongedEyeActive = false;
+      }
+      const prolonged_eye_state = prolongedEyeActive ? 1 : 0;
+      if (prolongedEyeActive !== prevProlongedEye) {
+        events.push({ type: "eyeClosure", t: nowSec, active: prolongedEyeActive, durS: prolongedEyeActive ? eyeRunS : closedRunS, perclos: perclos_30s });
+        prevProlongedEye = prolongedEyeActive;
+      }
+
+      const blink_state = (blinkPulse > 0 && !eyeClosedDebounced) ? 1 : 0;
+      if (blinkPulse > 0) blinkPulse--;
+
+      const cut10 = nowSec - 10.0, cut30 = nowSec - 30.0;
+      let blinks30 = 0, max_close_run_10s = 0;
+      for (const r of eyeRuns) {
+        if (r.tEnd >= cut30 && isBlinkDur(r.durS, R.BLINK_MIN_F, R.BLINK_MAX_F)) blinks30++;
+        if (r.tEnd >= cut10 && r.durS > max_close_run_10s) max_close_run_10s = r.durS;
+      }
+      const blink_rate_30s = blinks30 / 30.0;
+      const time_since_last_blink_s = Math.min(Math.max(0, nowSec - lastBlinkEndTime), TS_MAX);
+
+      // ---------- Mouth / yawn ----------
+      if (!isFinite(yawnEma1)) { yawnEma1 = isFinite(yawnProb) ? yawnProb : 0; }
+      else { const vy = isFinite(yawnProb) ? yawnProb : yawnEma1; yawnEma1 += (1 - Math.exp(-dt / 1.0)) * (vy - yawnEma1); }
+
+      if (mouthOpen) {
+        if (yawnEma1 <= R.MOUTH_OFF_T) {
+          const durS = mouthRunS;
+          mouthRuns.push({ tEnd: nowSec, durS });
+          const cutM30 = nowSec - 30.0; while (mouthRuns.length && mouthRuns[0].tEnd < cutM30) mouthRuns.shift();
+          if (durS >= R.MOUTH_PROLONG_S - EPS) { yawnPulse = 1; lastYawnEndTime = nowSec; events.push({ type: "yawn", t: nowSec, durS }); }
+          mouthOpen = false; mouthRunS = 0; yawnProlonged = false;
+        } else {
+          mouthRunS += dt;
+          if (!yawnProlonged && mouthRunS >= R.MOUTH_PROLONG_S - EPS) yawnProlonged = true;
+        }
+      } else {
+        if (yawnEma1 >= R.MOUTH_ON_T) { mouthOpen = true; mouthRunS = dt; yawnProlonged = false; }
+      }
+
+      const mouth_open_state = mouthOpen ? 1 : 0;
+      const mouth_open_run_s = mouthOpen ? mouthRunS : 0;
+      const yawn_prolonged_state = yawnProlonged ? 1 : 0;
+      const yawn_event_state = (!mouthOpen && yawnPulse > 0) ? 1 : 0;
+      if (yawnPulse > 0) yawnPulse--;
+
+      let mouthShort30 = 0;
+      for (const r of mouthRuns) {
+        if (r.tEnd >= cut30 && r.durS >= MOUTH_SHORT_MIN_S && r.durS <= MOUTH_SHORT_MAX_S) mouthShort30++;
+      }
+      const mouth_open_rate_30s = mouthShort30 / 30.0;
+      const time_since_last_yawn_s = Math.min(Math.max(0, nowSec - lastYawnEndTime), TS_MAX);
+
+      // ---------- Nod (rule) ----------
+      const eyeClosed = !!eyeClosedRaw;
+      const wasNodding = nodActive;
+      if (prolonged_eye_state && poseConf >= R.NOD_MIN_POSE_CONF && pitchDeg <= R.NOD_PITCH_ON_DEG && Math.abs(rollDeg) <= R.NOD_ROLL_MAX_DEG && Math.abs(yawDeg) <= R.NOD_YAW_MAX_DEG) nodActive = true;
+      if (!eyeClosed || Math.abs(yawDeg) > R.NOD_YAW_MAX_DEG || (pitchDeg >= R.NOD_PITCH_OFF_DEG)) nodActive = false;
+      if (nodActive !== wasNodding) events.push({ type: "nod", t: nowSec, active: nodActive, pitchDeg, yawDeg, rollDeg });
+
+      // ---------- Baseline drift ----------
+      if (!eyeClosedDebounced && !nodActive && !capture && !baselineCaptured) {
+        updateDrift(nowSec, dt, { yaw: yawDeg, pitch: pitchDeg, roll: rollDeg }, events);
+      }
+      const windowReset = baselineChanged;
+      baselineChanged = false;
+
+      // ---------- Build TCN features ----------
+      const features = buildRawFeatures({
+        yawDeg, pitchDeg: pitchDeg, rollDeg,
+        dYaw, dPitch, dRoll,
+        eye_open_unified: unifiedEyeProb,
+        ema_eye_open_1s: emaEye1,
+        ema_eye_open_5s: emaEye5,
+        eye_open_trend_3s,
+        eye_close_dur_s: eyeClosedDebounced ? eyeRunS : 0,
+        eye_run_len_frames: eyeRunS / DT, // nominal 15 FPS frames
+        perclos_30s,
+        blink_rate_30s,
+        max_close_run_10s: Number.isFinite(max_close_run_10s) ? max_close_run_10s : 0,
+        time_since_last_blink_s,
+        yawn_prob_ema_1s: yawnEma1,
+        mouth_open_run_s,
+        mouth_open_rate_30s,
+        time_since_last_yawn_s
+      });
+
+      lastOut = {
+        t: nowSec,
+        features,
+        vector: rawToVector(features),
+        baselineCaptured,
+        dominantEye,
+        pose: { yawDeg, pitchDeg, rollDeg, dYaw, dPitch, dRoll, rawYawDeg, confidence: poseConf, residual: fit.residual, measured },
+        eye: {
+          prob: unifiedEyeProb, source: eyeSource, cnnProb: unifyEyeProbs(eyeLeft, eyeRight, rawYawDeg),
+          geoProb: unifyEyeProbs(geo.left, geo.right, rawYawDeg), ear: geo.ear,
+          closedRaw: eyeClosedRaw, closedDebounced: eyeClosedDebounced,
+          runLenFrames: eyeRunS / DT, runS: eyeRunS,
+          prolonged: prolonged_eye_state, blink: blink_state
+        },
+        mouth: {
+          prob: yawnProb, source: fusedYawn.source, cnnProb: Number.isFinite(yawn) ? yawn : NaN, geoProb: geo.yawn, mar: geo.mar,
+          ema: yawnEma1, open: mouth_open_state,
+          prolonged: yawn_prolonged_state, yawnEvent: yawn_event_state
+        },
+        nod: nodActive,
+        face: { state: "present", absentS: 0 },
+        imputed: false,
+        windowReset,
+        calibration: calibrationStatus(),
+        drift: driftStatus(),
+        quality: q,
+        events
+      };
+      return lastOut;
+    }
+
+    return {
+      step,
+      reset,
+      /** Preloads a saved pose baseline so the first frame is not used as the neutral pose. Call after reset(). */
+      setBaseline(R0, eye = "both") { baseline.setR0(R0); dominantEye = eye; },
+      /** Starts a guided pose capture; the baseline changes when it completes ("recalibration" event). */
+      recalibrate({ durationS = CAPTURE_S, maxDeg = CAPTURE_MAX_DEG, timeoutS = CAPTURE_TIMEOUT_S, reason = "manual" } = {}) {
+        capture = { reason, durationS, maxDeg, timeoutS, startT: null, firstT: null, lastT: null, n: 0, restarts: 0 };
+      },
+      cancelRecalibration() { capture = null; },
+      /** Swaps in a known baseline mid-session (e.g. replaying a logged recalibration); keeps eye/mouth state. */
+      rebaseline(R0, eye = dominantEye) { baseline.setR0(R0); dominantEye = eye; capture = null; swapBaseline(lastT, null); },
+      getCalibration() { return calibrationStatus(); },
+      getDrift() { return driftStatus(); },
+      getBaselineR0() { return baseline.getR0(); },
+      getDominantEye() { return dominantEye; },
+      getFaceState() { return { state: faceState, absentS }; },
+      /** Replaces the tunable rules (missing keys fall back to RULE_DEFAULTS); takes effect on the next frame. */
+      setRules(rules) { R = pickRules(rules); },
+      getRules() { return { ...R }; }
+    };
+  }
+
+  return {
+    FEAT_ORDER, FEAT_NAMES: FEAT_ORDER.slice(), F,
+    TARGET_FPS, DT, FACE_GRACE_S, DRIFT_TAU_S,
+    EYE_CLOSE_T, BLINK_MIN_F, BLINK_MAX_F, MOUTH_ON_T, MOUTH_OFF_T, MOUTH_PROLONG_S, RULE_DEFAULTS,
+    QUALITY_REF_MIN_S, QUALITY_ON_S, QUALITY_OFF_S,
+    TimeWindow,
+    STABLE_IDX, faceAxesFromLandmarks, eulerFromAxes, makeBaselineCalibrator, fitRotation, createPoseFitter, createAngleFilter,
+    buildRawFeatures, rawToVector, finiteOr, unifyEyeProbs,
+    EAR_IDX, MAR_IDX, eyeAspectRatio, mouthAspectRatio, createQuantileTracker, fuseProbs,
+    createFeatureExtractor, createGridResampler, createTcnWindow, createRateMonitor
+  };
+});
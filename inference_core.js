@@ -0,0 +1,353 @@
+/**
+ * inference_core.js
+ * Model loading, eye/mouth crops and CNN/TCN prediction · shared by the page and inference_worker.js
+ *
+ * Usage (in HTML, after TF.js and before realtime_tcn.js; in the worker via importScripts):
+ * <script src="inference_core.js"></script>
+ *
+ * Exposes window.TCNInference (self.TCNInference in a worker, module.exports in Node):
+ *   - loadModels(tf, set)                → { eyeModel, yawnModel, tcnModel, eyeCrop, mouthCrop, info } for one
+ *       model_manifest.json set; rejects (and frees what it loaded) when a model's input shape differs
+ *       from the manifest or its output is not a single probability. Each model is also stored in TF.js
+ *       IndexedDB storage and loaded from there when the network (and service worker cache) fails.
+ *   - disposeModels(models)              frees a loaded set (runtime model-set switching)
+ *   - predictCrops(tf, models, source, W, H, landmarks, { wantCrops })
+ *       `source` is anything tf.browser.fromPixels accepts (canvas, OffscreenCanvas, ImageBitmap). Only the face
+ *       region is read (via an OffscreenCanvas where there is one), and synchronously: the caller may draw the next
+ *       frame into `source` as soon as the promise is returned, so frames can be pipelined. Both eyes and the mouth
+ *       are cut out with tf.image.cropAndResize, and all outputs come back in one async readback (no dataSync).
+ *       Resolves { eyeLProb, eyeRProb, yawnProb, eyeConf, yawnConf, crops } where crops = { eye, mouth } of
+ *       { width, height, data: Uint8ClampedArray RGBA } when wantCrops, else null. eyeConf / yawnConf (0…1)
+ *       rate the crops by their source size: 0 when a crop is too small to take (probability NaN), 1 once it
+ *       has at least half the CNN input's resolution; the eye confidence is the smaller eye's.
+ *       quality = { brightness, contrast, eyeSharpness, mouthSharpness }: mean / std of the gray (0…1) landmark
+ *       bounding box, and std(Laplacian) / std(image) of the eye (mean of both) and mouth crops — detail relative
+ *       to contrast, so it falls with blur rather than with dim light. NaN where a region could not be cropped.
+ *       timing = { crops, eyeCnn, yawnCnn, readback } in ms: dispatching the crop and quality ops and each CNN, then
+ *       waiting for the results. On CPU/WASM the ops run as they are dispatched; on WebGL the GPU work shows up in
+ *       readback, which no longer blocks the thread.
+ *   - selectBackend(tf, order, { wasmPath }) → { backend, failed } switches to the first backend of `order` that starts
+ *   - predictTcn(tf, tcnModel, flat, T, F) → Promise of the probability for one [T, F] window (row-major
+ *       Float32Array, copied before the promise is returned)
+ *   - explainTcn(tf, tcnModel, flat, T, F, { method, block, baseline }) → Promise of { prob, method, rows, map,
+ *       perFeature }: per-feature attribution of one window, read back asynchronously batch by batch. baseline
+ *       (F values in window units) is what a feature is replaced with; default the window's per-feature mean, as 0
+ *       is a real raw value (0 s since the last blink, 0° pose). "occlusion" (default): drop in probability when a
+ *       feature channel (perFeature) or a block of `block` rows of it (map, [ceil(T / block), F]) is set to the
+ *       baseline. "gradient": gradient × (input − baseline) via tf.grad, map is [T, F]; TF.js has no gradient for
+ *       dilated convolutions, so for such TCNs it falls back to occlusion (the returned `method` says which ran).
+ *       Positive scores push towards drowsy; map and perFeature are Float32Arrays.
+ *   - landmarksFromKeypoints(keypoints, W, H) converts TF.js face-landmarks keypoints (pixels) to the
+ *     normalized { x, y, z } layout MediaPipe FaceMesh returns, so both runtimes feed the same extractor.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNInference = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // FaceMesh landmark indices framing each crop
+  const LIDX = [33, 133, 159, 145], RIDX = [362, 263, 386, 374], MIDX = [61, 291, 13, 14, 81, 178, 308, 402];
+  const EYE_CROP = 90, MOUTH_CROP = 120;
+
+  function paddedBox(xs, ys, W, H, pad = 1.8, maxS = 300) {
+    let cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    let w = Math.max(...xs) - Math.min(...xs), h = Math.max(...ys) - Math.min(...ys);
+    let size = Math.min(Math.max(w, h) * pad, maxS);
+    let x = Math.max(0, Math.floor(cx - size / 2)), y = Math.max(0, Math.floor(cy - size / 2));
+    if (x + size > W) size = W - x; if (y + size > H) size = H - y;
+    let s = Math.floor(size); if (s <= 10) return null;
+    return { x, y, w: s, h: s };
+  }
+
+  // Crops upscaled from fewer pixels than half the CNN input are blurry: confidence ramps from paddedBox's
+  // 10 px minimum to outSize / 2
+  function cropConfidence(size, outSize) {
+    return Math.min(1, Math.max(0, (size - 10) / Math.max(outSize / 2 - 10, 1)));
+  }
+
+  const LAPLACIAN = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+  const FACE_QUALITY_SIZE = 64;
+
+  // [brightness, contrast, eyeSharpness, mouthSharpness] as a tensor; face: landmark box in `image` pixels or null
+  function qualityTensor(tf, image, face, eyeBatch, mouth) {
+    return tf.tidy(() => {
+      const nan = tf.scalar(NaN);
+      let light = [nan, nan];
+      if (face) {
+        const crop = tf.slice(image, [face.y, face.x, 0], [face.h, face.w, 3]);
+        const gray = tf.image.resizeBilinear(crop, [FACE_QUALITY_SIZE, FACE_QUALITY_SIZE]).mean(2).div(255.0);
+        const { mean, variance } = tf.moments(gray);
+        light = [mean, variance.sqrt()];
+      }
+      const kernel = tf.tensor4d(LAPLACIAN, [3, 3, 1, 1]);
+      const sharpness = batch => {
+        const lapStd = tf.moments(tf.conv2d(batch, kernel, 1, "valid"), [1, 2, 3]).variance.sqrt();
+        return lapStd.div(tf.moments(batch, [1, 2, 3]).variance.sqrt().maximum(1e-3)).mean();
+      };
+      return tf.stack([...light, eyeBatch ? sharpness(eyeBatch) : nan, mouth ? sharpness(mouth) : nan]);
+    });
+  }
+
+  // Pixel box around all landmarks, or null when it is too small to measure
+  function landmarkBox(lm, W, H) {
+    let x0 = W, y0 = H, x1 = 0, y1 = 0;
+    for (const p of lm) { x0 = Math.min(x0, p.x * W); x1 = Math.max(x1, p.x * W); y0 = Math.min(y0, p.y * H); y1 = Math.max(y1, p.y * H); }
+    x0 = Math.max(0, Math.floor(x0)); y0 = Math.max(0, Math.floor(y0)); x1 = Math.min(W, Math.ceil(x1)); y1 = Math.min(H, Math.ceil(y1));
+    return x1 - x0 >= 8 && y1 - y0 >= 8 ? { x: x0, y: y0, w: x1 - x0, h: y1 - y0 } : null;
+  }
+
+  // Only the face region of the frame becomes a tensor: it is copied to a reusable canvas first. Without
+  // OffscreenCanvas (Node), or for raw pixel data, the whole frame is read and the region is its origin.
+  let staging = null, stagingCtx = null;
+  function regionPixels(tf, source, r) {
+    if (typeof OffscreenCanvas === "undefined" || source.data) return { image: tf.browser.fromPixels(source), x: 0, y: 0 };
+    if (!staging) { staging = new OffscreenCanvas(r.w, r.h); stagingCtx = staging.getContext("2d"); }
+    if (staging.width !== r.w || staging.height !== r.h) { staging.width = r.w; staging.height = r.h; }
+    stagingCtx.drawImage(source, r.x, r.y, r.w, r.h, 0, 0, r.w, r.h);
+    return { image: tf.browser.fromPixels(staging), x: r.x, y: r.y };
+  }
+
+  const shapeText = s => `[${s.map(d => d ?? "null").join(", ")}]`;
+
+  // The network (answered by sw.js from its cache when offline) comes first; a copy kept in TF.js IndexedDB
+  // storage covers pages served without a service worker (plain-http LAN hosting, service workers disabled).
+  // The copy is rewritten after every network load: a retrained model can have the same size as the old one.
+  async function loadLayers(tf, path) {
+    const key = `indexeddb://snoozenet-${path}`;
+    let model;
+    try {
+      model = await tf.loadLayersModel(path);
+    } catch (e) {
+      try { return await tf.loadLayersModel(key); } catch { throw e; }
+    }
+    try { await model.save(key); } catch { /* no IndexedDB here (Node, private mode) */ }
+    return model;
+  }
+
+  /** Loads one manifest set (model_manifest.js) and checks each model's input against what the set declares. */
+  async function loadModels(tf, set) {
+    const loaded = [];
+    try {
+      const eyeModel = await loadLayers(tf, set.eye.path); loaded.push(eyeModel);
+      const yawnModel = await loadLayers(tf, set.yawn.path); loaded.push(yawnModel);
+      const tcnModel = await loadLayers(tf, set.tcn.path); loaded.push(tcnModel);
+      const errors = [];
+      for (const [key, model] of [["eye", eyeModel], ["yawn", yawnModel], ["tcn", tcnModel]]) {
+        const actual = model.inputs[0].shape, expected = set[key].inputShape;
+        if (shapeText(actual) !== shapeText(expected)) errors.push(`${key} model expects ${shapeText(actual)}, manifest declares ${shapeText(expected)}`);
+        const out = model.outputs[0].shape;
+        if (out[out.length - 1] !== 1) errors.push(`${key} model outputs ${shapeText(out)}, expected one probability`);
+      }
+      if (errors.length) throw new Error(`Model set "${set.id}" does not match its manifest: ${errors.join("; ")}`);
+      const tcnInputShape = tcnModel.inputs[0].shape; // [null, T, F]
+      return {
+        eyeModel, yawnModel, tcnModel,
+        eyeCrop: set.eye.crop, mouthCrop: set.yawn.crop,
+        info: {
+          backend: tf.getBackend(),
+          modelSet: set.id,
+          tcnInputShape,
+          modelVersion: `${tcnModel.name}[${tcnInputShape.slice(1).join("x")}]+${eyeModel.name}+${yawnModel.name}`
+        }
+      };
+    } catch (e) {
+      loaded.forEach(m => m.dispose());
+      throw e;
+    }
+  }
+
+  /**
+   * Switches TF.js to the first backend of `order` that starts (a registered name whose init succeeds).
+   * wasmPath: directory of the tfjs-backend-wasm binaries, when that backend is loaded.
+   * Resolves { backend, failed: [{ name, error }] }; rejects when none of them starts.
+   */
+  async function selectBackend(tf, order, { wasmPath = null } = {}) {
+    const failed = [];
+    for (const name of order) {
+      try {
+        if (!tf.findBackendFactory(name)) throw new Error("not loaded");
+        // setWasmPaths() throws once the WASM backend is initialized, e.g. when switching back to it
+        if (name === "wasm" && wasmPath && tf.wasm && !tf.engine().registry.wasm) tf.wasm.setWasmPaths(wasmPath);
+        if (!(await tf.setBackend(name))) throw new Error("initialization failed");
+        await tf.ready();
+        return { backend: name, failed };
+      } catch (e) {
+        failed.push({ name, error: e?.message || String(e) });
+      }
+    }
+    throw new Error(`No TF.js backend could start: ${failed.map(f => `${f.name} (${f.error})`).join(", ")}`);
+  }
+
+  function disposeModels(models) {
+    if (!models) return;
+    models.eyeModel.dispose(); models.yawnModel.dispose(); models.tcnModel.dispose();
+  }
+
+  async function cropPixels(tf, t) {
+    const img = t.squeeze();
+    try { return { width: img.shape[1], height: img.shape[0], data: await tf.browser.toPixels(img) }; }
+    finally { img.dispose(); }
+  }
+
+  async function predictCrops(tf, { eyeModel, yawnModel, eyeCrop = [EYE_CROP, EYE_CROP], mouthCrop = [MOUTH_CROP, MOUTH_CROP] }, source, W, H, lm, { wantCrops = false } = {}) {
+    const now = () => performance.now();
+    const t0 = now();
+    const boxOf = idxs => paddedBox(idxs.map(i => lm[i].x * W), idxs.map(i => lm[i].y * H), W, H, 1.8, 300);
+    const left = boxOf(LIDX), right = boxOf(RIDX), mouthBox = boxOf(MIDX), face = landmarkBox(lm, W, H);
+    const eyes = left && right;
+    let eyeLProb = NaN, eyeRProb = NaN, yawnProb = NaN, eyeConf = 0, yawnConf = 0, quality = null;
+    const crops = wantCrops ? { eye: null, mouth: null } : null;
+    const timing = { crops: 0, eyeCnn: 0, yawnCnn: 0, readback: 0 };
+    const boxes = [...(eyes ? [left, right] : []), ...(mouthBox ? [mouthBox] : [])];
+    if (!boxes.length && !face) return { eyeLProb, eyeRProb, yawnProb, eyeConf, yawnConf, quality, timing, crops };
+
+    // Everything below up to the readback is synchronous: `source` may be redrawn (the next frame) once this yields
+    let region = face || boxes[0];
+    for (const b of boxes) {
+      const x = Math.min(region.x, b.x), y = Math.min(region.y, b.y);
+      region = { x, y, w: Math.max(region.x + region.w, b.x + b.w) - x, h: Math.max(region.y + region.h, b.y + b.h) - y };
+    }
+    const tEye = {}, out = tf.tidy(() => {
+      const { image, x: ox, y: oy } = regionPixels(tf, source, region);
+      const [ih, iw] = image.shape;
+      // Both eyes and the mouth in one crop-and-resize per CNN input size: a single op when the two CNNs share one,
+      // else one for the eye pair and one for the mouth (an eye crop resampled twice would come out softer than
+      // the training crops). Box ends are placed so the samples fall where resizeBilinear put them on the slice.
+      const cropGray = (list, [outW, outH]) => {
+        const norm = list.flatMap(b => [
+          (b.y - oy) / (ih - 1), (b.x - ox) / (iw - 1),
+          (b.y - oy + b.h * (outH - 1) / outH) / (ih - 1), (b.x - ox + b.w * (outW - 1) / outW) / (iw - 1)
+        ]);
+        return tf.image.cropAndResize(batchImage, tf.tensor2d(norm, [list.length, 4]), tf.zeros([list.length], "int32"), [outH, outW])
+          .mean(3, true).div(255.0);
+      };
+      const batchImage = image.expandDims(0);
+      const shared = eyes && mouthBox && eyeCrop[0] === mouthCrop[0] && eyeCrop[1] === mouthCrop[1];
+      let eyeBatch = null, mouth = null;
+      if (shared) {
+        const all = cropGray([left, right, mouthBox], eyeCrop);
+        eyeBatch = all.slice([0], [2]); mouth = all.slice([2], [1]);
+      } else {
+        if (eyes) eyeBatch = cropGray([left, right], eyeCrop);
+        if (mouthBox) mouth = cropGray([mouthBox], mouthCrop);
+      }
+      const q = qualityTensor(tf, image, face && { x: face.x - ox, y: face.y - oy, w: face.w, h: face.h }, eyeBatch, mouth);
+      tEye.start = now();
+      const nan2 = tf.fill([2], NaN), nan1 = tf.fill([1], NaN);
+      // Both models are dispatched here, before the first await, so a model-set switch cannot dispose them mid-frame
+      const eyeOut = eyeBatch ? eyeModel.predict(eyeBatch).reshape([-1]) : nan2;
+      tEye.end = now();
+      const mouthOut = mouth ? yawnModel.predict(mouth).reshape([-1]) : nan1;
+      tEye.yawn = now();
+      return {
+        values: tf.concat([eyeOut, mouthOut, q]), // one readback: [eyeL, eyeR, yawn, brightness, contrast, eyeSharp, mouthSharp]
+        eyeImg: crops && eyeBatch ? eyeBatch.slice([0], [1]) : null,
+        mouthImg: crops && mouth ? mouth.clone() : null
+      };
+    });
+    timing.crops = tEye.start - t0; timing.eyeCnn = tEye.end - tEye.start; timing.yawnCnn = tEye.yawn - tEye.end;
+    try {
+      const v = await out.values.data();
+      timing.readback = now() - tEye.yawn;
+      if (eyes) { eyeLProb = v[0]; eyeRProb = v[1]; eyeConf = Math.min(cropConfidence(left.w, eyeCrop[0]), cropConfidence(right.w, eyeCrop[0])); }
+      if (mouthBox) { yawnProb = v[2]; yawnConf = cropConfidence(mouthBox.w, mouthCrop[0]); }
+      quality = { brightness: v[3], contrast: v[4], eyeSharpness: v[5], mouthSharpness: v[6] };
+      if (out.eyeImg) crops.eye = await cropPixels(tf, out.eyeImg);
+      if (out.mouthImg) crops.mouth = await cropPixels(tf, out.mouthImg);
+    } finally {
+      tf.dispose(out);
+    }
+    return { eyeLProb, eyeRProb, yawnProb, eyeConf, yawnConf, quality, timing, crops };
+  }
+
+  /** Probability for one [T, F] window; `flat` may be reused by the caller as soon as this returns its promise. */
+  async function predictTcn(tf, tcnModel, flat, T, F) {
+    const y = tf.tidy(() => tcnModel.predict(tf.tensor3d(flat, [1, T, F])));
+    try { return (await y.data())[0]; }
+    finally { y.dispose(); }
+  }
+
+  const OCCLUSION_BATCH = 64;
+
+  // tf.grad has no gradient for dilated convolutions: check the layers instead of letting a failed tape leak
+  const gradientOk = new WeakMap();
+  function supportsGradient(model) {
+    if (!gradientOk.has(model)) {
+      const dilated = l => [].concat(l.getConfig?.().dilationRate ?? 1).some(d => d > 1);
+      gradientOk.set(model, !model.layers.some(dilated));
+    }
+    return gradientOk.get(model);
+  }
+
+  // Gives the thread back between occlusion batches so frames queued behind an attribution are not held up
+  const yieldThread = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // Per-feature mean over the window's rows: a neutral value for that feature in this window
+  function windowMean(flat, T, F) {
+    const mean = new Float32Array(F);
+    for (let t = 0; t < T; t++) for (let f = 0; f < F; f++) mean[f] += flat[t * F + f] / T;
+    return mean;
+  }
+
+  async function explainTcn(tf, tcnModel, flat, T, F, { method = "occlusion", block = 15, baseline = null } = {}) {
+    if (method !== "occlusion" && method !== "gradient") throw new Error(`Unknown attribution method "${method}". Expected occlusion or gradient`);
+    if (baseline && baseline.length !== F) throw new Error(`Attribution baseline has ${baseline.length} values, expected ${F}`);
+    const base = baseline || windowMean(flat, T, F);
+    if (method === "gradient" && supportsGradient(tcnModel)) {
+      const x = tf.tensor3d(flat, [1, T, F]);
+      let out = null;
+      try {
+        out = tf.tidy(() => {
+          const grad = tf.grad(inp => tcnModel.apply(inp, { training: false }).sum())(x);
+          return tf.concat([tcnModel.predict(x).reshape([-1]), grad.mul(x.sub(tf.tensor1d(base))).reshape([-1])]);
+        });
+        const values = await out.data();
+        const prob = values[0], map = values.slice(1);
+        const perFeature = new Float32Array(F);
+        for (let t = 0; t < T; t++) for (let f = 0; f < F; f++) perFeature[f] += map[t * F + f];
+        return { prob, method, rows: T, map, perFeature };
+      } catch (e) {
+        console.warn("TCN gradients unavailable, using occlusion:", e.message);
+        gradientOk.set(tcnModel, false);
+      } finally {
+        x.dispose();
+        out?.dispose();
+      }
+    }
+    // Variant 0 is the window itself, then one per channel, then one per (row block, channel)
+    const rows = Math.ceil(T / block);
+    const variants = [flat];
+    for (let f = 0; f < F; f++) {
+      const v = flat.slice();
+      for (let t = 0; t < T; t++) v[t * F + f] = base[f];
+      variants.push(v);
+    }
+    for (let b = 0; b < rows; b++) {
+      for (let f = 0; f < F; f++) {
+        const v = flat.slice();
+        for (let t = b * block; t < Math.min(T, (b + 1) * block); t++) v[t * F + f] = base[f];
+        variants.push(v);
+      }
+    }
+    const probs = new Float32Array(variants.length);
+    for (let i = 0; i < variants.length; i += OCCLUSION_BATCH) {
+      const batch = variants.slice(i, i + OCCLUSION_BATCH);
+      const data = new Float32Array(batch.length * T * F);
+      batch.forEach((v, k) => data.set(v, k * T * F));
+      if (i) await yieldThread();
+      const out = tf.tidy(() => tcnModel.predict(tf.tensor3d(data, [batch.length, T, F])));
+      try { probs.set(await out.data(), i); }
+      finally { out.dispose(); }
+    }
+    const prob = probs[0];
+    const perFeature = probs.subarray(1, 1 + F).map(p => prob - p);
+    const map = probs.subarray(1 + F).map(p => prob - p);
+    return { prob, method: "occlusion", rows, map, perFeature };
+  }
+
+  function landmarksFromKeypoints(keypoints, W, H) {
+    return keypoints.map(k => ({ x: k.x / W, y: k.y / H, z: (k.z ?? 0) / W }));
+  }
+
+  return { LIDX, RIDX, MIDX, EYE_CROP, MOUTH_CROP, paddedBox, cropConfidence, loadModels, disposeModels, selectBackend, predictCrops, predictTcn, explainTcn, landmarksFromKeypoints };
+});
@@ -0,0 +1,107 @@
+/**
+ * inference_worker.js
+ * Off-main-thread inference · FaceMesh (TF.js runtime) + eye/yawn CNNs + TCN on an OffscreenCanvas
+ *
+ * Started by realtime_tcn.js, only with ?inference=worker, as a classic worker: new Worker("inference_worker.js").
+ * Libraries are the vendored copies (vendor/); the FaceMesh models come from tfhub.dev and are only available offline
+ * once sw.js has cached them.
+ * Frames arrive as transferred ImageBitmaps; only landmarks, probabilities and (on request) the
+ * debug crop pixels go back, so the page thread only draws. Detection and classification are split so
+ * the page can pick the monitored face (face_tracker.js) in between; the last frame stays on the canvas.
+ * The TF.js FaceMesh runtime places landmarks slightly differently from the MediaPipe solution the main-thread
+ * engine uses (and the rules and models were tuned on); sessions record which one ran (realtime_tcn.js, "Inference").
+ *
+ * Messages in  (page → worker):
+ *   { type: "init", id, modelSet, faceMesh: { maxFaces, refineLandmarks }, backends }   modelSet: a model_manifest.json
+ *                                                set; backends: TF.js backends to try in order (default webgl, wasm, cpu)
+ *   { type: "models", id, modelSet }             switch model sets; the old models stay in use until the new load
+ *   { type: "faces", id, bitmap }                detect every face; bitmap is closed after use
+ *   { type: "crops", id, landmarks, wantCrops }  eye/yawn CNNs on the last detected frame for one face; the frame is
+ *                                                read before the reply is awaited, so the next "faces" may follow at once
+ *   { type: "tcn", id, flat, T, F }              flat: Float32Array, row-major [T, F]
+ *   { type: "explain", id, flat, T, F, method, baseline }  per-feature attribution of one window (TCNInference.explainTcn)
+ *   { type: "backend", id, name }                switch the TF.js backend; models and FaceMesh weights move with it
+ *   { type: "reset", id }                        drop FaceMesh tracking state (replay)
+ * Messages out (worker → page), one per request with the same id:
+ *   { type: "ready", id, info }  |  { type: "models", id, info }  |  { type: "backend", id, backend, failed }  |  { type: "faces", id, faces: [landmarks] }
+ *   { type: "crops", id, eyeLProb, eyeRProb, yawnProb, eyeConf, yawnConf, quality, timing, crops }
+ *   { type: "tcn", id, prob }    |  { type: "explain", id, prob, method, rows, map, perFeature }
+ *   { type: "reset", id }        |  { type: "error", id, message }
+ * info.backend is the backend that started and info.backendsFailed lists those that did not.
+ */
+
+importScripts(
+  "vendor/tfjs@4.22.0/tf.min.js",
+  "vendor/tfjs-backend-wasm@4.22.0/tf-backend-wasm.min.js",
+  "vendor/face-landmarks-detection@1.0.6/face-landmarks-detection.min.js",
+  "inference_core.js"
+);
+
+const WASM_PATH = "vendor/tfjs-backend-wasm@4.22.0/";
+
+let models = null, detector = null;
+let canvas = null, cctx = null;
+
+async function init({ modelSet, faceMesh = {}, backends = ["webgl", "wasm", "cpu"] }) {
+  if (typeof OffscreenCanvas === "undefined") throw new Error("OffscreenCanvas is not available in workers");
+  const { failed } = await TCNInference.selectBackend(tf, backends, { wasmPath: WASM_PATH });
+  models = await TCNInference.loadModels(tf, modelSet);
+  detector = await faceLandmarksDetection.createDetector(faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh, {
+    runtime: "tfjs", maxFaces: faceMesh.maxFaces ?? 4, refineLandmarks: !!faceMesh.refineLandmarks
+  });
+  canvas = new OffscreenCanvas(1, 1);
+  cctx = canvas.getContext("2d");
+  return { ...models.info, backendsFailed: failed };
+}
+
+async function switchModels({ modelSet }) {
+  const next = await TCNInference.loadModels(tf, modelSet);
+  TCNInference.disposeModels(models);
+  models = next;
+  return models.info;
+}
+
+async function detectFaces({ bitmap }) {
+  const W = bitmap.width, H = bitmap.height;
+  if (canvas.width !== W || canvas.height !== H) { canvas.width = W; canvas.height = H; }
+  cctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const faces = await detector.estimateFaces(canvas, { flipHorizontal: false });
+  return faces.map(f => TCNInference.landmarksFromKeypoints(f.keypoints, W, H));
+}
+
+function cropTransfers(crops) {
+  return crops ? [crops.eye, crops.mouth].filter(Boolean).map(c => c.data.buffer) : [];
+}
+
+self.onmessage = async ({ data: msg }) => {
+  const { id } = msg;
+  try {
+    if (msg.type === "init") {
+      self.postMessage({ type: "ready", id, info: await init(msg) });
+    } else if (msg.type === "models") {
+      self.postMessage({ type: "models", id, info: await switchModels(msg) });
+    } else if (msg.type === "faces") {
+      self.postMessage({ type: "faces", id, faces: await detectFaces(msg) });
+    } else if (msg.type === "crops") {
+      const r = await TCNInference.predictCrops(tf, models, canvas, canvas.width, canvas.height, msg.landmarks, { wantCrops: msg.wantCrops });
+      self.postMessage({ type: "crops", id, ...r }, cropTransfers(r.crops));
+    } else if (msg.type === "tcn") {
+      self.postMessage({ type: "tcn", id, prob: await TCNInference.predictTcn(tf, models.tcnModel, msg.flat, msg.T, msg.F) });
+    } else if (msg.type === "explain") {
+      const r = await TCNInference.explainTcn(tf, models.tcnModel, msg.flat, msg.T, msg.F, { method: msg.method, baseline: msg.baseline });
+      self.postMessage({ type: "explain", id, ...r }, [r.map.buffer, r.perFeature.buffer]);
+    } else if (msg.type === "backend") {
+      const r = await TCNInference.selectBackend(tf, [msg.name], { wasmPath: WASM_PATH });
+      self.postMessage({ type: "backend", id, ...r });
+    } else if (msg.type === "reset") {
+      detector?.reset();
+      self.postMessage({ type: "reset", id });
+    } else {
+      throw new Error(`unknown message type "${msg.type}"`);
+    }
+  } catch (e) {
+    msg.bitmap?.close();
+    self.postMessage({ type: "error", id, message: e?.message || String(e) });
+  }
+};
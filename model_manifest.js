@@ -0,0 +1,86 @@
+/**
+ * model_manifest.js
+ * Model-set manifest · parsing and validation of model_manifest.json, per-set feature mapping
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="model_manifest.js"></script>
+ *
+ * Exposes window.TCNModels (or module.exports in Node):
+ *   - parseManifest(json, { featOrder, validateThresholds }) → manifest; throws Error listing every problem
+ *   - getSet(manifest, id)      → the set with that id (throws if missing)
+ *   - featureIndex(set, featOrder) → Int32Array mapping TCN input columns to extractor FEAT_ORDER positions
+ *
+ * Manifest (model_manifest.json):
+ *   { schema: "snoozenet.models", version: 1, default: "<set id>",
+ *     sets: [{ id, label,
+ *       eye:  { path, inputShape: [null, 90, 90, 1],  crop: [90, 90] },
+ *       yawn: { path, inputShape: [null, 120, 120, 1], crop: [120, 120] },
+ *       tcn:  { path, inputShape: [null, T, F], featOrder: [F names from the extractor's FEAT_ORDER] },
+ *       thresholds: { ON_THRESH, OFF_THRESH, ... }   optional tcn_config.js overrides for this set }] }
+ * A TCN may use any subset/permutation of the extractor's features; columns are fed in its featOrder.
+ * Paths are relative to the page. Loaded models are checked against inputShape by inference_core.js.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNModels = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.models";
+  const VERSION = 1;
+  const MANIFEST_URL = "model_manifest.json";
+
+  const isPosInt = v => Number.isInteger(v) && v > 0;
+  const isShape = (s, rank) => Array.isArray(s) && s.length === rank && s[0] === null && s.slice(1).every(isPosInt);
+
+  function checkSet(set, featOrder, validateThresholds, errors) {
+    const at = `set "${set?.id}"`;
+    if (!set || typeof set !== "object") { errors.push("every set must be an object"); return; }
+    if (typeof set.id !== "string" || !set.id) errors.push("every set needs a string id");
+    for (const [key, size] of [["eye", 90], ["yawn", 120]]) {
+      const m = set[key];
+      if (!m || typeof m.path !== "string") { errors.push(`${at}: ${key}.path is required`); continue; }
+      if (!isShape(m.inputShape, 4) || m.inputShape[3] !== 1) { errors.push(`${at}: ${key}.inputShape must be [null, H, W, 1] (e.g. [null, ${size}, ${size}, 1])`); continue; }
+      if (!Array.isArray(m.crop) || m.crop.length !== 2 || !m.crop.every(isPosInt)) errors.push(`${at}: ${key}.crop must be [width, height]`);
+      else if (m.crop[0] !== m.inputShape[2] || m.crop[1] !== m.inputShape[1]) errors.push(`${at}: ${key}.crop ${m.crop.join("×")} does not match inputShape ${m.inputShape[2]}×${m.inputShape[1]}`);
+    }
+    const t = set.tcn;
+    if (!t || typeof t.path !== "string") { errors.push(`${at}: tcn.path is required`); return; }
+    if (!isShape(t.inputShape, 3)) errors.push(`${at}: tcn.inputShape must be [null, T, F]`);
+    if (!Array.isArray(t.featOrder) || !t.featOrder.length) { errors.push(`${at}: tcn.featOrder must list the features the TCN was trained on`); return; }
+    const unknown = t.featOrder.filter(n => !featOrder.includes(n));
+    if (unknown.length) errors.push(`${at}: tcn.featOrder has features the extractor does not compute: ${unknown.join(", ")}`);
+    if (new Set(t.featOrder).size !== t.featOrder.length) errors.push(`${at}: tcn.featOrder has duplicates`);
+    if (isShape(t.inputShape, 3) && t.inputShape[2] !== t.featOrder.length) errors.push(`${at}: tcn.inputShape F=${t.inputShape[2]} but featOrder has ${t.featOrder.length} names`);
+    if (set.thresholds !== undefined) {
+      try { validateThresholds?.(set.thresholds); } catch (e) { errors.push(`${at}: thresholds — ${e.message}`); }
+    }
+  }
+
+  function parseManifest(json, { featOrder, validateThresholds = null } = {}) {
+    const m = typeof json === "string" ? JSON.parse(json) : json;
+    const errors = [];
+    if (!m || m.schema !== SCHEMA) errors.push(`unexpected schema "${m?.schema}"`);
+    if (m?.version !== VERSION) errors.push(`unsupported manifest version ${m?.version}`);
+    if (!Array.isArray(m?.sets) || !m.sets.length) errors.push("manifest has no model sets");
+    else {
+      m.sets.forEach(s => checkSet(s, featOrder, validateThresholds, errors));
+      const ids = m.sets.map(s => s?.id);
+      if (new Set(ids).size !== ids.length) errors.push("set ids must be unique");
+      if (!ids.includes(m.default)) errors.push(`default set "${m.default}" is not defined`);
+    }
+    if (errors.length) throw new Error("Invalid model manifest: " + errors.join("; "));
+    return m;
+  }
+
+  function getSet(manifest, id) {
+    const set = manifest.sets.find(s => s.id === id);
+    if (!set) throw new Error(`Unknown model set "${id}". Available: ${manifest.sets.map(s => s.id).join(", ")}`);
+    return set;
+  }
+
+  function featureIndex(set, featOrder) {
+    return Int32Array.from(set.tcn.featOrder, n => featOrder.indexOf(n));
+  }
+
+  return { SCHEMA, VERSION, MANIFEST_URL, parseManifest, getSet, featureIndex };
+});
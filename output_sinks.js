@@ -0,0 +1,187 @@
+/**
+ * output_sinks.js
+ * Live output for other local tools · message schema, BroadcastChannel and WebSocket sinks, publisher
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="output_sinks.js"></script>
+ *
+ * Exposes window.TCNSinks (or module.exports in Node):
+ *   - SCHEMA, VERSION, DEFAULT_CHANNEL ("snoozenet")
+ *   - makeMessage(seq, type, payload) → { schema, v, seq, type, ...payload }
+ *   - streamFrame(framePayload)        the window.TCN "frame" payload reduced to the stream's "frame" fields
+ *   - createPublisher()                → { add(sink), remove(sink), publish(type, payload), broadcast(msg), status(), close() }
+ *       publish() numbers messages (seq) and hands each one to every sink; a throwing sink does not stop the others.
+ *       broadcast() hands a complete, unnumbered message (hello) to every sink without using a seq number
+ *   - createBroadcastSink({ channel, hello, BroadcastChannelImpl })
+ *       same-origin tabs; a tab that joins late posts { type: "helloRequest" } on the channel and gets hello()
+ *   - createWebSocketSink({ url, hello, highWaterBytes, maxQueue, minRetryMs, maxRetryMs, WebSocketImpl })
+ *       JSON text messages to a (local) endpoint; hello() is sent first on every connection
+ * A sink is any object with send(message), status() and close(); createPublisher().add() takes custom ones too.
+ *
+ * Messages (JSON objects; "seq" counts up per publisher, so a gap means messages were dropped):
+ *   { type: "hello", seq: null, app, featOrder, modelVersion, modelSet, running }
+ *   { type: "session", seq, state: "started" | "stopped", t, startedAt }
+ *   { type: "frame", seq, t, tcnProb, tcnIsDrowsy, features: { name: raw value } | null, eyeProb, eyeSource,
+ *     yawnProb, yawnSource, pose: { yawDeg, pitchDeg, rollDeg, confidence } | null, face: { state, absentS }, subjectId }
+ *   { type: "event", seq, event, t, ...payload }     every window.TCN event except "frame" (blink, drowsy, alert, …)
+ *   { type: "dropped", seq: null, frames, events }   WebSocket only: what was discarded since the last report
+ * All carry schema "snoozenet.stream" and v (VERSION). tcnProb is null while the TCN window warms up; features is
+ * null once the face is lost. Non-finite numbers arrive as null over WebSocket (JSON).
+ *
+ * WebSocket backpressure: frames are only sent while socket.bufferedAmount ≤ highWaterBytes; otherwise the newest
+ * frame waits and replaces any older waiting one (a slow receiver sees fewer frames, never stale ones). Other
+ * messages queue (at most maxQueue, oldest dropped first) and are delivered in order once the buffer drains or
+ * the connection is back. While disconnected, frames are dropped. Reconnects back off from minRetryMs to maxRetryMs.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNSinks = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.stream";
+  const VERSION = 1;
+  const DEFAULT_CHANNEL = "snoozenet";
+  const DRAIN_POLL_MS = 50; // browsers have no "drain" event: re-check bufferedAmount this often while backed up
+
+  function makeMessage(seq, type, payload = {}) {
+    return { schema: SCHEMA, v: VERSION, seq, type, ...payload };
+  }
+
+  function streamFrame(p) {
+    const pose = p.pose ? { yawDeg: p.pose.yawDeg, pitchDeg: p.pose.pitchDeg, rollDeg: p.pose.rollDeg, confidence: p.pose.confidence } : null;
+    return {
+      t: p.t, tcnProb: p.tcnProb, tcnIsDrowsy: !!p.tcnIsDrowsy, features: p.features ? { ...p.features } : null,
+      eyeProb: p.eyeProb, eyeSource: p.eyeSource ?? null, yawnProb: p.yawnProb, yawnSource: p.yawnSource ?? null,
+      pose, face: p.face ? { ...p.face } : null, subjectId: p.subjectId ?? null
+    };
+  }
+
+  function createPublisher() {
+    const sinks = new Set();
+    let seq = 0;
+
+    function broadcast(msg) {
+      if (!sinks.size) return null;
+      for (const s of sinks) {
+        try { s.send(msg); } catch (e) { console.error(`Output sink "${s.status().kind}" failed`, e); }
+      }
+      return msg;
+    }
+
+    return {
+      add(sink) { sinks.add(sink); return sink; },
+      remove(sink) { if (sinks.delete(sink)) sink.close(); },
+      /** Sends one message to every sink; returns it, or null when there are no sinks. */
+      publish(type, payload) {
+        if (!sinks.size) return null;
+        return broadcast(makeMessage(seq++, type, payload));
+      },
+      /** Sends a message built elsewhere (makeMessage(null, …)) as is; returns it, or null when there are no sinks. */
+      broadcast,
+      size() { return sinks.size; },
+      status() { return Array.from(sinks, s => s.status()); },
+      close() { for (const s of sinks) s.close(); sinks.clear(); }
+    };
+  }
+
+  function createBroadcastSink({
+    channel = DEFAULT_CHANNEL,
+    hello = null,
+    BroadcastChannelImpl = typeof BroadcastChannel !== "undefined" ? BroadcastChannel : null
+  } = {}) {
+    if (!BroadcastChannelImpl) throw new Error("createBroadcastSink: BroadcastChannel is not available");
+    const bc = new BroadcastChannelImpl(channel);
+    let sent = 0;
+    bc.onmessage = e => { if (e.data?.type === "helloRequest" && hello) { bc.postMessage(hello()); sent++; } };
+    return {
+      send(msg) { bc.postMessage(msg); sent++; },
+      status() { return { kind: "broadcast", channel, state: "open", sent }; },
+      close() { bc.close(); }
+    };
+  }
+
+  function createWebSocketSink({
+    url,
+    hello = null,
+    highWaterBytes = 256 * 1024, // bufferedAmount above which frames are held back
+    maxQueue = 1000,             // non-frame messages kept while backed up or disconnected
+    minRetryMs = 500,
+    maxRetryMs = 10000,
+    WebSocketImpl = typeof WebSocket !== "undefined" ? WebSocket : null
+  } = {}) {
+    if (!url) throw new Error("createWebSocketSink: url is required");
+    if (!WebSocketImpl) throw new Error("createWebSocketSink: WebSocket is not available");
+    let ws = null, state = "connecting", closed = false;
+    let retryMs = minRetryMs, retryTimer = null, drainTimer = null;
+    const queue = [];
+    let pendingFrame = null;
+    let unreported = { frames: 0, events: 0 };
+    const stats = { sent: 0, droppedFrames: 0, droppedEvents: 0, reconnects: 0, lastError: null };
+
+    function connect() {
+      state = "connecting";
+      try { ws = new WebSocketImpl(url); }
+      catch (e) { stats.lastError = e.message; ws = null; scheduleReconnect(); return; }
+      ws.onopen = () => {
+        state = "open"; retryMs = minRetryMs; stats.lastError = null;
+        if (hello) rawSend(hello());
+        flush();
+      };
+      ws.onerror = () => { stats.lastError = `Cannot reach ${url}`; }; // onclose follows
+      ws.onclose = () => {
+        ws = null;
+        if (pendingFrame) { pendingFrame = null; dropFrame(); }
+        if (!closed) scheduleReconnect();
+      };
+    }
+
+    function scheduleReconnect() {
+      state = "waiting";
+      if (retryTimer) return;
+      retryTimer = setTimeout(() => { retryTimer = null; stats.reconnects++; connect(); }, retryMs);
+      retryMs = Math.min(retryMs * 2, maxRetryMs);
+    }
+
+    const congested = () => ws.bufferedAmount > highWaterBytes;
+    function rawSend(msg) { ws.send(JSON.stringify(msg)); stats.sent++; }
+    function dropFrame() { stats.droppedFrames++; unreported.frames++; }
+
+    function flush() {
+      if (state !== "open") return;
+      if ((unreported.frames || unreported.events) && !congested()) {
+        rawSend(makeMessage(null, "dropped", unreported));
+        unreported = { frames: 0, events: 0 };
+      }
+      while (queue.length && !congested()) rawSend(queue.shift());
+      if (!queue.length && pendingFrame && !congested()) { rawSend(pendingFrame); pendingFrame = null; }
+      if ((queue.length || pendingFrame) && !drainTimer) drainTimer = setTimeout(() => { drainTimer = null; flush(); }, DRAIN_POLL_MS);
+    }
+
+    connect();
+
+    return {
+      send(msg) {
+        if (closed) return;
+        if (msg.type === "frame") {
+          if (state !== "open") { dropFrame(); return; }
+          if (pendingFrame) dropFrame(); // superseded before it could go out
+          pendingFrame = msg;
+        } else {
+          queue.push(msg);
+          if (queue.length > maxQueue) { queue.shift(); stats.droppedEvents++; unreported.events++; }
+        }
+        flush();
+      },
+      status() {
+        return { kind: "websocket", url, state, queued: queue.length + (pendingFrame ? 1 : 0), bufferedBytes: ws ? ws.bufferedAmount : 0, ...stats };
+      },
+      close() {
+        closed = true; state = "closed";
+        clearTimeout(retryTimer); clearTimeout(drainTimer); retryTimer = null; drainTimer = null;
+        if (ws) { ws.onclose = null; ws.close(1000); ws = null; }
+      }
+    };
+  }
+
+  return { SCHEMA, VERSION, DEFAULT_CHANNEL, makeMessage, streamFrame, createPublisher, createBroadcastSink, createWebSocketSink };
+});
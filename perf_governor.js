@@ -0,0 +1,164 @@
+/**
+ * perf_governor.js
+ * Performance governor · per-stage latency statistics, processing resolution and TF.js backend selection
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="perf_governor.js"></script>
+ *
+ * Exposes window.TCNPerf (or module.exports in Node):
+ *   - STAGES    ["capture", "faceMesh", "crops", "eyeCnn", "yawnCnn", "readback", "tcn"]
+ *   - SCALES    [1, 0.75, 0.5, 0.375]: processing resolution levels, as a fraction of the frame canvas
+ *   - BACKENDS  ["webgl", "wasm", "cpu"]: TF.js backends in order of preference at startup
+ *   - GOVERNED_BACKENDS  ["webgl", "wasm"]: the ones createGovernor switches between by default
+ *   - createLatencyStats({ windowS })
+ *       add(stage, ms, t), summary() → { [stage]: { mean, p90, last, n } } over the last windowS, reset()
+ *   - createGovernor({ targetFps, scales, backends, backend, windowS, cooldownS, upgradeS, retryS, highFrac, lowFrac })
+ *       sample(t, frameMs)   one processed frame and how long it kept the pipeline busy (not the time it spent
+ *                            queued behind the previous frame); returns null or a decision
+ *                            { type: "scale" | "backend", scale, backend, costMs, reason } for the caller to apply
+ *       setBackend(name)     the backend actually running (after init or a switch, also a failed one)
+ *       exclude(name)        a backend that failed to start; never tried again
+ *       setAuto(on), setScale(scale)   manual control: with auto off sample() only measures
+ *       state() → { auto, backend, scale, level, costMs, budgetMs, settled }
+ *       reset()              new session: keeps the backend, scale and what was learned about costs
+ *
+ * Policy: the cost of a configuration is the mean frame time over windowS after the last change (cooldownS at
+ * least). Above highFrac × the frame budget (1000 / targetFps ms) the resolution steps down; at the lowest level
+ * the next untried backend of `backends` takes over, and once all were tried the cheapest one is kept (settled).
+ * Below lowFrac × budget for upgradeS the resolution steps back up, unless that level was measured over budget
+ * within the last retryS. The CPU backend only serves as a last resort at startup and is never switched to.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNPerf = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const STAGES = ["capture", "faceMesh", "crops", "eyeCnn", "yawnCnn", "readback", "tcn"];
+  const SCALES = [1, 0.75, 0.5, 0.375];
+  const BACKENDS = ["webgl", "wasm", "cpu"];
+  const GOVERNED_BACKENDS = ["webgl", "wasm"];
+  const MIN_SAMPLES = 5;
+
+  function percentile(sorted, q) {
+    return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : NaN;
+  }
+
+  function createLatencyStats({ windowS = 5 } = {}) {
+    const series = new Map(); // stage → [{ t, ms }]
+    return {
+      add(stage, ms, t) {
+        if (!Number.isFinite(ms)) return;
+        if (!series.has(stage)) series.set(stage, []);
+        const s = series.get(stage);
+        s.push({ t, ms });
+        while (s.length && s[0].t < t - windowS) s.shift();
+      },
+      summary() {
+        const out = {};
+        for (const [stage, s] of series) {
+          if (!s.length) continue;
+          const sorted = s.map(x => x.ms).sort((a, b) => a - b);
+          out[stage] = { mean: sorted.reduce((a, b) => a + b, 0) / sorted.length, p90: percentile(sorted, 0.9), last: s[s.length - 1].ms, n: s.length };
+        }
+        return out;
+      },
+      reset() { series.clear(); }
+    };
+  }
+
+  function createGovernor({
+    targetFps = 15,
+    scales = SCALES,
+    backends = GOVERNED_BACKENDS,
+    backend = null,
+    windowS = 3,       // frames averaged into one cost measurement
+    cooldownS = 3,     // settle time after a change before the next decision
+    upgradeS = 10,     // time under lowFrac × budget before the resolution goes back up
+    retryS = 60,       // a level measured over budget is not retried for this long
+    highFrac = 0.9,
+    lowFrac = 0.6
+  } = {}) {
+    const budgetMs = 1000 / targetFps;
+    let auto = true, level = 0, current = backend;
+    let samples = [], changedT = null, lowSinceT = null, costMs = NaN;
+    let settled = false;
+    const tried = new Set(current ? [current] : []), excluded = new Set();
+    const costs = new Map(); // "backend@level" → { costMs, t }
+    const key = (b, l) => `${b}@${l}`;
+
+    // Measurements restart with the next frame under the new configuration
+    function changed() { samples = []; changedT = null; lowSinceT = null; }
+
+    function decide(type, reason) {
+      changed();
+      return { type, scale: scales[level], backend: current, costMs, reason };
+    }
+
+    // At the lowest resolution and still over budget: next untried backend, or settle on the cheapest one
+    function nextBackend() {
+      const next = backends.find(b => !tried.has(b) && !excluded.has(b));
+      if (next) {
+        tried.add(next);
+        const from = current;
+        current = next;
+        return decide("backend", `${from} over budget at the lowest resolution (${costMs.toFixed(0)} ms)`);
+      }
+      settled = true;
+      let best = current, bestCost = costMs;
+      for (const b of tried) {
+        const c = costs.get(key(b, level));
+        if (c && c.costMs < bestCost && !excluded.has(b)) { best = b; bestCost = c.costMs; }
+      }
+      if (best === current) return null;
+      current = best;
+      return decide("backend", `cheapest backend at the lowest resolution (${bestCost.toFixed(0)} ms)`);
+    }
+
+    return {
+      sample(t, frameMs) {
+        if (!Number.isFinite(frameMs)) return null;
+        if (changedT === null) changedT = t;
+        samples.push({ t, ms: frameMs });
+        while (samples.length && samples[0].t < t - windowS) samples.shift();
+        if (t - changedT < Math.max(cooldownS, windowS) || samples.length < MIN_SAMPLES) return null;
+        costMs = samples.reduce((a, s) => a + s.ms, 0) / samples.length;
+        if (current) costs.set(key(current, level), { costMs, t });
+        if (!auto) return null;
+
+        if (costMs > highFrac * budgetMs) {
+          lowSinceT = null;
+          if (level < scales.length - 1) {
+            level++;
+            return decide("scale", `${costMs.toFixed(0)} ms per frame, budget ${budgetMs.toFixed(0)} ms`);
+          }
+          return settled || !current ? null : nextBackend();
+        }
+        if (costMs < lowFrac * budgetMs && level > 0) {
+          if (lowSinceT === null) lowSinceT = t;
+          if (t - lowSinceT < upgradeS) return null;
+          const known = costs.get(key(current, level - 1));
+          if (known && known.costMs > highFrac * budgetMs && t - known.t < retryS) return null;
+          level--;
+          return decide("scale", `${costMs.toFixed(0)} ms per frame leaves room`);
+        }
+        lowSinceT = null;
+        return null;
+      },
+      setBackend(name) {
+        if (name !== current) changed();
+        current = name; tried.add(name);
+      },
+      exclude(name) { excluded.add(name); },
+      setAuto(on) { auto = !!on; lowSinceT = null; },
+      setScale(scale) {
+        const i = scales.indexOf(scale);
+        if (i < 0) throw new Error(`Unknown processing scale ${scale}. Expected one of: ${scales.join(", ")}`);
+        if (i !== level) { level = i; changed(); }
+      },
+      state() { return { auto, backend: current, scale: scales[level], level, costMs, budgetMs, settled }; },
+      reset() { samples = []; changedT = null; lowSinceT = null; costMs = NaN; }
+    };
+  }
+
+  return { STAGES, SCALES, BACKENDS, GOVERNED_BACKENDS, createLatencyStats, createGovernor };
+});
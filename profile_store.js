@@ -0,0 +1,90 @@
+/**
+ * profile_store.js
+ * Named per-user calibration profiles · pose baseline R0, dominant eye, per-feature μ/σ in IndexedDB
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="profile_store.js"></script>
+ *
+ * Exposes window.TCNProfiles:
+ *   - createProfileStore()            → { list(), get(name), put(profile), remove(name) } (all async)
+ *   - makeProfile({ name, featOrder, R0, dominantEye, norm })  builds a profile object
+ *   - parseProfile(jsonText, featOrder)  validates an imported profile, throws Error with the reason
+ *
+ * Profile JSON (what export writes and import reads):
+ *   { schema: "snoozenet.profile", version: 1, name, createdAt, updatedAt, featOrder,
+ *     R0: [[3],[3],[3]], dominantEye: "left"|"right"|"both", norm: { n, mu: [F], sigma: [F] } | null }
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNProfiles = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.profile";
+  const VERSION = 1;
+  const DB_NAME = "snoozenet";
+  const STORE = "profiles";
+
+  function makeProfile({ name, featOrder, R0, dominantEye = "both", norm = null, createdAt = null }) {
+    const now = new Date().toISOString();
+    return {
+      schema: SCHEMA, version: VERSION, name: String(name).trim(),
+      createdAt: createdAt || now, updatedAt: now,
+      featOrder: featOrder.slice(),
+      R0: R0.map(r => Array.from(r, Number)),
+      dominantEye,
+      norm: norm && norm.mu && norm.sigma ? { n: norm.n ?? null, mu: Array.from(norm.mu, Number), sigma: Array.from(norm.sigma, Number) } : null
+    };
+  }
+
+  function isFiniteArray(a, n) { return Array.isArray(a) && a.length === n && a.every(Number.isFinite); }
+
+  /** Throws if `p` is not a usable profile for a TCN trained on `featOrder`. */
+  function validateProfile(p, featOrder) {
+    if (!p || typeof p !== "object") throw new Error("profile is not an object");
+    if (p.schema !== SCHEMA) throw new Error(`unexpected schema "${p.schema}"`);
+    if (p.version !== VERSION) throw new Error(`unsupported profile version ${p.version}`);
+    if (typeof p.name !== "string" || !p.name.trim()) throw new Error("profile has no name");
+    if (!Array.isArray(p.R0) || p.R0.length !== 3 || !p.R0.every(r => isFiniteArray(r, 3))) throw new Error("R0 must be a 3×3 matrix");
+    if (!["left", "right", "both"].includes(p.dominantEye)) throw new Error(`invalid dominantEye "${p.dominantEye}"`);
+    if (p.norm) {
+      if (!Array.isArray(p.featOrder) || p.featOrder.join() !== featOrder.join()) throw new Error("μ/σ were computed for a different feature order");
+      if (!isFiniteArray(p.norm.mu, featOrder.length) || !isFiniteArray(p.norm.sigma, featOrder.length)) throw new Error(`μ/σ must have ${featOrder.length} finite values`);
+    }
+    return p;
+  }
+
+  function parseProfile(text, featOrder) {
+    let p;
+    try { p = JSON.parse(text); } catch (e) { throw new Error("not valid JSON: " + e.message); }
+    return validateProfile(p, featOrder);
+  }
+
+  /* ===================== IndexedDB ===================== */
+  function promisify(req) {
+    return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+  }
+
+  function createProfileStore() {
+    let dbp = null;
+    function db() {
+      if (!dbp) {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => { if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: "name" }); };
+        dbp = promisify(req).catch(e => { dbp = null; throw e; });
+      }
+      return dbp;
+    }
+    async function tx(mode, fn) {
+      const d = await db();
+      return promisify(fn(d.transaction(STORE, mode).objectStore(STORE)));
+    }
+    return {
+      async list() { return (await tx("readonly", s => s.getAll())).sort((a, b) => a.name.localeCompare(b.name)); },
+      async get(name) { return (await tx("readonly", s => s.get(name))) || null; },
+      async put(profile) { await tx("readwrite", s => s.put(profile)); return profile; },
+      async remove(name) { await tx("readwrite", s => s.delete(name)); }
+    };
+  }
+
+  return { SCHEMA, VERSION, makeProfile, validateProfile, parseProfile, createProfileStore };
+});
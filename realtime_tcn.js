@@ -4,22 +4,60 @@
  * Real-Time Drowsiness · Eye+Mouth CNN + TCN (15 FPS, optional per-session μ/σ)
  * 
  * Usage (in HTML):
- * <script src="https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0"></script>
- * <script src="https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/face_mesh.js"></script>
+ * <script src="vendor/tfjs@4.22.0/tf.min.js"></script>
+ * <script src="vendor/tfjs-backend-wasm@4.22.0/tf-backend-wasm.min.js"></script>
+ * <script src="vendor/face_mesh@0.4.1633559619/face_mesh.js"></script>
+ * <script src="vendor/chart.js@4.4.0/chart.umd.js"></script>
+ * <script src="feature_extractor.js"></script>
+ * <script src="tcn_config.js"></script>
+ * <script src="model_manifest.js"></script>
+ * <script src="inference_core.js"></script>
+ * <script src="face_tracker.js"></script>
+ * <script src="session_recorder.js"></script>
+ * <script src="alert_manager.js"></script>
+ * <script src="profile_store.js"></script>
+ * <script src="session_report.js"></script>
+ * <script src="annotation_recorder.js"></script>
+ * <script src="debug_chart.js"></script>
+ * <script src="output_sinks.js"></script>
+ * <script src="perf_governor.js"></script>
  * <script src="realtime_tcn.js"></script>
  * 
  * Assumes the following DOM elements exist (IDs must match):
  * - video: #video
- * - canvases: #procCanvas (640x480), #downCanvas (320x240)
- * - toggleRes, toggleCrops checkboxes
- * - stats spans: #yaw, #pitch, #roll, #dyaw, #dpitch, #droll, #fps, #domEyeTxt, #procRes, #tcnText
- * - state spans: #eyeState, #blinkState, #mouthState, #nodState
+ * - canvases: #procCanvas (854x480), #downCanvas (the frame at the processing resolution, resized as needed)
+ * - toggleCrops checkbox
+ * - stats spans: #yaw, #pitch, #roll, #poseConf, #dyaw, #dpitch, #droll, #fps, #rateTxt, #domEyeTxt, #procRes, #tcnText,
+ *   #inferMode, #sinkStatus
+ * - state spans: #eyeState, #blinkState, #mouthState, #nodState, #faceState
  * - cards: #pecCard, #yawnCard, #nodCard, #blinkCard
  * - baseline UI: #baselineImg, #baselineTime, #downloadBaselineBtn, #normSummary
  * - control buttons: #reqCamBtn, #startBtn, #stopBtn
+ * - replay: #replayBtn + #replayFile (file input) to run the pipeline on a recorded video
+ * - session log: #exportCsvBtn, #exportJsonlBtn, #recorderSummary, #reportBtn
+ * - report: #reportDialog (+ #reportBody, #reportHtmlBtn, #reportJsonBtn, #reportCloseBtn), opened when a session stops
+ * - profiles: #profileSelect, #saveProfileBtn, #deleteProfileBtn, #exportProfileBtn, #importProfileBtn + #importProfileFile
+ * - alerts: #alertBar (+ #alertText, #ackBtn, #snoozeBtn), #alertFlash (+ #flashAckBtn, #flashSnoozeBtn), #muteBtn
+ * - subject: #subjectRule (select: baseline | largest), #subjectTxt; click a face on #overlayCanvas to monitor it
+ * - models: #modelSetSelect (filled from model_manifest.json), #modelStatus
+ * - debug chart: #tcnChart + #chartFeatures (multi-select), #chartScale, #chartSpan, #chartPauseBtn, #chartScrub
+ * - attribution: #tcnHeatmap (canvas), #tcnTopFeatures (list), #tcnAttributionInfo
+ * - pose: #recalibrateBtn, #driftMode (select: prompt | auto | off), #calibrationStatus, #driftPrompt
+ *   (+ #driftPromptText, #driftRecalibrateBtn, #driftDismissBtn)
+ * - annotation: #annotateBtn, #annotationStatus, #exportAnnotationsBtn
+ * - offline: #offlineStatus (service worker cache state)
+ * - performance: #autoPerf (checkbox), #backendSelect, #scaleSelect, #procRes, #perfTable, #perfSummary
+ * - frame quality: #visibilityStatus (header badge, hidden while visibility is fine), #qualityTxt
+ * - settings: #presetSelect, #settingsFields (inputs are generated from TCNConfig.FIELDS), #applySettingsBtn, #resetSettingsBtn, #settingsMsg
  * 
  * Optional: a checkbox with id="toggleNorm" to enable/disable μ/σ capture at runtime.
  *   - Or call: window.TCN.setNormalizationEnabled(true|false)
+ *
+ * URL options: ?preset=<name> and any tcn_config.js key (Runtime config), ?models=<id> (Model sets),
+ * ?inference=worker (Inference engines), ?backend=wasm (Performance governor), ?explain=gradient (Explainability),
+ * ?recordLandmarks (Session recorder), ?broadcast[=channel] and ?ws=<url> (Output sinks).
+ * window.TCN is listed under Public API and its events under Event subscriptions; each section below notes how
+ * its part works.
  */
 
 (function () {
@@ -27,88 +65,42 @@
   if (window.__REALTIME_TCN_LOADED__) return;
   window.__REALTIME_TCN_LOADED__ = true;
 
-  /* ===================== Config (paths) ===================== */
-  const MODEL_PATHS = {
-    eye: "web_model_eye/model.json",
-    yawn: "web_model_yawn/model.json",
-    tcn: "tfjs_model/model.json"
-  };
+  /* ===================== Config (model sets) ===================== */
+  // Model paths, shapes and per-set thresholds come from model_manifest.json (model_manifest.js)
+  let modelManifest = null;
+  let modelSet = null, modelInfo = null; // active set and what its loaded models reported
+  let modelThresholds = {};              // the set's thresholds: above preset values, shifted by preset offsets
 
   /* ===================== Feature schema ===================== */
-  const FEAT_ORDER = [
-    "yaw_adj", "pitch_adj", "roll_adj",
-    "dyaw_adj_per_s", "dpitch_adj_per_s", "droll_adj_per_s",
-    "eye_open_unified", "ema_eye_open_1s", "ema_eye_open_5s", "eye_open_trend_3s",
-    "eye_close_dur_s", "eye_run_len_frames", "perclos_30s", "blink_rate_30s",
-    "max_close_run_10s", "time_since_last_blink_s",
-    "yawn_prob_ema_1s", "mouth_open_run_s", "mouth_open_rate_30s", "time_since_last_yawn_s"
-  ];
-  const FEAT_NAMES = FEAT_ORDER.slice();
-  const F = FEAT_ORDER.length;
+  // Feature extraction lives in feature_extractor.js (window.TCNFeatures); this file is the browser glue.
+  const { FEAT_ORDER, FEAT_NAMES, F, TARGET_FPS, rawToVector } = TCNFeatures;
 
   /* ===================== Timing & constants ===================== */
-  const TARGET_FPS = 15;
-  const DT = 1 / TARGET_FPS;
   const FRAME_INTERVAL_MS = 1000 / TARGET_FPS;
-  const TCN_WINDOW = 90;
-
-  // Eye thresholds + durations (extractor parity)
-  const EYE_CLOSE_T = 0.40;
-  const FRM_2P5S = Math.round(0.8 * TARGET_FPS);
-  const BLINK_MIN_F = 2;
-  const BLINK_MAX_F = 6;
-  const EYE_DEBOUNCE_ON_F = 2;
-  const EYE_DEBOUNCE_OFF_F = 2;
-  const BLINK_LOCK_FRM = Math.round(2.0 * TARGET_FPS);
-
-  // Rolling windows
-  const PER_30S = 30 * TARGET_FPS;
-
-  // Mouth thresholds + hysteresis
-  const MOUTH_ON_T = 0.55;
-  const MOUTH_OFF_T = 0.45;
-  const MOUTH_PROLONG_S = 1.3;
-  const MOUTH_SHORT_MIN_S = 0.10;
-  const MOUTH_SHORT_MAX_S = 0.50;
-
-  // Caps
-  const TS_MAX = 30; // seconds
-
-  // TCN hysteresis for display
-  const ON_THRESH = 0.65;
-  const OFF_THRESH = 0.55;
+  // Window shape and feature columns of the active model set (tcn.inputShape [null, T, F], tcn.featOrder)
+  let TCN_WINDOW = 90, TCN_F = F;
+  let tcnCols = Int32Array.from(FEAT_ORDER, (_, i) => i); // TCN input column → FEAT_ORDER index
+
+  // Sustained face absence (after the first face of the session) raises an alert
+  const FACE_ALERT_S = 3.0;
+
+  // Log landmarks + CNN probabilities per frame for offline re-extraction (tools/evaluate.js)
+  const RECORD_INPUTS = new URLSearchParams(location.search).has("recordLandmarks");
 
   // μ/σ defaults
   let normalizationEnabled = false; // default per user request
-  const NORM_SECONDS = 10.0;
   const MIN_ACCEPTED = 60; // ~4s @15fps minimum
 
-  /* ===================== Simple ring buffer with running sum ===================== */
-  class Ring {
-    constructor(n) { this.n = n; this.buf = new Float32Array(n); this.sum = 0; this.count = 0; this.i = 0; }
-    push(v) {
-      if (this.count < this.n) { this.buf[this.i] = v; this.sum += v; this.i = (this.i + 1) % this.n; this.count++; }
-      else { this.sum -= this.buf[this.i]; this.buf[this.i] = v; this.sum += v; this.i = (this.i + 1) % this.n; }
-    }
-    mean() { return this.count ? this.sum / this.count : 0; }
-    reset() { this.sum = 0; this.count = 0; this.i = 0; this.buf.fill(0); }
-  }
-
   /* ===================== DOM refs ===================== */
   const $ = id => document.getElementById(id);
-  const video = $("video") || $("videoEl") || $("videoInput") || $("video"); // fallbacks
-  const videoEl = $("video") || video;
+  const videoEl = $("video");
 
   const procCanvas = $("procCanvas"), pctx = procCanvas.getContext("2d");
   const debugToggleBtn = document.getElementById('debugToggleBtn');
-
-
-
   const downCanvas = $("downCanvas"), dctx = downCanvas.getContext("2d");
   const eyeCanvas = $("eyeCanvas");
   const mouthCanvas = $("mouthCanvas");
   const cropsRow = $("cropsRow");
-  const toggleRes = $("toggleRes");
   const toggleCrops = $("toggleCrops");
   const baselineImg = $("baselineImg");
   const baselineTime = $("baselineTime");
@@ -117,229 +109,673 @@
   const startBtn = $("startBtn");
   const stopBtn = $("stopBtn");
   const toggleNorm = $("toggleNorm"); // optional external control
-  const overlayCtx = document.getElementById("overlayCanvas").getContext("2d");
-
-  const yawSpan = $("yaw"), pitchSpan = $("pitch"), rollSpan = $("roll");
+  const replayBtn = $("replayBtn");
+  const replayFile = $("replayFile");
+  const sessionStatus = $("sessionStatus");
+  const profileSelect = $("profileSelect"), importProfileFile = $("importProfileFile");
+  const alertBar = $("alertBar"), alertText = $("alertText"), alertFlash = $("alertFlash"), muteBtn = $("muteBtn");
+  const exportCsvBtn = $("exportCsvBtn"), exportJsonlBtn = $("exportJsonlBtn"), recorderSummary = $("recorderSummary");
+  const reportBtn = $("reportBtn"), reportDialog = $("reportDialog"), reportBody = $("reportBody");
+  const overlayCanvas = $("overlayCanvas"), overlayCtx = overlayCanvas.getContext("2d");
+  const subjectRuleSel = $("subjectRule"), subjectTxt = $("subjectTxt");
+  const modelSetSelect = $("modelSetSelect"), modelStatus = $("modelStatus");
+  const offlineStatus = $("offlineStatus");
+  const annotateBtn = $("annotateBtn"), annotationStatus = $("annotationStatus"), exportAnnotationsBtn = $("exportAnnotationsBtn");
+
+  const yawSpan = $("yaw"), pitchSpan = $("pitch"), rollSpan = $("roll"), poseConfSpan = $("poseConf");
   const dyawSpan = $("dyaw"), dpitchSpan = $("dpitch"), drollSpan = $("droll");
   const eyeStateSpan = $("eyeState"), mouthStateSpan = $("mouthState");
+  const faceStateSpan = $("faceState");
+  const rateTxt = $("rateTxt");
   const nodStateSpan = $("nodState"), fpsSpan = $("fps"), domEyeTxt = $("domEyeTxt");
-  const procResSpan = $("procRes"), tcnText = $("tcnText");
+  const procResSpan = $("procRes"), tcnText = $("tcnText"), inferModeSpan = $("inferMode");
   const pecCard = $("pecCard"), yawnCard = $("yawnCard");
   const nodCard = $("nodCard"), blinkCard = $("blinkCard");
   const normSummary = $("normSummary");
+  const presetSelect = $("presetSelect"), settingsFields = $("settingsFields"), settingsMsg = $("settingsMsg");
 
   /* ===================== State ===================== */
-  let eyeModel, yawnModel, tcnModel;
-  let stream = null, rafId = null, running = false, baselineCaptured = false;
+  let engine = null; // inference engine (worker or in-thread), set once models are loaded
+  let rafId = null, baselineCaptured = false;
   let dominantEye = "both";
   let fpsCounter = 0, lastFpsT = performance.now();
   let lastProcessT = 0;
 
-  // Pose delta smoothing
-  const FPS_FIXED = 15, DT_FIXED = 1 / FPS_FIXED, MAXN = 5;
-  const angleBufs = { yaw: [], pitch: [], roll: [] };
-  const deltaEMA = { yaw: 0, pitch: 0, roll: 0 };
-
-  // Baseline pose calibrator
-  function vsub(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: (a.z ?? 0) - (b.z ?? 0) }; }
-  function vcross(a, b) { return { x: a.y * (b.z ?? 0) - (a.z ?? 0) * b.y, y: (a.z ?? 0) * b.x - a.x * (b.z ?? 0), z: a.x * b.y - a.y * b.x }; }
-  function vnorm(v) { return Math.hypot(v.x, v.y, v.z ?? 0) || 1e-8; }
-  function vunit(v) { const n = vnorm(v); return { x: v.x / n, y: v.y / n, z: (v.z ?? 0) / n }; }
-  function eulerFromAxes(X, Y, Z) { return { yaw: Math.atan2(Z.x, Z.z), pitch: Math.atan2(Z.y, Z.z), roll: Math.atan2(X.y, X.x) }; }
-  const IDX = { rightEyeOuter: 33, leftEyeOuter: 263, chin: 152, forehead: 10 };
-
-  function faceAxesFromLandmarks(lm) {
-    const R = lm[IDX.rightEyeOuter], L = lm[IDX.leftEyeOuter], C = lm[IDX.chin], F = lm[IDX.forehead];
-    let X = vunit(vsub(L, R)), Y = vunit(vsub(C, F)), Z = vunit(vcross(X, Y)); Y = vunit(vcross(Z, X));
-    return { X, Y, Z };
-  }
-  function makeBaselineCalibrator() {
-    let R0 = null;
-    const cross = (a, b) => ({ x: a.y * (b.z ?? 0) - (a.z ?? 0) * b.y, y: (a.z ?? 0) * b.x - a.x * (b.z ?? 0), z: a.x * b.y - a.y * b.x });
-    const mul = (M, v) => ({ x: M[0][0] * v.x + M[0][1] * v.y + M[0][2] * (v.z ?? 0), y: M[1][0] * v.x + M[1][1] * v.y + M[1][2] * (v.z ?? 0), z: M[2][0] * v.x + M[2][1] * v.y + M[2][2] * (v.z ?? 0) });
-    return {
-      reset() { R0 = null; },
-      has() { return !!R0; },
-      setManualAxes(X, Y, Z) { const Xn = vunit(X), Zn = vunit(cross(Xn, Y)), Yn = vunit(cross(Zn, Xn)); R0 = [[Xn.x, Yn.x, Zn.x], [Xn.y, Yn.y, Zn.y], [Xn.z, Yn.z, Zn.z]]; },
-      applyIfReady(X, Y, Z) {
-        if (!R0) return [X, Y, Z];
-        const Rt = [[R0[0][0], R0[1][0], R0[2][0]], [R0[0][1], R0[1][1], R0[2][1]], [R0[0][2], R0[1][2], R0[2][2]]];
-        const Xo = vunit(mul(Rt, X)), Yo = vunit(mul(Rt, Y)), Zo = vunit(mul(Rt, Z));
-        return [Xo, Yo, Zo];
-      }
-    };
-  }
-  const baseline = makeBaselineCalibrator();
+  // Frame clock: wall-clock seconds when live, media seconds (frameIdx / TARGET_FPS) in replay
+  let replayMode = false, replayUrl = null, replayFrameIdx = 0;
+  let frameTimeSec = 0;
+
+  // Stateful per-frame feature extractor (pose baseline, eye/mouth state machines, nod rule)
+  const extractor = TCNFeatures.createFeatureExtractor();
+
+  // Face identities across frames and the choice of which one is monitored
+  const MAX_FACES = 4;
+  const faceTracker = TCNFaceTracker.createFaceTracker();
+  const subjectSelector = TCNFaceTracker.createSubjectSelector({ rule: "baseline" });
+  let visibleFaces = []; // tracks of the last processed frame
 
   // μ/σ accumulation
   let normMode = false, normT0 = 0, baseCnt = 0, baseSum = new Float64Array(FEAT_NAMES.length), baseSqSum = new Float64Array(FEAT_NAMES.length);
   const baselineStats = { mu: null, sigma: null };
 
-  function resetNorm() {
+  function resetNorm(t) {
     normMode = normalizationEnabled;
     if (!normMode) {
       normSummary.textContent = "μ/σ — disabled";
       return;
     }
-    normT0 = performance.now() / 1000; baseCnt = 0; baseSum.fill(0); baseSqSum.fill(0);
-    normSummary.textContent = "μ/σ — collecting…"; baselineTime.textContent = `collecting… 0.0 / ${NORM_SECONDS.toFixed(1)}s (0)`;
+    normT0 = t; baseCnt = 0; baseSum.fill(0); baseSqSum.fill(0);
+    normSummary.textContent = "μ/σ — collecting…"; baselineTime.textContent = `collecting… 0.0 / ${config.NORM_SECONDS.toFixed(1)}s (0)`;
   }
   function addNormSample(vec) { for (let i = 0; i < FEAT_NAMES.length; i++) { baseSum[i] += vec[i]; baseSqSum[i] += vec[i] * vec[i]; } baseCnt++; }
-  function finalizeNorm() {
+  function finalizeNorm(t) {
     if (!normMode) return true;
     if (baseCnt < MIN_ACCEPTED) { return false; }
     const mu = new Float32Array(FEAT_NAMES.length), sigma = new Float32Array(FEAT_NAMES.length);
     for (let i = 0; i < FEAT_NAMES.length; i++) { const m = baseSum[i] / baseCnt; const v = Math.max(1e-6, baseSqSum[i] / baseCnt - m * m); mu[i] = m; sigma[i] = Math.sqrt(v); }
     baselineStats.mu = mu; baselineStats.sigma = sigma;
+    recorder.setNormStats(t, baseCnt, mu, sigma);
+    annotator.setNorm(mu, sigma);
     normSummary.textContent = `μ/σ ready (N=${baseCnt}) — ` + FEAT_NAMES.map((n, i) => `${n}: ${mu[i].toFixed(2)}/${sigma[i].toFixed(2)}`).join(" | ");
     return true;
   }
-  function rawToVector(raw) {
-    const v = new Float32Array(FEAT_ORDER.length);
-    for (let i = 0; i < FEAT_ORDER.length; i++) v[i] = Number(raw[FEAT_ORDER[i]] ?? 0);
-    return v;
+
+  // TCN input: the last TCN_WINDOW grid rows, normalized, in the model's columns (created per model set)
+  let tcnInput = null;
+
+  // Ground-truth annotation (raw rows, labels and crops for retraining)
+  const annotator = TCNAnnotations.createAnnotator({ featOrder: FEAT_ORDER, hz: TARGET_FPS, windowLen: TCN_WINDOW });
+  let annotating = false;
+
+  // Raw rows arrive at real frame times; the TCN sees them on a uniform TARGET_FPS grid
+  const gridResampler = TCNFeatures.createGridResampler({ hz: TARGET_FPS });
+  const rateMonitor = TCNFeatures.createRateMonitor();
+
+  // Returns the number of grid rows appended (0 when frames arrive faster than the grid)
+  function pushFrameFeatures(raw, t) {
+    const { rows, times, restarted } = gridResampler.push(t, rawToVector(raw));
+    if (restarted) { tcnInput.reset(); tcnGen++; } // stall longer than the interpolation limit: start a fresh window
+    for (let k = 0; k < rows.length; k++) {
+      const v = rows[k];
+      if (annotating) annotator.pushRow(times[k], v);
+      // Rows follow FEAT_ORDER; the model gets its own columns in its own order, written in place
+      const row = tcnInput.nextRow();
+      for (let j = 0; j < TCN_F; j++) {
+        const i = tcnCols[j];
+        const mu = baselineStats.mu?.[i] ?? 0;
+        const s = Math.max(1e-3, baselineStats.sigma?.[i] ?? 1);
+        row[j] = (v[i] - mu) / s;
+      }
+    }
+    return rows.length;
+  }
+
+  let tcnIsDrowsy = false;
+
+  let tcnProb = 0.0;
+  let tcnReady = false; // true once the window is full and tcnProb is a real prediction
+  let tcnGen = 0;       // bumped whenever the window restarts: a prediction still in flight for it is dropped
+
+  function resetTcnWindow() {
+    tcnInput?.reset(); gridResampler.reset(); tcnReady = false; tcnGen++;
   }
 
-  // Angle deltas smoothing
-  function getSmoothDelta(name, newVal) {
-    const buf = angleBufs[name]; buf.push(newVal); if (buf.length > MAXN) buf.shift();
-    let d = 0;
-    if (buf.length >= 3) d = (buf[buf.length - 1] - buf[buf.length - 3]) / (2 * DT_FIXED);
-    else if (buf.length >= 2) d = (buf[buf.length - 1] - buf[buf.length - 2]) / DT_FIXED;
-    const k = 0.3; deltaEMA[name] = deltaEMA[name] * (1 - k) + d * k; return deltaEMA[name];
+  /* ===================== Event subscriptions ===================== */
+  // window.TCN.on(type, fn) → unsubscribe fn; window.TCN.off(type, fn). `t` is the session frame clock in seconds
+  // (media time during replay). Payloads:
+  //   "drowsy"        { t, active, prob }                  TCN hysteresis crossed ON_THRESH (active) / OFF_THRESH
+  //   "blink"         { t, durS, lenFrames }               blink completed
+  //   "yawn"          { t, durS }                          yawn completed (open run ≥ MOUTH_PROLONG_S)
+  //   "nod"           { t, active, pitchDeg, yawDeg, rollDeg }  nod started / ended
+  //   "eyeClosure"    { t, active, durS, perclos }         prolonged eye closure started / ended
+  //   "face"          { t, state, absentS }                "present" / "grace" (holding the last frame) / "lost"
+  //   "recalibration" { t, ok, reason, frames, restarts, shiftDeg, R0, dominantEye }  guided pose capture done / timed out
+  //   "poseDrift"     { t, active, yawDeg, pitchDeg, rollDeg, durS }  resting head pose left the baseline / returned
+  //   "visibility"    { t, active, flags, durS }           frame quality turned poor (Frame quality) / recovered
+  //   "performance"   { t, change, backend, scale, costMs, reason, failed? }  governor changed "scale" or "backend"
+  //   "alert"         { t, level, name, reason }           alert level changed (0 quiet … 3 flash; alert_manager.js)
+  //   "annotation"    { t, label, active }                 operator opened (active) / closed a ground-truth interval
+  //   "modelSet"      { t, id, modelVersion }              the active model set was switched
+  //   "explanation"   { t, trigger, prob, method, modelSet, top, perFeature, map }  attribution of a drowsy onset
+  //   "frame"         { t, features, tcnProb, tcnIsDrowsy, eyeProb, eyeSource, yawnProb, yawnSource, pose, face,
+  //                     subjectId, faces }                 every processed frame
+  const EVENT_TYPES = ["drowsy", "blink", "yawn", "nod", "eyeClosure", "face", "recalibration", "poseDrift", "visibility", "performance", "alert", "annotation", "modelSet", "explanation", "frame"];
+  const listeners = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+
+  function checkEventType(type) {
+    if (!listeners.has(type)) throw new Error(`Unknown TCN event "${type}". Expected one of: ${EVENT_TYPES.join(", ")}`);
+  }
+  function emit(type, payload) {
+    if (type !== "frame") recorder.addEvent(type, payload);
+    publishToSinks(type, payload);
+    const set = listeners.get(type);
+    if (!set.size) return;
+    for (const fn of Array.from(set)) {
+      try { fn(payload); } catch (e) { console.error(`TCN "${type}" listener failed`, e); }
+    }
   }
 
-  // Feature buffer for TCN
-  const featBuf = [];
+  /* ===================== Output sinks ===================== */
+  // Live state for other local tools (in-cab display, data logger) in the output_sinks.js schema: "frame" messages and
+  // every event except "frame". ?broadcast[=channel] for same-origin tabs, ?ws=ws://127.0.0.1:8765 for a WebSocket
+  // endpoint with reconnect and backpressure (tools/stream_receiver.js is a reference receiver); #sinkStatus shows them.
+  const publisher = TCNSinks.createPublisher();
+  const sinkStatusEl = $("sinkStatus");
+  const streamHello = () => TCNSinks.makeMessage(null, "hello", {
+    app: "snoozenet", featOrder: FEAT_ORDER.slice(), modelVersion: modelInfo?.modelVersion ?? null,
+    modelSet: modelSet?.id ?? null, running: runningFlag
+  });
 
-  function buildRawFeatures(obj) {
-    // Enforce defaults
-    return {
-      yaw_adj: obj.yawDeg,
-      pitch_adj: obj.pitchDeg,
-      roll_adj: obj.rollDeg,
-      dyaw_adj_per_s: obj.dYaw,
-      dpitch_adj_per_s: obj.dPitch,
-      droll_adj_per_s: obj.dRoll,
-      eye_open_unified: finiteOr(obj.eye_open_unified, 0.5),
-      ema_eye_open_1s: finiteOr(obj.ema_eye_open_1s, 0.5),
-      ema_eye_open_5s: finiteOr(obj.ema_eye_open_5s, 0.5),
-      eye_open_trend_3s: finiteOr(obj.eye_open_trend_3s, 0.0),
-      eye_close_dur_s: finiteOr(obj.eye_close_dur_s, 0.0),
-      eye_run_len_frames: obj.eye_run_len_frames ?? 0,
-      perclos_30s: finiteOr(obj.perclos_30s, 0.0),
-      blink_rate_30s: finiteOr(obj.blink_rate_30s, 0.0),
-      max_close_run_10s: finiteOr(obj.max_close_run_10s, 0.0),
-      time_since_last_blink_s: finiteOr(obj.time_since_last_blink_s, 0.0),
-      yawn_prob_ema_1s: finiteOr(obj.yawn_prob_ema_1s, 0.0),
-      mouth_open_run_s: finiteOr(obj.mouth_open_run_s, 0.0),
-      mouth_open_rate_30s: finiteOr(obj.mouth_open_rate_30s, 0.0),
-      time_since_last_yawn_s: finiteOr(obj.time_since_last_yawn_s, 0.0)
-    };
+  function publishToSinks(type, payload) {
+    if (!publisher.size()) return;
+    if (type === "frame") publisher.publish("frame", TCNSinks.streamFrame(payload));
+    else publisher.publish("event", { event: type, ...payload });
   }
-  function finiteOr(v, def) { return Number.isFinite(v) ? v : def; }
 
-  function pushFrameFeatures(raw) {
-    const row = new Float32Array(F);
-    for (let i = 0; i < F; i++) {
-      const key = FEAT_ORDER[i];
-      const v = raw[key];
-      const mu = baselineStats.mu?.[i] ?? 0;
-      const s = Math.max(1e-3, baselineStats.sigma?.[i] ?? 1);
-      row[i] = (v - mu) / s;
+  function connectStream(url) {
+    return publisher.add(TCNSinks.createWebSocketSink({ url, hello: streamHello }));
+  }
+  function openBroadcast(channel = TCNSinks.DEFAULT_CHANNEL) {
+    return publisher.add(TCNSinks.createBroadcastSink({ channel, hello: streamHello }));
+  }
+
+  function updateSinkStatus() {
+    if (!sinkStatusEl) return;
+    const parts = publisher.status().map(s => s.kind === "broadcast"
+      ? `tab:${s.channel}`
+      : `ws ${s.state}${s.droppedFrames ? ` · ${s.droppedFrames} dropped` : ""}`);
+    sinkStatusEl.textContent = parts.length ? parts.join(", ") : "off";
+  }
+
+  const sinkQuery = new URLSearchParams(location.search);
+  try {
+    if (sinkQuery.has("broadcast")) openBroadcast(sinkQuery.get("broadcast") || undefined);
+    if (sinkQuery.get("ws")) connectStream(sinkQuery.get("ws"));
+  } catch (e) { console.error("Could not open output sink", e); }
+  setInterval(updateSinkStatus, 1000);
+  updateSinkStatus();
+
+  /* ===================== Calibration profiles ===================== */
+  const profiles = TCNProfiles.createProfileStore();
+  let activeProfile = null; // profile applied to the running session, if any
+
+  async function refreshProfiles(selectName = profileSelect?.value || "") {
+    if (!profileSelect) return;
+    let list = [];
+    try { list = await profiles.list(); } catch (e) { console.error("Profile store unavailable", e); }
+    profileSelect.replaceChildren(new Option("New calibration", ""), ...list.map(p => new Option(p.name, p.name)));
+    profileSelect.value = list.some(p => p.name === selectName) ? selectName : "";
+  }
+
+  async function selectedProfile() {
+    const name = profileSelect?.value;
+    return name ? profiles.get(name) : null;
+  }
+
+  // Applies a profile to a freshly reset session: no first-frame baseline, no μ/σ collection.
+  function applyProfile(p) {
+    activeProfile = p;
+    extractor.setBaseline(p.R0, p.dominantEye);
+    dominantEye = p.dominantEye; domEyeTxt && (domEyeTxt.textContent = dominantEye);
+    baselineCaptured = true; normMode = false;
+    baselineTime && (baselineTime.textContent = `profile "${p.name}"`);
+    recorder.setBaseline(frameTimeSec, p.R0, p.dominantEye);
+    if (p.norm) {
+      baselineStats.mu = Float32Array.from(p.norm.mu); baselineStats.sigma = Float32Array.from(p.norm.sigma);
+      recorder.setNormStats(frameTimeSec, p.norm.n, baselineStats.mu, baselineStats.sigma);
+      normSummary && (normSummary.textContent = `μ/σ from profile "${p.name}" (N=${p.norm.n ?? "?"})`);
+    } else {
+      baselineStats.mu = null; baselineStats.sigma = null;
+      normSummary && (normSummary.textContent = `μ/σ — profile "${p.name}" has none`);
     }
-    featBuf.push(row);
-    if (featBuf.length > TCN_WINDOW) featBuf.shift();
   }
 
-  let tcnIsDrowsy = false;
+  async function saveProfile() {
+    const R0 = extractor.getBaselineR0();
+    if (!R0) { alert("Start a session first so the pose baseline can be captured."); return; }
+    const name = prompt("Profile name:", activeProfile?.name || profileSelect?.value || "");
+    if (!name || !name.trim()) return;
+    const existing = await profiles.get(name.trim());
+    if (existing && !confirm(`Overwrite profile "${existing.name}"?`)) return;
+    const norm = baselineStats.mu ? { n: baseCnt || null, mu: baselineStats.mu, sigma: baselineStats.sigma } : null;
+    const p = TCNProfiles.makeProfile({ name, featOrder: FEAT_ORDER, R0, dominantEye: extractor.getDominantEye(), norm, createdAt: existing?.createdAt });
+    await profiles.put(p);
+    await refreshProfiles(p.name);
+  }
 
-  let tcnProb = 0.0;
+  async function deleteProfile() {
+    const name = profileSelect?.value;
+    if (!name || !confirm(`Delete profile "${name}"?`)) return;
+    await profiles.remove(name);
+    await refreshProfiles("");
+  }
+
+  async function exportProfile() {
+    const p = await selectedProfile();
+    if (!p) { alert("Select a profile to export."); return; }
+    downloadText(JSON.stringify(p, null, 2), `snoozenet_profile_${p.name.replace(/[^\w-]+/g, "_")}.json`, "application/json");
+  }
+
+  async function importProfile(file) {
+    const p = TCNProfiles.parseProfile(await file.text(), FEAT_ORDER);
+    const existing = await profiles.get(p.name);
+    if (existing && !confirm(`Replace existing profile "${p.name}"?`)) return;
+    await profiles.put({ ...p, updatedAt: new Date().toISOString() });
+    await refreshProfiles(p.name);
+  }
+
+  /* ===================== Alerts ===================== */
+  const alertOutput = TCNAlerts.createWebAlertOutput({ flashEl: alertFlash, barEl: alertBar, barText: alertText });
+  const alerts = TCNAlerts.createAlertManager({
+    output: {
+      setLevel(level, info) {
+        alertOutput.setLevel(level, info);
+        emit("alert", { t: info.t, level, name: info.name, reason: info.reason });
+      }
+    }
+  });
+
+  function acknowledgeAlert() { alerts.acknowledge(); }
+  function snoozeAlert() {
+    if (!alerts.snooze()) alertText && (alertText.textContent = "Snooze unavailable (cooling down)");
+  }
+  function setMuteLabel() { muteBtn && (muteBtn.textContent = alertOutput.isMuted() ? "Unmute Alerts" : "Mute Alerts"); }
+
+  /* ===================== Session recorder ===================== */
+  // Every frame and event of a session, exported as CSV / JSONL. With ?recordLandmarks frames also carry the
+  // extractor inputs (landmarks, CNN probabilities; ≈ 15 kB/frame), so tools/evaluate.js can re-run other rules.
+  const recorder = TCNRecorder.createSessionRecorder({ featOrder: FEAT_ORDER });
+
+  function updateRecorderSummary() {
+    if (!recorderSummary) return;
+    const n = recorder.frameCount();
+    recorderSummary.textContent = n ? `${n} frames (${(n / TARGET_FPS).toFixed(1)}s)${recorder.isRecording() ? " · recording" : ""}` : "No session recorded";
+    exportCsvBtn && (exportCsvBtn.disabled = !n);
+    exportJsonlBtn && (exportJsonlBtn.disabled = !n);
+    reportBtn && (reportBtn.disabled = !n);
+  }
+  function downloadText(text, filename, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  function sessionFileStem() {
+    const started = recorder.getHeader()?.startedAt || new Date().toISOString();
+    return `snoozenet_session_${started.replace(/[:.]/g, "-")}`;
+  }
+
+  /* ===================== Session report ===================== */
+  let lastReport = null;
+
+  function showReport() {
+    if (!recorder.frameCount()) return;
+    lastReport = TCNReport.buildReport({ header: recorder.getHeader(), frames: recorder.getFrames(), events: recorder.getEvents() });
+    if (!reportDialog || !reportBody) return;
+    reportBody.innerHTML = TCNReport.renderReportBody(lastReport);
+    if (reportDialog.open) return;
+    if (reportDialog.showModal) reportDialog.showModal(); else reportDialog.setAttribute("open", "");
+  }
+
+  /* ===================== Annotation mode ===================== */
+  // While a session runs an operator marks ground truth: D drowsy, A alert, T talking, O other (the same key again, or
+  // Esc, ends the interval). Raw TARGET_FPS rows, μ/σ, intervals and one crop per labeled second are exported as JSON
+  // for training (format in annotation_recorder.js); intervals are also "annotation" events in the session log.
+  const ANNOTATION_KEYS = { KeyD: "drowsy", KeyA: "alert", KeyT: "talking", KeyO: "other" };
+  let lastAnnotationUiT = -Infinity;
+
+  function updateAnnotationUI() {
+    annotateBtn && (annotateBtn.textContent = annotating ? "Annotating: on" : "Annotate");
+    annotateBtn && annotateBtn.classList.toggle("active", annotating);
+    const s = annotator.summary();
+    exportAnnotationsBtn && (exportAnnotationsBtn.disabled = !s.rows);
+    if (!annotationStatus) return;
+    const secs = Object.entries(s.seconds).filter(([, v]) => v > 0).map(([l, v]) => `${l} ${v.toFixed(0)}s`).join(", ");
+    annotationStatus.textContent = !annotating && !s.rows ? "Off — D/A/T/O mark drowsy/alert/talking/other"
+      : `${s.active ? `● ${s.active.toUpperCase()}` : "no label"} · ${s.intervals} interval(s)${secs ? ` (${secs})` : ""} · ${s.windows} window(s)`;
+    annotationStatus.classList.toggle("active", !!s.active);
+  }
+
+  // Opens `label` (closing any open interval) or, for the open label / null, just closes it
+  function annotate(label) {
+    const prev = annotator.getActive();
+    const now = label === null ? (annotator.endInterval(frameTimeSec), null) : annotator.mark(label, frameTimeSec);
+    if (prev) emit("annotation", { t: frameTimeSec, label: prev.label, active: false });
+    if (now) emit("annotation", { t: frameTimeSec, label: now, active: true });
+    updateAnnotationUI();
+    return now;
+  }
+
+  function setAnnotationMode(on) {
+    if (!on && annotator.getActive()) annotate(null);
+    annotating = !!on;
+    updateAnnotationUI();
+  }
+
+  function exportAnnotations() {
+    const { type, featOrder, stateFields, ...session } = recorder.getHeader() || {};
+    return annotator.toExport({
+      ...session, tcnFeatOrder: modelSet ? modelSet.tcn.featOrder.slice() : null, normalizationEnabled
+    });
+  }
+
+  document.addEventListener("keydown", e => {
+    if (!annotating || !runningFlag || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target instanceof HTMLElement && e.target.closest("input, select, textarea")) return;
+    if (e.code === "Escape") { annotate(null); return; }
+    const label = ANNOTATION_KEYS[e.code];
+    if (!label) return;
+    e.preventDefault();
+    annotate(label);
+  });
+
+  /* ===================== Runtime config ===================== */
+  // Thresholds and timing rules (tcn_config.js) resolve as defaults < preset values < model set thresholds < preset
+  // offsets (ON/OFF_THRESH shift) < settings panel (localStorage) < URL (?preset=night-driving&ON_THRESH=0.7) <
+  // window.TCN.configure(). Changes apply from the next frame and are written to the session log.
+  const CONFIG_KEY = "dd_config"; // settings panel state: { preset, overrides }
+  let configPreset = "default", configOverrides = {};
+  let config = TCNConfig.resolveConfig();
+
+  // Validates first, so a rejected change leaves the running config untouched
+  function applyConfig(preset, overrides, { persist = false } = {}) {
+    const next = TCNConfig.resolveConfig(preset, overrides, modelThresholds);
+    config = next; configPreset = preset; configOverrides = { ...overrides };
+    extractor.setRules(config);
+    tcnInput?.setStride(config.TCN_STRIDE);
+    if (persist) {
+      try { localStorage.setItem(CONFIG_KEY, JSON.stringify({ preset, overrides: configOverrides })); } catch { /* storage unavailable */ }
+    }
+    recorder.setConfig(frameTimeSec, configPreset, config);
+    renderSettings();
+    return config;
+  }
+
+  function loadInitialConfig() {
+    let preset = "default", overrides = {};
+    try {
+      const saved = JSON.parse(localStorage.getItem(CONFIG_KEY) || "null");
+      if (saved) { TCNConfig.resolveConfig(saved.preset, saved.overrides, modelThresholds); ({ preset, overrides } = saved); }
+    } catch (e) { console.warn("Ignoring saved settings:", e.message); }
+    const q = TCNConfig.parseQuery(location.search);
+    if (q.preset || Object.keys(q.overrides).length) {
+      // A preset in the URL replaces the saved settings; bare values are layered on top of them
+      const p = q.preset || preset, o = q.preset ? q.overrides : { ...overrides, ...q.overrides };
+      try { TCNConfig.resolveConfig(p, o, modelThresholds); preset = p; overrides = o; }
+      catch (e) { console.warn("Ignoring URL config:", e.message); settingsMsg && (settingsMsg.textContent = "URL config ignored — " + e.message); }
+    }
+    applyConfig(preset, overrides);
+  }
+
+  // Settings panel: one number input per FIELDS key, grouped; values equal to the preset's are not stored as overrides
+  function buildSettingsPanel() {
+    if (!presetSelect || !settingsFields) return;
+    presetSelect.replaceChildren(...Object.entries(TCNConfig.PRESETS).map(([name, p]) => new Option(p.label, name)));
+    let group = null;
+    for (const [key, f] of Object.entries(TCNConfig.FIELDS)) {
+      if (f.group !== group) {
+        group = f.group;
+        const h = document.createElement("div"); h.className = "settings-group"; h.textContent = group;
+        settingsFields.appendChild(h);
+      }
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      Object.assign(input, { type: "number", min: f.min, max: f.max, step: f.int ? 1 : 0.01, title: key });
+      input.dataset.key = key;
+      label.append(f.label, input);
+      settingsFields.appendChild(label);
+    }
+  }
+  function renderSettings(values = config, preset = configPreset) {
+    if (!settingsFields) return;
+    presetSelect && (presetSelect.value = preset);
+    for (const input of settingsFields.querySelectorAll("input[data-key]")) {
+      input.value = values[input.dataset.key];
+      input.classList.toggle("overridden", input.dataset.key in configOverrides && preset === configPreset);
+    }
+  }
+  function applySettingsPanel() {
+    const preset = presetSelect?.value || "default";
+    const base = TCNConfig.resolveConfig(preset, {}, modelThresholds);
+    const overrides = {};
+    for (const input of settingsFields.querySelectorAll("input[data-key]")) {
+      const v = Number(input.value);
+      if (input.value === "" || v !== base[input.dataset.key]) overrides[input.dataset.key] = input.value === "" ? NaN : v;
+    }
+    try {
+      applyConfig(preset, overrides, { persist: true });
+      settingsMsg && (settingsMsg.textContent = `Applied ${TCNConfig.PRESETS[preset].label}${Object.keys(overrides).length ? ` + ${Object.keys(overrides).length} override(s)` : ""}`);
+    } catch (e) {
+      settingsMsg && (settingsMsg.textContent = e.message);
+    }
+  }
+
+  /* ===================== Debug chart ===================== */
+  // TCN output + selected feature series (raw, z-scores or both) with thresholds and event markers (debug_chart.js);
+  // Pause freezes the view and #chartScrub scrolls back through 120 s. Features, scale and span are kept in localStorage
+  const CHART_PREFS_KEY = "dd_chart";
+  const CHART_SPANS = [5, 10, 30, 60, 120];
+  const chartFeaturesSel = $("chartFeatures"), chartScaleSel = $("chartScale"), chartSpanSel = $("chartSpan");
+  const chartPauseBtn = $("chartPauseBtn"), chartScrub = $("chartScrub");
+  let debugChart = null;
+
+  function loadChartPrefs() {
+    const defaults = { features: ["eye_open_unified", "yawn_prob_ema_1s"], scale: "raw", span: 10 };
+    try { return { ...defaults, ...JSON.parse(localStorage.getItem(CHART_PREFS_KEY) || "{}") }; }
+    catch { return defaults; }
+  }
+
+  function applyChartPrefs(prefs) {
+    try {
+      debugChart.setFeatures(prefs.features.filter(n => FEAT_NAMES.includes(n)));
+      debugChart.setScale(prefs.scale);
+      debugChart.setSpan(prefs.span);
+    } catch (e) { console.warn("Ignoring saved chart settings:", e.message); }
+  }
+
+  function saveChartPrefs() {
+    const prefs = {
+      features: Array.from(chartFeaturesSel?.selectedOptions || [], o => o.value),
+      scale: chartScaleSel?.value || "raw", span: Number(chartSpanSel?.value) || 10
+    };
+    try { localStorage.setItem(CHART_PREFS_KEY, JSON.stringify(prefs)); } catch { /* storage unavailable */ }
+    applyChartPrefs(prefs);
+    debugChart.render();
+  }
+
+  function setChartPaused(p) {
+    p ? debugChart.pause() : debugChart.resume();
+    chartPauseBtn && (chartPauseBtn.textContent = p ? "Resume" : "Pause");
+    if (chartScrub) { chartScrub.disabled = !p; chartScrub.value = chartScrub.max; }
+    debugChart.render();
+  }
 
-  // Chart buffer (last 150 samples = ~10s at 15 FPS)
-  const chartMaxPoints = 150;
-  let tcnChart = null;
-  let tcnChartData = [];
+  // One sample per processed frame; drawn only while the debug column is visible and the chart is live
+  function pushChartSample(t, rawFeat) {
+    if (!debugChart) return;
+    const raw = rawFeat ? rawToVector(rawFeat) : null;
+    let norm = null;
+    if (raw && baselineStats.mu) {
+      norm = new Float32Array(F);
+      for (let i = 0; i < F; i++) norm[i] = (raw[i] - baselineStats.mu[i]) / Math.max(1e-3, baselineStats.sigma[i]);
+    }
+    debugChart.push({ t, prob: tcnReady ? tcnProb : null, raw, norm });
+    if (window.DEBUG_VISIBLE && !debugChart.isPaused()) debugChart.render();
+  }
 
   // Initialize chart once DOM is ready
   window.addEventListener("DOMContentLoaded", () => {
-    const ctx = document.getElementById("tcnChart")?.getContext("2d");
-    if (ctx) {
-      tcnChart = new Chart(ctx, {
-        type: "line",
-        data: {
-          labels: Array(chartMaxPoints).fill(""),
-          datasets: [{
-            label: "TCN Output (probability)",
-            data: Array(chartMaxPoints).fill(0),
-            borderColor: "#3fff9e",
-            borderWidth: 2,
-            pointRadius: 0,
-            tension: 0.15
-          }]
-        },
-        options: {
-          animation: false,
-          responsive: true,
-          scales: {
-            x: { display: false },
-            y: { min: 0, max: 1, ticks: { color: "#c4ffd2" }, grid: { color: "#123" } }
-          },
-          plugins: {
-            legend: { labels: { color: "#7ab891" } }
-          }
-        }
-      });
-    }
+    const canvas = $("tcnChart");
+    if (!canvas || typeof Chart === "undefined") return;
+    debugChart = TCNDebugChart.createDebugChart({ canvas, Chart, featNames: FEAT_NAMES, getConfig: () => config, historyS: CHART_SPANS[CHART_SPANS.length - 1] });
+    const prefs = loadChartPrefs();
+    applyChartPrefs(prefs);
+    const chosen = debugChart.getFeatures();
+    chartFeaturesSel?.replaceChildren(...FEAT_NAMES.map(n => new Option(n, n, false, chosen.includes(n))));
+    chartSpanSel?.replaceChildren(...CHART_SPANS.map(s => new Option(`${s} s`, s, false, s === prefs.span)));
+    chartScaleSel && (chartScaleSel.value = prefs.scale);
+    for (const el of [chartFeaturesSel, chartScaleSel, chartSpanSel]) el?.addEventListener("change", saveChartPrefs);
+    chartPauseBtn?.addEventListener("click", () => setChartPaused(!debugChart.isPaused()));
+    chartScrub?.addEventListener("input", () => { debugChart.scrub(chartScrub.value / chartScrub.max); debugChart.render(); });
+    debugChart.render();
   });
 
+  // Vertical markers come from the same events listeners get
+  listeners.get("blink").add(e => debugChart?.marker("blink", e.t));
+  listeners.get("yawn").add(e => debugChart?.marker("yawn", e.t));
+  listeners.get("nod").add(e => { if (e.active) debugChart?.marker("nod", e.t); });
+  listeners.get("drowsy").add(e => debugChart?.marker(e.active ? "drowsyOn" : "drowsyOff", e.t));
+
   // --- Modify existing function ---
-  function tcnPredictIfReady() {
-    if (!tcnModel) { tcnText.textContent = "TCN not loaded"; return; }
-    if (featBuf.length < TCN_WINDOW) {
+  // Runs beside the frame loop with at most one prediction in flight; a due window waits for the next grid row
+  // while one is. The result is dropped if the window restarted (face lost, model set switched) meanwhile.
+  let tcnInflight = null;
+  function tcnPredictIfReady(t) {
+    if (!engine) { tcnText.textContent = "TCN not loaded"; return; }
+    if (tcnInput.length() < TCN_WINDOW) {
+      tcnReady = false;
       tcnText.textContent = baselineStats.mu
-        ? `Warming ${featBuf.length}/${TCN_WINDOW}…`
-        : (normalizationEnabled ? "Awaiting μ/σ…" : `Warming ${featBuf.length}/${TCN_WINDOW}…`);
+        ? `Warming ${tcnInput.length()}/${TCN_WINDOW}…`
+        : (normalizationEnabled ? "Awaiting μ/σ…" : `Warming ${tcnInput.length()}/${TCN_WINDOW}…`);
       return;
     }
+    if (tcnInflight || !tcnInput.due()) return;
+
+    const set = modelSet, gen = tcnGen;
+    const flat = tcnInput.read(); // oldest row first; overwritten by the next read(), i.e. after this prediction
+    const tcnWindow = { flat, t, set, T: TCN_WINDOW };
+    const tTcn = performance.now();
+    tcnInflight = engine.predictTcn(flat)
+      .then(prob => {
+        recordLatency("tcn", performance.now() - tTcn);
+        if (set === modelSet && gen === tcnGen && runningFlag) applyTcnProb(prob, tcnWindow);
+      })
+      .catch(e => console.error("TCN prediction failed", e))
+      .finally(() => { tcnInflight = null; });
+  }
 
-    let x = null, y = null;
-    try {
-      const flat = new Float32Array(TCN_WINDOW * F);
-      for (let t = 0; t < TCN_WINDOW; t++) flat.set(featBuf[t], t * F);
-      x = tf.tensor3d(flat, [1, TCN_WINDOW, F]);
-      y = tcnModel.predict(x);
-      const prob = y.dataSync()[0];
-      tcnProb = prob; // store latest probability
-
-      if (!tcnIsDrowsy && prob >= ON_THRESH) tcnIsDrowsy = true;
-      else if (tcnIsDrowsy && prob <= OFF_THRESH) tcnIsDrowsy = false;
-
-      // --- Update text UI ---
-      tcnText.textContent = `${tcnIsDrowsy ? "Drowsy 😴" : "Awake"} (${prob.toFixed(2)})`;
-
-      // --- Draw red box if drowsy ---
-      drawDrowsyBox(tcnIsDrowsy);
-
-      // --- Update Chart ---
-      if (tcnChart && window.DEBUG_VISIBLE && !tcnChart.stopUpdates) {
-        tcnChartData.push(prob);
-        if (tcnChartData.length > chartMaxPoints) tcnChartData.shift();
-        tcnChart.data.datasets[0].data = tcnChartData;
-        tcnChart.update("none");
-      }
+  function applyTcnProb(prob, tcnWindow) {
+    tcnProb = prob; // store latest probability
+    tcnReady = true;
+    // tcnWindow.flat is the live read() buffer: windows kept for attribution are copied out of it
+    lastTcnWindow = window.DEBUG_VISIBLE ? keepWindow("latest", tcnWindow) : null;
 
-    } finally {
-      x?.dispose();
-      y?.dispose();
-    }
+    const wasDrowsy = tcnIsDrowsy;
+    if (!tcnIsDrowsy && prob >= config.ON_THRESH) tcnIsDrowsy = true;
+    else if (tcnIsDrowsy && prob <= config.OFF_THRESH) tcnIsDrowsy = false;
+    if (tcnIsDrowsy !== wasDrowsy) emit("drowsy", { t: tcnWindow.t, active: tcnIsDrowsy, prob });
+    if (tcnIsDrowsy && !wasDrowsy) onsetWindow = keepWindow("onset", tcnWindow);
+
+    // --- Update text UI ---
+    tcnText.textContent = `${tcnIsDrowsy ? "Drowsy 😴" : "Awake"} (${prob.toFixed(2)})`;
+
+    // --- Draw red box if drowsy ---
+    drawDrowsyBox(tcnIsDrowsy);
+  }
+
+
+  /* ===================== Explainability ===================== */
+  // Attribution runs beside the frame loop (never awaited by it) and one at a time, started once a frame's results
+  // are applied; its batches are read back asynchronously. A pending drowsy onset goes before the debug refresh,
+  // which is rate-limited because each attribution costs ~140 TCN passes.
+  // Scores come from occluding feature channels and 1 s blocks (or ?explain=gradient, gradient × input) against μ
+  // once normalized, else the window's mean. top holds the EXPLAIN_TOP largest |scores|; map.values has one row of
+  // scores per time block, oldest first, in the model set's columns. Positive scores pushed towards drowsy.
+  const EXPLAIN_EVERY_S = 10.0;
+  const EXPLAIN_TOP = 5;
+  const EXPLAIN_METHODS = ["occlusion", "gradient"];
+  const heatmapCanvas = $("tcnHeatmap"), topFeaturesList = $("tcnTopFeatures"), attributionInfo = $("tcnAttributionInfo");
+  const explainParam = new URLSearchParams(location.search).get("explain");
+  let explainMethod = EXPLAIN_METHODS.includes(explainParam) ? explainParam : "occlusion";
+  let lastTcnWindow = null; // { flat, t, set, T } behind the latest tcnProb, kept while the debug column is visible
+  let onsetWindow = null;   // window of a drowsy onset still to be explained
+  const keptFlat = { latest: null, onset: null }; // preallocated copies, resized with the model set's window
+
+  function keepWindow(slot, { flat, t, set, T }) {
+    if (!keptFlat[slot] || keptFlat[slot].length !== flat.length) keptFlat[slot] = new Float32Array(flat.length);
+    keptFlat[slot].set(flat);
+    return { flat: keptFlat[slot], t, set, T };
+  }
+  let explainBusy = false, lastExplainT = -Infinity;
+
+  const round4 = v => Math.round(v * 1e4) / 1e4;
+
+  async function explainWindow(w) {
+    if (!engine || !w || w.set !== modelSet) return null;
+    // Occluded features take their μ (0 after normalization) or, with raw inputs, their mean over the window
+    const baseline = baselineStats.mu ? new Float32Array(TCN_F) : null;
+    const r = await engine.explainTcn(w.flat.slice(), explainMethod, baseline);
+    if (w.set !== modelSet) return null; // switched while in flight: the columns no longer match
+    const names = w.set.tcn.featOrder, nF = names.length;
+    const scored = names.map((feature, j) => ({ feature, score: round4(r.perFeature[j]) }));
+    const values = [];
+    for (let k = 0; k < r.rows; k++) values.push(Array.from(r.map.subarray(k * nF, (k + 1) * nF), round4));
+    return {
+      t: w.t, prob: r.prob, method: r.method, modelSet: w.set.id,
+      top: scored.slice().sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, EXPLAIN_TOP),
+      perFeature: Object.fromEntries(scored.map(f => [f.feature, f.score])),
+      map: { rows: r.rows, rowS: w.T / r.rows / TARGET_FPS, values } // grid rows are 1 / TARGET_FPS apart
+    };
   }
 
+  function scheduleExplanation() {
+    if (explainBusy) return;
+    let w = null, trigger = null;
+    if (onsetWindow) { w = onsetWindow; trigger = "drowsy"; onsetWindow = null; }
+    else if (window.DEBUG_VISIBLE && lastTcnWindow && lastTcnWindow.t - lastExplainT >= EXPLAIN_EVERY_S) { w = lastTcnWindow; trigger = "debug"; }
+    if (!w) return;
+    explainBusy = true; lastExplainT = w.t;
+    explainWindow(w)
+      .then(a => {
+        if (!a) return;
+        if (window.DEBUG_VISIBLE) renderAttribution(a);
+        if (trigger === "drowsy") emit("explanation", { trigger, ...a });
+      })
+      .catch(e => console.warn("TCN attribution failed:", e))
+      .finally(() => { explainBusy = false; if (onsetWindow) scheduleExplanation(); });
+  }
 
-  /* ===================== FaceMesh ===================== */
-  const faceMesh = new FaceMesh({ locateFile: f => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${f}` });
-  faceMesh.setOptions({ maxNumFaces: 1, refineLandmarks: false, minDetectionConfidence: 0.5, minTrackingConfidence: 0.5 });
+  function resetExplanations() {
+    lastTcnWindow = null; onsetWindow = null; lastExplainT = -Infinity;
+    renderAttribution(null);
+  }
 
+  // Rows are features (model order), columns time blocks (oldest left); red pushed towards drowsy, blue away
+  function renderAttribution(a) {
+    topFeaturesList && topFeaturesList.replaceChildren(...(a ? a.top : []).map(f => {
+      const li = document.createElement("li");
+      li.className = f.score >= 0 ? "pos" : "neg";
+      li.textContent = `${f.feature} ${f.score >= 0 ? "+" : ""}${f.score.toFixed(3)}`;
+      return li;
+    }));
+    attributionInfo && (attributionInfo.textContent = a
+      ? `${a.method} · p=${a.prob.toFixed(2)} · ${(a.map.rows * a.map.rowS).toFixed(0)} s window at t=${a.t.toFixed(1)}s`
+      : "—");
+    if (!heatmapCanvas) return;
+    const ctx = heatmapCanvas.getContext("2d"), W = heatmapCanvas.width, H = heatmapCanvas.height;
+    ctx.clearRect(0, 0, W, H);
+    if (!a) return;
+    const names = Object.keys(a.perFeature), labelW = 112;
+    const cw = (W - labelW) / a.map.rows, ch = H / names.length;
+    let maxAbs = 1e-6;
+    for (const row of a.map.values) for (const v of row) maxAbs = Math.max(maxAbs, Math.abs(v));
+    ctx.font = `${Math.min(10, ch - 2)}px monospace`; ctx.textBaseline = "middle";
+    names.forEach((name, j) => {
+      ctx.fillStyle = "#7ab891";
+      ctx.fillText(name.slice(0, 18), 2, (j + 0.5) * ch);
+      a.map.values.forEach((row, k) => {
+        const v = row[j] / maxAbs;
+        ctx.fillStyle = v >= 0 ? `rgba(255, 107, 107, ${v})` : `rgba(63, 184, 255, ${-v})`;
+        ctx.fillRect(labelW + k * cw, j * ch, Math.ceil(cw), Math.ceil(ch));
+      });
+    });
+  }
+
+  function setExplainMethod(m) {
+    if (!EXPLAIN_METHODS.includes(m)) throw new Error(`Unknown attribution method "${m}". Expected one of: ${EXPLAIN_METHODS.join(", ")}`);
+    explainMethod = m; lastExplainT = -Infinity;
+  }
+
+  /* ===================== Frame canvases & overlay ===================== */
   toggleCrops?.addEventListener("change", () => { if (cropsRow) cropsRow.style.display = toggleCrops.checked ? "flex" : "none"; });
 
   function drawToProcCanvasCover() {
@@ -356,7 +792,6 @@
 
     const W = procCanvas.width;
     const H = procCanvas.height;
-    ctx.clearRect(0, 0, W, H);
 
     // Get bounding box of face landmarks
     const xs = landmarks.map(p => p.x * W);
@@ -389,350 +824,749 @@
     ctx.fillText(isDrowsy ? "DROWSY" : "AWAKE", x + w / 2, y - 10);
     ctx.restore();
   }
+  // Faces that are not monitored: thin dashed grey outline with their track id
+  function drawOtherFace(track) {
+    const ctx = overlayCtx, W = procCanvas.width, H = procCanvas.height, b = track.box;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    ctx.strokeStyle = "#8aa0b4";
+    ctx.strokeRect(b.x0 * W, b.y0 * H, b.w * W, b.h * H);
+    ctx.font = "14px system-ui";
+    ctx.fillStyle = "#8aa0b4";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(`#${track.id} · click to monitor`, b.x0 * W, b.y0 * H - 4);
+    ctx.restore();
+  }
+  function drawOverlay(tracks, subject) {
+    overlayCtx.clearRect(0, 0, procCanvas.width, procCanvas.height);
+    for (const tr of tracks) if (tr !== subject) drawOtherFace(tr);
+    if (subject) drawDrowsyBox(tcnIsDrowsy, subject.landmarks);
+  }
 
-  function setProcResLabel() {
-    if (!procResSpan) return;
-    if (toggleRes?.checked) procResSpan.textContent = `${downCanvas.width}×${downCanvas.height} (from ${procCanvas.width}×${procCanvas.height})`;
-    else procResSpan.textContent = `${procCanvas.width}×${procCanvas.height}`;
+
+  // Misc
+  let runningFlag = false;
+  let streamFlag = false;
+
+  /* ===================== Inference engines ===================== */
+  // Default: FaceMesh (the MediaPipe solution the rules, μ/σ and TCN were tuned on) and the models on this thread.
+  // ?inference=worker opts into inference_worker.js (TF.js FaceMesh runtime, weights from tfhub.dev, OffscreenCanvas)
+  // and falls back here when it cannot start. The runtimes place landmarks differently, so features can differ until
+  // parity is shown on a recorded clip (tools/evaluate.js, which refuses to mix runtimes); the session header records
+  // inferenceMode and faceMeshRuntime, #inferMode shows them.
+  // Both engines expose the same async surface:
+  //   init(set) → { backend, modelSet, tcnInputShape, modelVersion } after loading a model_manifest.json set
+  //   loadModels(set) → same info; the previous models keep serving until the new ones are loaded
+  //   detect(source) → { faces: [landmarks] } for every face in the frame
+  //   classify(landmarks, wantCrops) → { eyeLProb, eyeRProb, yawnProb, eyeConf, yawnConf, quality, timing, crops|null } on the frame
+  //     last passed to detect(), which is read before classify() returns (the next detect() may follow at once)
+  //   predictTcn(flat) → probability for one TCN_WINDOW × TCN_F window; flat may be reused once this returns
+  //   explainTcn(flat, method, baseline) → { prob, method, rows, map, perFeature } (TCNInference.explainTcn)
+  //   setBackend(name) → the TF.js backend now running; rejects (keeping the old one) when it cannot start
+  //   reset() drops face tracking state (used at the start of a replay)
+  const FACE_MESH_OPTIONS = { maxNumFaces: MAX_FACES, refineLandmarks: false, minDetectionConfidence: 0.5, minTrackingConfidence: 0.5 };
+
+  function createWorkerEngine() {
+    const worker = new Worker("inference_worker.js");
+    const waiting = new Map();
+    let seq = 0;
+    worker.onmessage = ({ data }) => {
+      const w = waiting.get(data.id); if (!w) return;
+      waiting.delete(data.id);
+      if (data.type === "error") w.reject(new Error(data.message)); else w.resolve(data);
+    };
+    worker.onerror = e => {
+      e.preventDefault();
+      for (const w of waiting.values()) w.reject(new Error(e.message || "inference worker failed"));
+      waiting.clear();
+    };
+    function call(msg, transfer = []) {
+      const id = ++seq;
+      return new Promise((resolve, reject) => { waiting.set(id, { resolve, reject }); worker.postMessage({ ...msg, id }, transfer); });
+    }
+    return {
+      mode: "worker", faceMeshRuntime: "tfjs",
+      async init(set) {
+        const { info } = await call({ type: "init", modelSet: set, backends: backendOrder(), faceMesh: { maxFaces: FACE_MESH_OPTIONS.maxNumFaces, refineLandmarks: FACE_MESH_OPTIONS.refineLandmarks } });
+        return info;
+      },
+      async loadModels(set) { return (await call({ type: "models", modelSet: set })).info; },
+      async detect(source) {
+        const bitmap = await createImageBitmap(source);
+        return call({ type: "faces", bitmap }, [bitmap]);
+      },
+      async classify(landmarks, wantCrops) { return call({ type: "crops", landmarks, wantCrops }); },
+      async predictTcn(flat) { return (await call({ type: "tcn", flat, T: TCN_WINDOW, F: TCN_F })).prob; }, // copied: flat is reused
+      async explainTcn(flat, method, baseline) {
+        const { prob, rows, map, perFeature, method: used } = await call({ type: "explain", flat, T: TCN_WINDOW, F: TCN_F, method, baseline }, [flat.buffer]);
+        return { prob, method: used, rows, map, perFeature };
+      },
+      async setBackend(name) { return (await call({ type: "backend", name })).backend; },
+      async reset() { await call({ type: "reset" }); },
+      terminate() { worker.terminate(); }
+    };
   }
 
+  function createInThreadEngine() {
+    let faceMesh = null, models = null, lastResults = null, lastSource = null;
+    return {
+      mode: "main", faceMeshRuntime: "mediapipe",
+      async init(set) {
+        const { failed } = await TCNInference.selectBackend(tf, backendOrder(), { wasmPath: WASM_PATH });
+        models = await TCNInference.loadModels(tf, set);
+        faceMesh = new FaceMesh({ locateFile: f => `vendor/face_mesh@0.4.1633559619/${f}` });
+        faceMesh.setOptions(FACE_MESH_OPTIONS);
+        faceMesh.onResults(res => { lastResults = res; }); // called before send() resolves
+        const warm = document.createElement('canvas'); warm.width = 4; warm.height = 4; warm.getContext('2d').fillRect(0, 0, 4, 4);
+        await faceMesh.send({ image: warm });
+        return { ...models.info, backendsFailed: failed };
+      },
+      async loadModels(set) {
+        const next = await TCNInference.loadModels(tf, set);
+        TCNInference.disposeModels(models);
+        models = next;
+        return models.info;
+      },
+      async detect(source) {
+        lastResults = null; lastSource = source;
+        await faceMesh.send({ image: source });
+        return { faces: lastResults?.multiFaceLandmarks || [] };
+      },
+      async classify(landmarks, wantCrops) {
+        return TCNInference.predictCrops(tf, models, lastSource, lastSource.width, lastSource.height, landmarks, { wantCrops });
+      },
+      async predictTcn(flat) { return TCNInference.predictTcn(tf, models.tcnModel, flat, TCN_WINDOW, TCN_F); },
+      async explainTcn(flat, method, baseline) { return TCNInference.explainTcn(tf, models.tcnModel, flat, TCN_WINDOW, TCN_F, { method, baseline }); },
+      async setBackend(name) { return (await TCNInference.selectBackend(tf, [name], { wasmPath: WASM_PATH })).backend; },
+      async reset() { faceMesh.reset(); },
+      terminate() { }
+    };
+  }
 
+  async function initInference(set) {
+    // The worker is opt-in: its FaceMesh runtime is not the one the rules and models were tuned on
+    const wantWorker = new URLSearchParams(location.search).get("inference") === "worker";
+    const canUseWorker = typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && typeof createImageBitmap === "function";
+    let e = null, info = null;
+    if (canUseWorker && wantWorker) {
+      const w = createWorkerEngine();
+      try { info = await w.init(set); e = w; }
+      catch (err) { console.warn("Inference worker unavailable, running on the main thread:", err); w.terminate(); }
+    }
+    if (!e) { e = createInThreadEngine(); info = await e.init(set); }
+    engine = e;
+    for (const f of info.backendsFailed || []) { governor.exclude(f.name); console.warn(`TF.js backend ${f.name} unavailable: ${f.error}`); }
+    engineBackend = info.backend; governor.setBackend(info.backend);
+    setInferMode();
+    activateModelSet(set, info);
+  }
 
+  /* ===================== Model sets ===================== */
+  // model_manifest.json declares the sets (paths, shapes, crop sizes, TCN columns, thresholds). The default set or
+  // ?models=<id> loads at boot and each model is checked against its declared shape (#modelStatus reports a mismatch).
+  // Switching loads the new models while the old ones keep running, then restarts the TCN window; a failed load
+  // leaves the current set active.
+  async function loadModelManifest() {
+    const res = await fetch(TCNModels.MANIFEST_URL, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`${TCNModels.MANIFEST_URL}: HTTP ${res.status}`);
+    modelManifest = TCNModels.parseManifest(await res.json(), {
+      featOrder: FEAT_ORDER,
+      validateThresholds: t => TCNConfig.resolveConfig("default", {}, t)
+    });
+    modelSetSelect && modelSetSelect.replaceChildren(...modelManifest.sets.map(s => new Option(s.label || s.id, s.id)));
+  }
 
-  /* ===================== Runtime vars for extractor-parity logic ===================== */
-  // Eye
-  let eyeClosedDebounced = false, eyeDebOn = 0, eyeDebOff = 0;
-  let eyeRunLenFrames = 0;
-  let prolongedEyeActive = false, lastProlongStartFrame = -1e9;
-  let blinkPulse = 0;
-  const eyeRuns = []; // {tEnd,lenFrames,durS}
-  let lastBlinkEndTime = 0;
-  let hasSeenBlink = 0;
+  // ?models=<id> picks the set to boot with; an unknown id falls back to the manifest default
+  function initialModelSet() {
+    const id = new URLSearchParams(location.search).get("models");
+    if (id) {
+      try { return TCNModels.getSet(modelManifest, id); }
+      catch (e) { console.warn("Ignoring ?models:", e.message); }
+    }
+    return TCNModels.getSet(modelManifest, modelManifest.default);
+  }
 
-  // Eye EMAs
-  const alphaEye1 = 1 - Math.exp(-DT / 1.0);
-  const alphaEye5 = 1 - Math.exp(-DT / 5.0);
-  let emaEye1 = NaN, emaEye5 = NaN;
+  function setModelStatus(text, isError = false) {
+    if (!modelStatus) return;
+    modelStatus.textContent = text;
+    modelStatus.classList.toggle("error", isError);
+  }
 
-  // Eye closed ring
-  const rbEyeClosed = new Ring(PER_30S);
+  function describeModelSet() {
+    return modelSet && { id: modelSet.id, label: modelSet.label || modelSet.id, modelVersion: modelInfo.modelVersion, tcnInputShape: modelInfo.tcnInputShape.slice() };
+  }
 
-  // Mouth
-  const alphaYawn1 = alphaEye1;
-  let yawnEma1 = NaN;
-  let mouthOpen = false, mouthRunFrames = 0, yawnProlonged = false;
-  const mouthRuns = []; // {tEnd,durS}
-  let yawnPulse = 0, lastYawnEndTime = 0;
+  // Makes a loaded set current: window shape, feature columns and thresholds change, so the TCN window restarts
+  function activateModelSet(set, info) {
+    const switched = modelSet !== null;
+    modelSet = set; modelInfo = info;
+    modelThresholds = { ...(set.thresholds || {}) };
+    TCN_WINDOW = set.tcn.inputShape[1]; TCN_F = set.tcn.inputShape[2];
+    tcnCols = TCNModels.featureIndex(set, FEAT_ORDER);
+    annotator.setWindowLen(TCN_WINDOW);
+    try { applyConfig(configPreset, configOverrides); }
+    catch (e) { console.warn(`Settings overrides clash with model set "${set.id}", using the preset:`, e.message); applyConfig(configPreset, {}); }
+    tcnInput = TCNFeatures.createTcnWindow({ T: TCN_WINDOW, F: TCN_F, stride: config.TCN_STRIDE });
+    resetTcnWindow();
+    resetExplanations();
+    if (tcnIsDrowsy) { tcnIsDrowsy = false; emit("drowsy", { t: frameTimeSec, active: false, prob: null }); }
+    recorder.setModelVersion(info.modelVersion);
+    modelSetSelect && (modelSetSelect.value = set.id);
+    setModelStatus(`${set.label || set.id} · T=${TCN_WINDOW} F=${TCN_F}`);
+    if (switched) emit("modelSet", { t: frameTimeSec, id: set.id, modelVersion: info.modelVersion });
+  }
+
+  // Switches are queued so two quick selections cannot interleave their loads
+  let modelSwitch = Promise.resolve();
+  function useModelSet(id) {
+    const run = async () => {
+      if (!engine || !modelManifest) throw new Error("Models are still loading");
+      const set = TCNModels.getSet(modelManifest, id);
+      if (set === modelSet) return describeModelSet();
+      try {
+        TCNConfig.resolveConfig(configPreset, configOverrides, set.thresholds || {});
+        setModelStatus(`Loading ${set.label || set.id}…`);
+        activateModelSet(set, await engine.loadModels(set));
+      } catch (e) {
+        setModelStatus(`${modelSet.label || modelSet.id} · could not switch to "${set.id}": ${e.message}`, true);
+        modelSetSelect && (modelSetSelect.value = modelSet.id);
+        throw e;
+      }
+      return describeModelSet();
+    };
+    return (modelSwitch = modelSwitch.then(run, run));
+  }
+  modelSetSelect && modelSetSelect.addEventListener("change", () => {
+    useModelSet(modelSetSelect.value).catch(e => console.error("Model set switch failed", e));
+  });
 
-  // Nod
-  let nodActive = false, stableFrames = 0;
+  /* ===================== Performance governor ===================== */
+  // Per-stage latency over the last 5 s against the 1000 / TARGET_FPS ms budget (#perfTable). With Auto on (kept in
+  // localStorage) perf_governor.js lowers the processing resolution (#downCanvas, 100 … 37.5 %) while frames are too
+  // busy, switches WebGL ↔ WASM when even the lowest is too slow, and raises it again when there is room; each change
+  // is a "performance" event. A manual backend or resolution turns Auto off; ?backend=wasm is tried first at startup.
+  // The governor only acts on live frames: replays keep the backend that was running and process at full resolution.
+  const WASM_PATH = "vendor/tfjs-backend-wasm@4.22.0/";
+  const AUTO_PERF_KEY = "dd_auto_perf";
+  const STAGE_LABELS = { capture: "Capture", faceMesh: "FaceMesh", crops: "Crops", eyeCnn: "Eye CNN", yawnCnn: "Yawn CNN", readback: "Readback", tcn: "TCN", busy: "Busy", frame: "Frame" };
+  const autoPerfBox = $("autoPerf"), backendSelect = $("backendSelect"), scaleSelect = $("scaleSelect");
+  const perfTable = $("perfTable"), perfSummary = $("perfSummary");
+  const perfStats = TCNPerf.createLatencyStats({ windowS: 5 });
+  const governor = TCNPerf.createGovernor({ targetFps: TARGET_FPS });
+  let engineBackend = null; // the TF.js backend the engine actually runs
+  let backendSwitch = Promise.resolve(), backendSwitches = 0; // the live loop starts no frame while a switch is pending
+
+  // Startup order: ?backend=wasm moves that backend to the front
+  function backendOrder() {
+    const wanted = new URLSearchParams(location.search).get("backend");
+    return TCNPerf.BACKENDS.includes(wanted) ? [wanted, ...TCNPerf.BACKENDS.filter(b => b !== wanted)] : TCNPerf.BACKENDS;
+  }
 
-  // Misc
-  let runningFlag = false;
-  let streamFlag = false;
+  const recordLatency = (stage, ms) => perfStats.add(stage, ms, frameTimeSec);
 
-  /* ===================== TF init & models ===================== */
-  async function initTf() {
-    try { await tf.setBackend("webgl"); } catch { await tf.setBackend("wasm"); }
-    await tf.ready();
-    eyeModel = await tf.loadLayersModel(MODEL_PATHS.eye);
-    yawnModel = await tf.loadLayersModel(MODEL_PATHS.yawn);
-    tcnModel = await tf.loadLayersModel(MODEL_PATHS.tcn);
+  // The frame FaceMesh and the crops run on: #procCanvas itself, or #downCanvas at the governor's scale
+  function processingInput() {
+    const scale = governor.state().scale;
+    if (scale === 1) return procCanvas;
+    const w = Math.round(procCanvas.width * scale), h = Math.round(procCanvas.height * scale);
+    if (downCanvas.width !== w || downCanvas.height !== h) { downCanvas.width = w; downCanvas.height = h; }
+    dctx.drawImage(procCanvas, 0, 0, w, h);
+    return downCanvas;
+  }
 
-    const inShape = tcnModel.inputs[0].shape; // [null, 90, F]
-    const modelF = inShape[2];
-    if (modelF !== F) {
-      alert(`TCN expects F=${modelF} features but FEAT_ORDER has ${F}. Update FEAT_ORDER & buildRawFeatures().`);
+  function setProcResLabel() {
+    const scale = governor.state().scale;
+    if (procResSpan) {
+      const w = Math.round(procCanvas.width * scale), h = Math.round(procCanvas.height * scale);
+      procResSpan.textContent = scale === 1 ? `${w}×${h}` : `${w}×${h} (${Math.round(scale * 100)}%)`;
     }
+    if (scaleSelect) scaleSelect.value = String(scale);
   }
 
-  /* ===================== Processing loop ===================== */
-  faceMesh.onResults(async (res) => {
-    if (!runningFlag) return;
-    const nowSec = performance.now() / 1000;
-    const lm = res.multiFaceLandmarks?.[0];
-    if (!lm) return;
+  function setInferMode() {
+    if (inferModeSpan && engine) inferModeSpan.textContent = `${engine.mode === "worker" ? "Worker" : "Main thread"} · ${engineBackend}`;
+    if (backendSelect && engineBackend) backendSelect.value = engineBackend;
+  }
 
-    const useDown = !!(toggleRes?.checked);
-    const W = useDown ? downCanvas.width : procCanvas.width;
-    const H = useDown ? downCanvas.height : procCanvas.height;
+  // A replay runs at scale 1 whatever the governor chose live, so a clip gives the same features every time; the live
+  // scale (or one set meanwhile) is put back when it stops
+  let liveScale = null;
 
-    // Pose
-    const preAxes = faceAxesFromLandmarks(lm);
-    let [X, Y, Z] = baseline.has() ? baseline.applyIfReady(preAxes.X, preAxes.Y, preAxes.Z) : [preAxes.X, preAxes.Y, preAxes.Z];
-    const { yaw, pitch, roll } = eulerFromAxes(X, Y, Z);
-    const yawDeg = yaw * 180 / Math.PI, pitchDeg = pitch * 180 / Math.PI, rollDeg = roll * 180 / Math.PI;
+  function setProcessingScale(scale) {
+    governor.setScale(Number(scale));
+    if (liveScale !== null) { liveScale = governor.state().scale; governor.setScale(1); }
+    setProcResLabel();
+  }
 
-    // Initial baseline snapshot
-    if (!baselineCaptured) {
-      const rawYawDeg = Math.atan2(preAxes.Z.x, preAxes.Z.z) * 180 / Math.PI;
-      dominantEye = rawYawDeg > 10 ? "right" : (rawYawDeg < -10 ? "left" : "both");
-      domEyeTxt && (domEyeTxt.textContent = dominantEye);
-
-      baseline.reset(); baseline.setManualAxes(preAxes.X, preAxes.Y, preAxes.Z);
-      drawToProcCanvasCover();
-      procCanvas.toBlob(blob => {
-        const url = URL.createObjectURL(blob);
-        if (baselineImg) baselineImg.src = url;
-        if (baselineTime) baselineTime.textContent = `t=${nowSec.toFixed(2)}s`;
-        if (downloadBaselineBtn) {
-          downloadBaselineBtn.disabled = false;
-          downloadBaselineBtn.onclick = () => { const a = document.createElement('a'); a.href = baselineImg.src; a.download = 'baseline_snapshot.png'; a.click(); };
-        }
+  function pinReplayScale(on) {
+    if (on && liveScale === null) { liveScale = governor.state().scale; governor.setScale(1); }
+    else if (!on && liveScale !== null) { governor.setScale(liveScale); liveScale = null; }
+    setProcResLabel();
+  }
+
+  // Switches the engine's TF.js backend once the frames in flight are done; on failure the governor stops
+  // considering it and the old one stays
+  function switchBackend(name, reason) {
+    const run = async () => {
+      await drainPipeline();
+      const prev = engineBackend;
+      if (!engine || name === prev) { governor.setBackend(prev); return prev; }
+      try {
+        const backend = engineBackend = await engine.setBackend(name);
+        governor.setBackend(backend);
+        emit("performance", { t: frameTimeSec, change: "backend", backend, scale: governor.state().scale, costMs: governor.state().costMs, reason });
+        return backend;
+      } catch (e) {
+        console.warn(`TF.js backend ${name} unavailable:`, e);
+        governor.exclude(name); governor.setBackend(prev);
+        emit("performance", { t: frameTimeSec, change: "backend", backend: prev, scale: governor.state().scale, costMs: governor.state().costMs, reason, failed: name });
+        throw e;
+      } finally {
+        setInferMode();
+      }
+    };
+    backendSwitches++;
+    const done = () => { backendSwitches--; };
+    backendSwitch = backendSwitch.then(run, run);
+    backendSwitch.then(done, done);
+    return backendSwitch;
+  }
+
+  // Called with every live frame's busy time (capture + detect + classify + applying the results, without the wait
+  // on the previous frame) and its end-to-end time (drawn → results applied, shown only). With one frame in flight
+  // the latter can exceed the budget at full rate, so the governor measures the former. Never waits for a backend
+  // switch, which runs once this frame's results are through the pipeline.
+  function governFrame(t, busyMs, frameMs) {
+    recordLatency("busy", busyMs); recordLatency("frame", frameMs);
+    const decision = governor.sample(t, busyMs);
+    if (!decision) return;
+    if (decision.type === "scale") {
+      setProcResLabel();
+      emit("performance", { t, change: "scale", backend: decision.backend, scale: decision.scale, costMs: decision.costMs, reason: decision.reason });
+    } else {
+      // The governor already counts on decision.backend; switchBackend() puts it right if that cannot start
+      switchBackend(decision.backend, decision.reason).catch(() => { /* reported as a "performance" event */ });
+    }
+  }
+
+  function renderPerfPanel() {
+    const stages = perfStats.summary();
+    const { budgetMs, auto, settled } = governor.state();
+    if (perfTable) {
+      const rows = [...TCNPerf.STAGES, "busy", "frame"].filter(s => stages[s]).map(s => {
+        const { mean, p90 } = stages[s];
+        const pct = Math.min(100, 100 * mean / budgetMs);
+        return `<tr><th>${STAGE_LABELS[s]}</th><td>${mean.toFixed(1)}</td><td>${p90.toFixed(1)}</td>` +
+          `<td class="bar"><span class="${p90 > budgetMs ? "over" : ""}" style="width:${pct.toFixed(0)}%"></span></td></tr>`;
       });
-      baselineCaptured = true;
-      resetNorm(); // start μ/σ only if enabled
+      perfTable.innerHTML = rows.length ? `<tr><th>ms</th><td>mean</td><td>p90</td><td class="bar">of ${budgetMs.toFixed(0)} ms</td></tr>${rows.join("")}` : "";
     }
+    if (perfSummary) {
+      const b = stages.busy, f = stages.frame;
+      perfSummary.textContent = b
+        ? `${b.mean.toFixed(1)} ms busy per frame (${(100 * b.mean / budgetMs).toFixed(0)}% of budget), ${f.mean.toFixed(1)} ms end to end · ${auto ? (settled ? "auto, settled" : "auto") : "manual"}`
+        : "—";
+    }
+  }
 
-    const dYaw = getSmoothDelta("yaw", yawDeg);
-    const dPitch = getSmoothDelta("pitch", pitchDeg);
-    const dRoll = getSmoothDelta("roll", rollDeg);
+  function setAutoPerformance(on) {
+    governor.setAuto(on);
+    autoPerfBox && (autoPerfBox.checked = !!on);
+    try { localStorage.setItem(AUTO_PERF_KEY, on ? "1" : "0"); } catch { /* storage unavailable */ }
+  }
+
+  if (backendSelect) backendSelect.innerHTML = TCNPerf.BACKENDS.map(b => `<option value="${b}">${b}</option>`).join("");
+  if (scaleSelect) scaleSelect.innerHTML = TCNPerf.SCALES.map(s => `<option value="${s}">${Math.round(s * 100)}%</option>`).join("");
+  function loadAutoPerformance() {
+    try { return localStorage.getItem(AUTO_PERF_KEY) !== "0"; }
+    catch { return true; }
+  }
+
+  setAutoPerformance(loadAutoPerformance());
+  autoPerfBox && autoPerfBox.addEventListener("change", () => setAutoPerformance(autoPerfBox.checked));
+  backendSelect && backendSelect.addEventListener("change", () => {
+    setAutoPerformance(false);
+    switchBackend(backendSelect.value, "manual").catch(e => alert(`Backend ${backendSelect.value} could not start: ${e.message}`));
+  });
+  scaleSelect && scaleSelect.addEventListener("change", () => { setAutoPerformance(false); setProcessingScale(scaleSelect.value); });
 
-    // Draw frames
+  /* ===================== Processing loop ===================== */
+  // Frames are pipelined: while frame N's crops are read back, frame N+1 is drawn and runs FaceMesh (at most one
+  // frame waits like this). Results are applied strictly in frame order. Replays and backend switches drain the
+  // pipeline so nothing overlaps them. Feature rows are resampled onto the TARGET_FPS grid (#rateTxt shows the real
+  // input rate and jitter), and the TCN runs beside the loop on every TCN_STRIDE-th grid row (1 by default, 3 with the
+  // "low-power" preset); tcnProb holds in between. After FACE_GRACE_S without a face the TCN window resets, and after
+  // FACE_ALERT_S the alert manager escalates with reason "faceLost". bench.html measures this path.
+  const NO_FACE_PREDS = { eyeLProb: NaN, eyeRProb: NaN, yawnProb: NaN, eyeConf: 0, yawnConf: 0, quality: null, crops: null };
+  let frameStarted = Promise.resolve();  // the frame being drawn / detected (set by the loops)
+  let frameResults = Promise.resolve();  // results of every frame submitted so far
+  let olderResults = Promise.resolve();  // results of all but the last one
+
+  // Draws the current video frame, detects faces and submits the subject's crops; the results follow in order
+  async function processFrame() {
+    await olderResults;
+    const t = frameTimeSec, t0 = performance.now();
     drawToProcCanvasCover();
-    if (useDown) dctx.drawImage(procCanvas, 0, 0, downCanvas.width, downCanvas.height);
-    const frame = tf.browser.fromPixels(useDown ? downCanvas : procCanvas);
-
-    // Crops + predictions
-    const LIDX = [33, 133, 159, 145], RIDX = [362, 263, 386, 374], MIDX = [61, 291, 13, 14, 81, 178, 308, 402];
-    function paddedBox(xs, ys, W, H, pad = 1.8, maxS = 300) {
-      let cx = (Math.min(...xs) + Math.max(...xs)) / 2, cy = (Math.min(...ys) + Math.max(...ys)) / 2;
-      let w = Math.max(...xs) - Math.min(...xs), h = Math.max(...ys) - Math.min(...ys);
-      let size = Math.min(Math.max(w, h) * pad, maxS);
-      let x = Math.max(0, Math.floor(cx - size / 2)), y = Math.max(0, Math.floor(cy - size / 2));
-      if (x + size > W) size = W - x; if (y + size > H) size = H - y;
-      let s = Math.floor(size); if (s <= 10) return null;
-      return { x, y, w: s, h: s };
-    }
-    function cropTensor(idxs, outW, outH) {
-      const pts = idxs.map(i => lm[i]); const xs = pts.map(p => p.x * W), ys = pts.map(p => p.y * H);
-      const box = paddedBox(xs, ys, W, H, 1.8, 300); if (!box) return null;
-      const c = tf.slice(frame, [Math.floor(box.y), Math.floor(box.x), 0], [Math.floor(box.h), Math.floor(box.w), 3]);
-      const g = tf.image.resizeBilinear(c, [outH, outW]).mean(2).expandDims(0).expandDims(-1).div(255.0);
-      c.dispose(); return g;
-    }
-
-    let unifiedEyeProb = NaN, yawnProb = NaN;
-    let left = null, right = null, mouth = null, eyeBatch = null, eyeOut = null, mouthOut = null;
-    try {
-      left = cropTensor(LIDX, 90, 90); right = cropTensor(RIDX, 90, 90);
-      if (left && right) {
-        eyeBatch = tf.concat([left, right], 0);
-        eyeOut = eyeModel.predict(eyeBatch);
-        const ev = eyeOut.dataSync();
-        const eyeLProb = ev[0], eyeRProb = ev[1];
-
-        // --- ✅ Dominant-eye weighting based on raw yaw (before calibration) ---
-        const rawYawDeg = Math.atan2(preAxes.Z.x, preAxes.Z.z) * 180 / Math.PI;
-
-        // Smoothly bias toward the eye that faces the camera more.
-        // ±20° gives about ±50% bias; clamp range for stability.
-        const bias = Math.max(-1, Math.min(1, rawYawDeg / 20));
-        const wL = 1 - bias / 2;
-        const wR = 1 + bias / 2;
-
-        // Weighted unified-eye probability
-        unifiedEyeProb = (eyeLProb * wL + eyeRProb * wR) / (wL + wR);
-
-        // Update UI field
-        if (domEyeTxt) {
-          if (rawYawDeg < -2) {
-            domEyeTxt.textContent = "Left eye ↑";
-            domEyeTxt.style.color = "#80ff80"; // green
-          } else if (rawYawDeg > 2) {
-            domEyeTxt.textContent = "Right eye ↑";
-            domEyeTxt.style.color = "#ffb380"; // orange
-          } else {
-            domEyeTxt.textContent = "Balanced";
-            domEyeTxt.style.color = "#c4ffd2";
-          }
-        }
-        if (window.DEBUG_VISIBLE) {
-          await tf.browser.toPixels(left.squeeze(), eyeCanvas);
-        } else {
-          const ctx = eyeCanvas.getContext("2d");
-          ctx.clearRect(0, 0, eyeCanvas.width, eyeCanvas.height);
-        }
+    const input = processingInput();
+    const t1 = performance.now();
+    const { faces } = await engine.detect(input);
+    const t2 = performance.now();
+    recordLatency("capture", t1 - t0); recordLatency("faceMesh", t2 - t1);
+    const tracks = faceTracker.update(t, faces);
+    const subject = subjectSelector.select(tracks, faceTracker);
+    const newSubject = subjectSelector.subjectChanged(); // reset once the previous person's frames are applied
+    // classify() reads the frame before it returns: the next frame may be drawn right away
+    const classified = subject ? engine.classify(subject.landmarks, !!window.DEBUG_VISIBLE || annotating) : Promise.resolve(NO_FACE_PREDS);
+    const previous = frameResults;
+    olderResults = previous;
+    frameResults = (async () => {
+      const preds = await classified;
+      const ownMs = performance.now() - t0;
+      await previous;
+      const t3 = performance.now();
+      if (newSubject) resetForNewSubject(t);
+      if (preds.timing) for (const [stage, ms] of Object.entries(preds.timing)) recordLatency(stage, ms);
+      await onFrameResults({ t, landmarks: subject ? subject.landmarks : null, ...preds, tracks, subject });
+      scheduleExplanation();
+      const t4 = performance.now();
+      if (!replayMode) governFrame(t, ownMs + (t4 - t3), t4 - t0);
+    })().catch(e => console.error("Frame processing failed", e));
+  }
 
+  async function drainPipeline() {
+    await frameStarted; await frameResults; await tcnInflight;
+  }
 
+  async function onFrameResults(res) {
+    if (!runningFlag) return;
+    const nowSec = res.t;
+    const { landmarks: lm, eyeLProb, eyeRProb, yawnProb: cnnYawnProb, eyeConf, yawnConf, quality } = res;
+    drawCrops(res.crops);
+    if (annotating && annotator.wantsThumb(nowSec)) annotator.addThumb(nowSec, res.crops);
+
+    // ---------- Features + event states ----------
+    const aspect = procCanvas.width / procCanvas.height; // landmarks are normalized to the processed frame
+    const out = extractor.step({ t: nowSec, landmarks: lm, eyeLeft: eyeLProb, eyeRight: eyeRProb, yawn: cnnYawnProb, aspect, eyeConf, yawnConf, quality });
+    const yawnProb = out.mouth ? out.mouth.prob : NaN; // CNN and/or landmark MAR, see out.mouth.source
+    const rawFeat = out.features; // held during the grace period, null once the face is lost
+    const unifiedEyeProb = out.eye ? out.eye.prob : NaN;
+    applyFaceState(out);
+    applyQuality(out);
 
-      }
-      mouth = cropTensor(MIDX, 120, 120);
-      if (mouth) {
-        mouthOut = yawnModel.predict(mouth);
-        const yv = mouthOut.dataSync(); yawnProb = yv[0];
-        if (window.DEBUG_VISIBLE) {
-          await tf.browser.toPixels(mouth.squeeze(), mouthCanvas);
-        } else {
-          const ctx = mouthCanvas.getContext("2d");
-          ctx.clearRect(0, 0, mouthCanvas.width, mouthCanvas.height);
-        }
+    // Initial baseline snapshot
+    if (out.baselineCaptured) {
+      baselineCaptured = true;
+      dominantEye = out.dominantEye;
+      saveBaselineSnapshot(nowSec);
+      recorder.setBaseline(nowSec, extractor.getBaselineR0(), dominantEye);
+      subjectSelector.setBaseline(res.subject.box);
+      resetNorm(nowSec); // start μ/σ only if enabled
+    }
+    applyPoseUpkeep(out, res.subject);
+
+    if (out.pose) updateFrameUI(out, yawnProb);
 
+    // μ/σ collection (measured frames only)
+    if (normMode && rawFeat && !out.imputed) {
+      const elapsed = nowSec - normT0;
+      if (baselineTime) baselineTime.textContent = `collecting… ${elapsed.toFixed(1)} / ${config.NORM_SECONDS.toFixed(1)}s (${baseCnt})`;
+      addNormSample(rawToVector(rawFeat));
+      if (elapsed >= config.NORM_SECONDS) {
+        normMode = false;
+        if (!finalizeNorm(nowSec)) normSummary && (normSummary.textContent = "μ/σ — unstable; try again");
       }
-    } finally {
-      left?.dispose(); right?.dispose(); eyeBatch?.dispose(); eyeOut?.dispose(); mouth?.dispose(); mouthOut?.dispose(); frame.dispose();
     }
 
-    // ---------- Eye pipeline ----------
-    const eyeClosedRaw = (!Number.isNaN(unifiedEyeProb) && unifiedEyeProb < EYE_CLOSE_T) ? 1 : 0;
-    rbEyeClosed.push(eyeClosedRaw);
-    const perclos_30s = rbEyeClosed.mean();
+    // Push to TCN & predict (only when a new grid row landed)
+    rateMonitor.push(nowSec);
+    if (rawFeat && pushFrameFeatures(rawFeat, nowSec) > 0) tcnPredictIfReady(nowSec);
+    pushChartSample(nowSec, rawFeat);
+
+    recorder.addFrame(nowSec, rawFeat, {
+      eye_prob: unifiedEyeProb, yawn_prob: yawnProb,
+      eye_source: out.eye?.source, yawn_source: out.mouth?.source, ear: out.eye ? (out.eye.ear.left + out.eye.ear.right) / 2 : null,
+      mar: out.mouth?.mar,
+      eye_closed_raw: out.eye?.closedRaw, eye_closed_debounced: out.eye ? (out.eye.closedDebounced ? 1 : 0) : null,
+      prolonged_eye_state: out.eye?.prolonged, blink_state: out.eye?.blink,
+      mouth_open_state: out.mouth?.open, yawn_prolonged_state: out.mouth?.prolonged, yawn_event_state: out.mouth?.yawnEvent,
+      nod_active: out.nod ? 1 : 0, pose_conf: out.pose ? out.pose.confidence : null,
+      brightness: out.quality?.brightness, contrast: out.quality?.contrast, eye_sharpness: out.quality?.eyeSharpness,
+      mouth_sharpness: out.quality?.mouthSharpness, motion: out.quality?.motion, quality_flags: out.quality ? out.quality.flags.join(" ") : null,
+      face_state: out.face.state, imputed: out.imputed ? 1 : 0,
+      subject_id: res.subject ? res.subject.id : null, face_count: res.tracks.length
+    }, tcnReady ? tcnProb : null, tcnIsDrowsy, RECORD_INPUTS ? {
+      landmarks: lm ? lm.flatMap(p => [+p.x.toFixed(5), +p.y.toFixed(5), +(p.z ?? 0).toFixed(5)]) : null,
+      eyeLeft: eyeLProb, eyeRight: eyeRProb, yawn: cnnYawnProb, eyeConf, yawnConf, aspect: +aspect.toFixed(5),
+      quality
+    } : null);
+    if (recorder.frameCount() % TARGET_FPS === 0) updateRecorderSummary();
+    if (annotating && nowSec - lastAnnotationUiT >= 1) { lastAnnotationUiT = nowSec; updateAnnotationUI(); }
+
+    alerts.update(nowSec, {
+      drowsy: tcnIsDrowsy, nod: out.nod, closure: !!out.eye?.prolonged,
+      faceLost: baselineCaptured && out.face.state === "lost" && out.face.absentS >= FACE_ALERT_S
+    });
 
-    if (!isFinite(emaEye1)) { const v = isFinite(unifiedEyeProb) ? unifiedEyeProb : 1.0; emaEye1 = v; emaEye5 = v; }
-    else {
-      const v = isFinite(unifiedEyeProb) ? unifiedEyeProb : emaEye1;
-      emaEye1 += (1 - Math.exp(-DT / 1.0)) * (v - emaEye1);
-      emaEye5 += (1 - Math.exp(-DT / 5.0)) * (v - emaEye5);
-    }
-    const eye_open_trend_3s = emaEye1 - emaEye5;
+    // Events: edges from the extractor, then the per-frame tick
+    for (const ev of out.events) { const { type, ...payload } = ev; emit(type, payload); }
+    emit("frame", {
+      t: nowSec, features: rawFeat, tcnProb: tcnReady ? tcnProb : null, tcnIsDrowsy,
+      eyeProb: unifiedEyeProb, eyeSource: out.eye?.source ?? null, yawnProb, yawnSource: out.mouth?.source ?? null,
+      pose: out.pose, face: out.face,
+      subjectId: res.subject ? res.subject.id : null, faces: describeFaces(res.tracks, res.subject)
+    });
 
-    if (eyeClosedRaw) {
-      eyeDebOn++; eyeDebOff = 0;
-      if (!eyeClosedDebounced && eyeDebOn >= EYE_DEBOUNCE_ON_F) {
-        eyeClosedDebounced = true; eyeRunLenFrames = 0;
-      }
-    } else {
-      eyeDebOff++; eyeDebOn = 0;
-      if (eyeClosedDebounced && eyeDebOff >= EYE_DEBOUNCE_OFF_F) {
-        const lenF = eyeRunLenFrames; const durS = lenF * DT;
-        eyeRuns.push({ tEnd: nowSec, lenFrames: lenF, durS });
-        const cut30 = nowSec - 30.0; while (eyeRuns.length && eyeRuns[0].tEnd < cut30) eyeRuns.shift();
-        if (lenF >= BLINK_MIN_F && lenF <= BLINK_MAX_F) {
-          lastBlinkEndTime = nowSec; hasSeenBlink = 1; blinkPulse = 1;
-        }
-        eyeClosedDebounced = false; eyeRunLenFrames = 0;
-      }
+    // FPS
+    fpsCounter++; const tNow = performance.now();
+    if (tNow - lastFpsT >= 1000) {
+      fpsSpan && (fpsSpan.textContent = fpsCounter); fpsCounter = 0; lastFpsT = tNow;
+      if (rateTxt) { const r = rateMonitor.stats(); rateTxt.textContent = `${r.hz.toFixed(1)} Hz ±${r.jitterMs.toFixed(0)}ms · ${r.late} late`; }
+      renderPerfPanel();
     }
-    if (eyeClosedDebounced) eyeRunLenFrames++;
+    visibleFaces = res.tracks;
+    drawOverlay(res.tracks, res.subject);
+    updateSubjectText(res.tracks, res.subject);
+  }
+
+  /* ===================== Pose recalibration ===================== */
+  // The baseline comes from the first face frame or the calibration profile. A guided capture (#recalibrateBtn,
+  // window.TCN.recalibratePose: head within a few degrees for 2 s) swaps it mid-session, keeping eye/mouth state and
+  // restarting the TCN window. On "poseDrift" #driftMode decides: ask (#driftPrompt), recalibrate automatically (never
+  // while drowsy), or ignore. The mode is kept in localStorage.
+  const DRIFT_MODES = ["prompt", "auto", "off"];
+  const DRIFT_MODE_KEY = "dd_drift_mode";
+  const recalibrateBtn = $("recalibrateBtn"), driftModeSel = $("driftMode"), calibrationStatusEl = $("calibrationStatus");
+  const driftPrompt = $("driftPrompt"), driftPromptText = $("driftPromptText");
+
+  function loadDriftMode() {
+    let saved = null;
+    try { saved = localStorage.getItem(DRIFT_MODE_KEY); } catch { /* storage unavailable */ }
+    return DRIFT_MODES.includes(saved) ? saved : "prompt";
+  }
+
+  let driftMode = loadDriftMode();
+  let recalibrationWaiters = [];
 
-    if (eyeClosedDebounced) {
-      if (!prolongedEyeActive && eyeRunLenFrames >= FRM_2P5S && (featBuf.length - lastProlongStartFrame) >= BLINK_LOCK_FRM) {
-        prolongedEyeActive = true; lastProlongStartFrame = featBuf.length;
+  function saveBaselineSnapshot(t) {
+    drawToProcCanvasCover();
+    procCanvas.toBlob(blob => {
+      const url = URL.createObjectURL(blob);
+      if (baselineImg) { if (baselineImg.src.startsWith("blob:")) URL.revokeObjectURL(baselineImg.src); baselineImg.src = url; }
+      if (baselineTime) baselineTime.textContent = `t=${t.toFixed(2)}s`;
+      if (downloadBaselineBtn) {
+        downloadBaselineBtn.disabled = false;
+        downloadBaselineBtn.onclick = () => { const a = document.createElement('a'); a.href = baselineImg.src; a.download = 'baseline_snapshot.png'; a.click(); };
       }
-    } else {
-      prolongedEyeActive = false;
-    }
-    const prolonged_eye_state = prolongedEyeActive ? 1 : 0;
+    });
+  }
 
-    const blink_state = (blinkPulse > 0 && !eyeClosedDebounced) ? 1 : 0;
-    if (blinkPulse > 0) blinkPulse--;
+  function setCalibrationStatus(text, active = false) {
+    if (!calibrationStatusEl) return;
+    calibrationStatusEl.textContent = text;
+    calibrationStatusEl.classList.toggle("active", active);
+  }
 
-    const tNowSec = nowSec;
-    const cut10 = tNowSec - 10.0, cut30 = tNowSec - 30.0;
-    let blinks30 = 0, max_close_run_10s = 0;
-    for (const r of eyeRuns) {
-      if (r.tEnd >= cut30 && r.lenFrames >= BLINK_MIN_F && r.lenFrames <= BLINK_MAX_F) blinks30++;
-      if (r.tEnd >= cut10 && r.durS > max_close_run_10s) max_close_run_10s = r.durS;
+  function setDriftPrompt(ev) {
+    if (!driftPrompt) return;
+    driftPrompt.hidden = !ev;
+    if (ev && driftPromptText) {
+      const parts = [["yaw", ev.yawDeg], ["pitch", ev.pitchDeg], ["roll", ev.rollDeg]]
+        .filter(([, v]) => Math.abs(v) >= 2).map(([n, v]) => `${n} ${v > 0 ? "+" : ""}${v.toFixed(0)}°`);
+      driftPromptText.textContent = `Your resting head pose moved (${parts.join(", ")}) for ${ev.durS.toFixed(0)} s. Seat or camera changed? Recalibrate while looking at the road.`;
     }
-    const blink_rate_30s = blinks30 / 30.0;
-    const time_since_last_blink_s = Math.min(Math.max(0, tNowSec - lastBlinkEndTime), TS_MAX);
+  }
 
-    // Eye UI
-    const eyeClosed = !!eyeClosedRaw;
-    if (eyeStateSpan) eyeStateSpan.textContent = isFinite(unifiedEyeProb) ? (eyeClosed ? `Closed (${unifiedEyeProb.toFixed(2)})` : `Open (${unifiedEyeProb.toFixed(2)})`) : "—";
-    if ($("blinkState")) $("blinkState").textContent = blink_state ? "Frequent 👀" : "-";
-
-    // ---------- Mouth / yawn ----------
-    if (!isFinite(yawnEma1)) { yawnEma1 = isFinite(yawnProb) ? yawnProb : 0; }
-    else { const vy = isFinite(yawnProb) ? yawnProb : yawnEma1; yawnEma1 += (1 - Math.exp(-DT / 1.0)) * (vy - yawnEma1); }
-
-    if (mouthOpen) {
-      if (yawnEma1 <= MOUTH_OFF_T) {
-        const durS = mouthRunFrames * DT;
-        mouthRuns.push({ tEnd: tNowSec, durS });
-        const cutM30 = tNowSec - 30.0; while (mouthRuns.length && mouthRuns[0].tEnd < cutM30) mouthRuns.shift();
-        if (durS >= MOUTH_PROLONG_S) { yawnPulse = 1; lastYawnEndTime = tNowSec; }
-        mouthOpen = false; mouthRunFrames = 0; yawnProlonged = false;
-      } else {
-        mouthRunFrames++;
-        if (!yawnProlonged && (mouthRunFrames * DT) >= MOUTH_PROLONG_S) yawnProlonged = true;
+  function settleRecalibration(err, payload) {
+    const waiters = recalibrationWaiters;
+    recalibrationWaiters = [];
+    for (const w of waiters) err ? w.reject(err) : w.resolve(payload);
+  }
+
+  function recalibratePose(reason = "manual") {
+    if (!runningFlag || !baselineCaptured) return Promise.reject(new Error("Pose recalibration needs a running session with a face"));
+    extractor.recalibrate({ reason });
+    setDriftPrompt(null);
+    setCalibrationStatus("Look at the road and hold still…", true);
+    return new Promise((resolve, reject) => recalibrationWaiters.push({ resolve, reject }));
+  }
+
+  // Called on every frame with the extractor output: capture progress, finished captures and drift edges
+  function applyPoseUpkeep(out, subject) {
+    const cal = out.calibration;
+    if (cal?.capturing) setCalibrationStatus(`Hold still… ${(cal.progress * 100).toFixed(0)}%${cal.restarts ? ` (restarted ${cal.restarts}×)` : ""}`, true);
+    for (const ev of out.events) {
+      if (ev.type === "recalibration") {
+        const { type, ...payload } = ev;
+        if (ev.ok) {
+          dominantEye = ev.dominantEye;
+          saveBaselineSnapshot(ev.t);
+          if (subject) subjectSelector.setBaseline(subject.box);
+          const s = ev.shiftDeg;
+          setCalibrationStatus(`Recalibrated (${ev.reason}): yaw ${s.yaw.toFixed(1)}°, pitch ${s.pitch.toFixed(1)}°, roll ${s.roll.toFixed(1)}° from the previous pose`);
+          settleRecalibration(null, payload);
+        } else {
+          setCalibrationStatus("Recalibration timed out: the head kept moving. Try again.");
+          settleRecalibration(new Error("Pose recalibration timed out"));
+        }
+      } else if (ev.type === "poseDrift") {
+        if (!ev.active) { setDriftPrompt(null); continue; }
+        // Never re-baseline automatically on a drowsy driver: a slumped head is not the new neutral
+        if (driftMode === "auto" && !tcnIsDrowsy) recalibratePose("drift").catch(() => { });
+        else if (driftMode !== "off") setDriftPrompt(ev);
       }
-    } else {
-      if (yawnEma1 >= MOUTH_ON_T) { mouthOpen = true; mouthRunFrames = 1; yawnProlonged = false; }
     }
+  }
 
-    const mouth_open_state = mouthOpen ? 1 : 0;
-    const mouth_open_run_s = mouthOpen ? mouthRunFrames * DT : 0;
-    const yawn_prolonged_state = yawnProlonged ? 1 : 0;
-    const yawn_event_state = (!mouthOpen && yawnPulse > 0) ? 1 : 0;
-    if (yawnPulse > 0) yawnPulse--;
+  function setDriftMode(mode) {
+    if (!DRIFT_MODES.includes(mode)) throw new Error(`Unknown drift mode "${mode}". Expected one of: ${DRIFT_MODES.join(", ")}`);
+    driftMode = mode;
+    try { localStorage.setItem(DRIFT_MODE_KEY, mode); } catch { /* storage unavailable */ }
+    driftModeSel && (driftModeSel.value = mode);
+    if (mode === "off") setDriftPrompt(null);
+  }
 
-    let mouthShort30 = 0;
-    for (const r of mouthRuns) {
-      if (r.tEnd >= cut30 && r.durS >= MOUTH_SHORT_MIN_S && r.durS <= MOUTH_SHORT_MAX_S) mouthShort30++;
+  recalibrateBtn?.addEventListener("click", () => recalibratePose().catch(e => setCalibrationStatus(e.message)));
+  $("driftRecalibrateBtn")?.addEventListener("click", () => recalibratePose("drift").catch(e => setCalibrationStatus(e.message)));
+  $("driftDismissBtn")?.addEventListener("click", () => setDriftPrompt(null));
+  driftModeSel && (driftModeSel.value = driftMode);
+  driftModeSel?.addEventListener("change", () => setDriftMode(driftModeSel.value));
+
+  /* ===================== Subject selection ===================== */
+  // Up to MAX_FACES faces get stable ids (face_tracker.js); the subject is the face closest to the baseline position,
+  // the largest, or the one clicked on the overlay. Only its crops are classified and only its landmarks reach the
+  // extractor; a briefly missed subject counts as absent rather than being swapped for another face.
+  function describeFaces(tracks, subject) {
+    return tracks.map(tr => ({ id: tr.id, box: { x: tr.box.x0, y: tr.box.y0, w: tr.box.w, h: tr.box.h }, subject: tr === subject }));
+  }
+  function updateSubjectText(tracks, subject) {
+    if (!subjectTxt) return;
+    const how = subjectSelector.isPinned() ? "selected" : subjectSelector.getRule();
+    subjectTxt.textContent = subject ? `#${subject.id} (${how}) · ${tracks.length} face${tracks.length === 1 ? "" : "s"}` : (tracks.length ? `none · ${tracks.length} face(s)` : "-");
+  }
+  async function selectFace(id) {
+    if (id !== null && !visibleFaces.some(tr => tr.id === id)) throw new Error(`No visible face with id ${id}`);
+    const switching = id !== null && id !== subjectSelector.getSubjectId();
+    subjectSelector.pin(id);
+    if (!switching) return;
+    // Frames already submitted still carry the previous person: let them through before resetting
+    await drainPipeline();
+    resetForNewSubject(frameTimeSec);
+  }
+  // A different person (clicked, or chosen by the rule once the last subject's track was forgotten): their pose
+  // baseline, landmark references, quality medians and TCN window start from scratch
+  function resetForNewSubject(t) {
+    extractor.reset(); baselineCaptured = false;
+    resetTcnWindow();
+    annotator.breakSegment();
+    if (tcnIsDrowsy) { tcnIsDrowsy = false; emit("drowsy", { t, active: false, prob: null }); }
+  }
+  // Click a face on the overlay to monitor it; click empty space to return to the rule
+  overlayCanvas.addEventListener("click", e => {
+    const r = overlayCanvas.getBoundingClientRect();
+    const hit = TCNFaceTracker.boxAt(visibleFaces, (e.clientX - r.left) / r.width, (e.clientY - r.top) / r.height);
+    selectFace(hit ? hit.id : null).catch(err => console.error("Could not select face", err));
+  });
+  subjectRuleSel && subjectRuleSel.addEventListener("change", () => subjectSelector.setRule(subjectRuleSel.value));
+
+  // Face presence: drop the TCN window when the face is lost so a stale verdict is never shown
+  function applyFaceState(out) {
+    const { state, absentS } = out.face;
+    if (out.windowReset) {
+      resetTcnWindow();
+      if (tcnIsDrowsy) { tcnIsDrowsy = false; emit("drowsy", { t: out.t, active: false, prob: null }); }
     }
-    const mouth_open_rate_30s = mouthShort30 / 30.0;
-    const time_since_last_yawn_s = Math.min(Math.max(0, tNowSec - lastYawnEndTime), TS_MAX);
+    if (faceStateSpan) faceStateSpan.textContent = state === "present" ? "Present" : state === "grace" ? `Holding (${absentS.toFixed(1)}s)` : `No face (${absentS.toFixed(1)}s)`;
+    if (state === "lost") tcnText && (tcnText.textContent = "No face — window reset");
+  }
 
-    // Mouth UI
-    if (mouthStateSpan) mouthStateSpan.textContent = isFinite(yawnProb) ? (yawnEma1 >= MOUTH_ON_T ? `Open (${(yawnProb).toFixed(2)})` : `Closed (${(yawnProb).toFixed(2)})`) : "—";
+  /* ===================== Frame quality ===================== */
+  // predictCrops measures face brightness / contrast and crop sharpness, the extractor adds motion and fit residual
+  // and ignores CNN output that fails the QUALITY_* limits (eye/mouth probabilities then come from landmark EAR / MAR,
+  // tagged with their source). #qualityTxt follows every frame; the header badge follows the debounced "visibility"
+  // events. The measures, flags and sources are logged per frame.
+  const QUALITY_TEXT = {
+    dark: "too dark", lowContrast: "low contrast", blurEyes: "eyes blurred", blurMouth: "mouth blurred",
+    motion: "moving", occluded: "face occluded"
+  };
+  const visibilityStatus = $("visibilityStatus"), qualityTxt = $("qualityTxt");
+  const describeQuality = flags => flags.map(f => QUALITY_TEXT[f] || f).join(", ");
 
-    // ---------- Nod (rule) ----------
-    if (prolonged_eye_state && pitchDeg <= -4 && Math.abs(rollDeg) <= 20 && Math.abs(yawDeg) <= 10) nodActive = true;
-    if (!eyeClosed || Math.abs(yawDeg) > 10 || (pitchDeg >= -2)) { nodActive = false; stableFrames = 0; }
-    if (nodStateSpan) nodStateSpan.textContent = nodActive ? "Nodding Off 😴" : "Awake";
+  function setVisibilityBadge(ev) {
+    if (!visibilityStatus) return;
+    visibilityStatus.hidden = !ev?.active;
+    if (ev?.active) visibilityStatus.textContent = `Poor visibility: ${describeQuality(ev.flags)}`;
+  }
 
-    // Cards
-    if (pecCard) { if (eyeClosed && (eyeRunLenFrames * DT) >= 0.3) { pecCard.classList.add("active"); $("pecStatus").textContent = "Active"; } else { pecCard.classList.remove("active"); $("pecStatus").textContent = "Inactive"; } }
-    if (yawnCard) { if (yawn_prolonged_state) { yawnCard.classList.add("active"); $("yawnStatus").textContent = "Active"; } else { yawnCard.classList.remove("active"); $("yawnStatus").textContent = "Inactive"; } }
-    if (nodCard) { if (nodActive) { nodCard.classList.add("active"); $("nodStatus").textContent = "Active"; } else { nodCard.classList.remove("active"); $("nodStatus").textContent = "Inactive"; } }
-
-    // ---------- Build TCN features ----------
-    const rawFeat = buildRawFeatures({
-      yawDeg, pitchDeg: pitchDeg, rollDeg,
-      dYaw, dPitch, dRoll,
-      eye_open_unified: unifiedEyeProb,
-      ema_eye_open_1s: emaEye1,
-      ema_eye_open_5s: emaEye5,
-      eye_open_trend_3s,
-      eye_close_dur_s: eyeClosedDebounced ? eyeRunLenFrames * DT : 0,
-      eye_run_len_frames: eyeRunLenFrames,
-      perclos_30s,
-      blink_rate_30s,
-      max_close_run_10s: Number.isFinite(max_close_run_10s) ? max_close_run_10s : 0,
-      time_since_last_blink_s,
-      yawn_prob_ema_1s: yawnEma1,
-      mouth_open_run_s,
-      mouth_open_rate_30s,
-      time_since_last_yawn_s
-    });
+  function applyQuality(out) {
+    if (qualityTxt) qualityTxt.textContent = out.quality ? (out.quality.poor ? describeQuality(out.quality.flags) : "OK") : "-";
+    for (const ev of out.events) if (ev.type === "visibility") setVisibilityBadge(ev);
+  }
 
-    // μ/σ collection
-    if (normMode) {
-      const elapsed = (performance.now() / 1000) - normT0;
-      if (baselineTime) baselineTime.textContent = `collecting… ${elapsed.toFixed(1)} / ${NORM_SECONDS.toFixed(1)}s (${baseCnt})`;
-      addNormSample(rawToVector(rawFeat));
-      if (elapsed >= NORM_SECONDS) {
-        normMode = false;
-        if (!finalizeNorm()) normSummary && (normSummary.textContent = "μ/σ — unstable; try again");
+  function updateFrameUI(out, yawnProb) {
+    const { yawDeg, pitchDeg, rollDeg, dYaw, dPitch, dRoll, rawYawDeg, confidence } = out.pose;
+    const unifiedEyeProb = out.eye.prob;
+
+    // Dominant-eye indicator (weighting itself happens in the extractor, from raw yaw)
+    if (domEyeTxt) {
+      if (rawYawDeg < -2) {
+        domEyeTxt.textContent = "Left eye ↑";
+        domEyeTxt.style.color = "#80ff80"; // green
+      } else if (rawYawDeg > 2) {
+        domEyeTxt.textContent = "Right eye ↑";
+        domEyeTxt.style.color = "#ffb380"; // orange
+      } else {
+        domEyeTxt.textContent = "Balanced";
+        domEyeTxt.style.color = "#c4ffd2";
       }
     }
 
-    // Push to TCN & predict
-    pushFrameFeatures(rawFeat);
-    tcnPredictIfReady();
+    // Eye UI
+    const eyeClosed = !!out.eye.closedRaw;
+    // Probabilities not (only) from the CNN are tagged with their source
+    const via = source => (source === "cnn" ? "" : `, ${source === "geometric" ? "landmarks" : source}`);
+    if (eyeStateSpan) eyeStateSpan.textContent = isFinite(unifiedEyeProb) ? `${eyeClosed ? "Closed" : "Open"} (${unifiedEyeProb.toFixed(2)}${via(out.eye.source)})` : "—";
+    if ($("blinkState")) $("blinkState").textContent = out.eye.blink ? "Frequent 👀" : "-";
+
+    // Mouth UI
+    if (mouthStateSpan) mouthStateSpan.textContent = isFinite(yawnProb) ? `${out.mouth.ema >= config.MOUTH_ON_T ? "Open" : "Closed"} (${yawnProb.toFixed(2)}${via(out.mouth.source)})` : "—";
 
+    // Nod UI
+    if (nodStateSpan) nodStateSpan.textContent = out.nod ? "Nodding Off 😴" : "Awake";
+
+    // Cards
+    if (pecCard) { if (eyeClosed && out.eye.runS >= 0.3) { pecCard.classList.add("active"); $("pecStatus").textContent = "Active"; } else { pecCard.classList.remove("active"); $("pecStatus").textContent = "Inactive"; } }
+    if (yawnCard) { if (out.mouth.prolonged) { yawnCard.classList.add("active"); $("yawnStatus").textContent = "Active"; } else { yawnCard.classList.remove("active"); $("yawnStatus").textContent = "Inactive"; } }
+    if (nodCard) { if (out.nod) { nodCard.classList.add("active"); $("nodStatus").textContent = "Active"; } else { nodCard.classList.remove("active"); $("nodStatus").textContent = "Inactive"; } }
 
     // Stats
     yawSpan && (yawSpan.textContent = yawDeg.toFixed(1));
     pitchSpan && (pitchSpan.textContent = pitchDeg.toFixed(1));
     rollSpan && (rollSpan.textContent = rollDeg.toFixed(1));
+    poseConfSpan && (poseConfSpan.textContent = confidence.toFixed(2));
     dyawSpan && (dyawSpan.textContent = dYaw.toFixed(1));
     dpitchSpan && (dpitchSpan.textContent = dPitch.toFixed(1));
     drollSpan && (drollSpan.textContent = dRoll.toFixed(1));
+  }
 
-    // FPS
-    fpsCounter++; const tNow = performance.now();
-    if (tNow - lastFpsT >= 1000) { fpsSpan && (fpsSpan.textContent = fpsCounter); fpsCounter = 0; lastFpsT = tNow; }
-    setProcResLabel();
-    if (res.multiFaceLandmarks && res.multiFaceLandmarks.length > 0) {
-      drawDrowsyBox(tcnIsDrowsy, res.multiFaceLandmarks[0]);
-    }
-  });
+  /* ===================== Debug crops ===================== */
+  // Crops come back as RGBA pixels (only while the debug column is visible)
+  function drawCrop(canvas, crop) {
+    if (!canvas) return;
+    if (!crop) { canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height); return; }
+    if (canvas.width !== crop.width || canvas.height !== crop.height) { canvas.width = crop.width; canvas.height = crop.height; }
+    canvas.getContext("2d").putImageData(new ImageData(crop.data, crop.width, crop.height), 0, 0);
+  }
+  function drawCrops(crops) {
+    drawCrop(eyeCanvas, crops?.eye);
+    drawCrop(mouthCanvas, crops?.mouth);
+  }
 
   /* ===================== Camera & throttled loop ===================== */
   async function requestCamera() {
     if (streamFlag) return;
+    if (runningFlag) stopProcessing();
+    clearReplaySource();
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
         video: { width: 640, height: 480, facingMode: "user", frameRate: { ideal: 15, max: 15 } },
@@ -751,24 +1585,52 @@
   }
 
   async function startProcessing() {
-    if (!streamFlag && !videoEl.srcObject) { alert("Grant camera access first."); return; }
+    if (!replayMode && !streamFlag && !videoEl.srcObject) { alert("Grant camera access first."); return; }
+    if (!engine) { alert("Models are still loading — try again in a moment."); return; }
+    await drainPipeline(); // results of the previous session still in flight are dropped (runningFlag is false)
     runningFlag = true; baselineCaptured = false;
     startBtn && (startBtn.disabled = true);
     stopBtn && (stopBtn.disabled = false);
 
     // Reset states
-    eyeClosedDebounced = false; eyeDebOn = 0; eyeDebOff = 0; eyeRunLenFrames = 0;
-    prolongedEyeActive = false; lastProlongStartFrame = -1e9; blinkPulse = 0;
-    eyeRuns.length = 0; lastBlinkEndTime = 0; hasSeenBlink = 0;
-    emaEye1 = NaN; emaEye5 = NaN; rbEyeClosed.reset();
-
-    yawnEma1 = NaN; mouthOpen = false; mouthRunFrames = 0; yawnProlonged = false; mouthRuns.length = 0; yawnPulse = 0; lastYawnEndTime = 0;
-
-    nodActive = false; stableFrames = 0; dominantEye = "both"; domEyeTxt && (domEyeTxt.textContent = "-");
-    baseline.reset(); baselineImg && baselineImg.removeAttribute("src"); baselineTime && (baselineTime.textContent = "—"); downloadBaselineBtn && (downloadBaselineBtn.disabled = true);
-    featBuf.length = 0; tcnIsDrowsy = false; tcnText && (tcnText.textContent = "—");
+    extractor.reset(); activeProfile = null;
+    faceTracker.reset(); subjectSelector.reset(); visibleFaces = [];
+    dominantEye = "both"; domEyeTxt && (domEyeTxt.textContent = "-");
+    baselineImg && baselineImg.removeAttribute("src"); baselineTime && (baselineTime.textContent = "—"); downloadBaselineBtn && (downloadBaselineBtn.disabled = true);
+    let profile = null;
+    try { profile = await selectedProfile(); } catch (e) { console.error("Could not read profile", e); }
+    resetTcnWindow(); rateMonitor.reset(); tcnIsDrowsy = false; tcnText && (tcnText.textContent = "—");
+    faceStateSpan && (faceStateSpan.textContent = "-");
+    tcnReady = false;
+    setCalibrationStatus(""); setDriftPrompt(null); setVisibilityBadge(null);
+    qualityTxt && (qualityTxt.textContent = "-");
+    perfStats.reset(); governor.reset(); pinReplayScale(replayMode);
+
+    alertOutput.unlock(); // Start is a user gesture: let WebAudio play later
+    alerts.reset();
+
+    recorder.start({
+      source: replayMode ? "replay" : "live",
+      clip: replayMode ? (replayFile?.dataset.name || null) : null,
+      targetFps: TARGET_FPS, tcnWindow: TCN_WINDOW, modelSet: modelSet.id,
+      normalizationEnabled, normSeconds: config.NORM_SECONDS,
+      profile: profile ? profile.name : null,
+      configPreset, config: { ...config }, recordInputs: RECORD_INPUTS,
+      backend: engineBackend, processingScale: governor.state().scale,
+      inferenceMode: engine?.mode ?? null, faceMeshRuntime: engine?.faceMeshRuntime ?? null
+    });
+    if (profile) applyProfile(profile);
+    updateRecorderSummary();
+    annotator.reset(); lastAnnotationUiT = -Infinity; updateAnnotationUI();
+    resetExplanations();
+    debugChart?.reset();
+    if (publisher.size()) {
+      publisher.broadcast(streamHello());
+      publisher.publish("session", { state: "started", t: 0, startedAt: recorder.getHeader()?.startedAt ?? null });
+    }
 
-    loop();
+    if (replayMode) replayLoop();
+    else { setSessionStatus("Live", true); loop(); }
   }
 
   function stopProcessing() {
@@ -776,26 +1638,157 @@
     startBtn && (startBtn.disabled = false);
     stopBtn && (stopBtn.disabled = true);
     if (rafId) cancelAnimationFrame(rafId);
+    if (annotator.getActive()) annotate(null);
+    recorder.stop(); updateRecorderSummary();
+    alerts.reset();
+    if (extractor.getCalibration().capturing) { extractor.cancelRecalibration(); setCalibrationStatus(""); }
+    settleRecalibration(new Error("Session stopped"));
+    setDriftPrompt(null); setVisibilityBadge(null);
+    publisher.publish("session", { state: "stopped", t: frameTimeSec, startedAt: recorder.getHeader()?.startedAt ?? null });
+    showReport();
+    pinReplayScale(false);
+    setSessionStatus(replayMode ? "Replay loaded" : "Idle", false);
+  }
+
+  function setSessionStatus(text, active) {
+    if (!sessionStatus) return;
+    sessionStatus.textContent = text;
+    sessionStatus.classList.toggle("active", !!active);
   }
 
   async function loop() {
     if (!runningFlag) return;
     const now = performance.now();
-    if (now - lastProcessT >= FRAME_INTERVAL_MS) {
+    if (now - lastProcessT >= FRAME_INTERVAL_MS && !backendSwitches) {
       lastProcessT = now;
-      drawToProcCanvasCover();
-      const input = (toggleRes?.checked) ? (dctx.drawImage(procCanvas, 0, 0, downCanvas.width, downCanvas.height), downCanvas) : procCanvas;
-      await faceMesh.send({ image: input });
+      frameTimeSec = now / 1000;
+      frameStarted = processFrame().catch(e => console.error("Frame processing failed", e));
+      await frameStarted;
     }
     rafId = requestAnimationFrame(loop);
   }
 
+  /* ===================== Replay (recorded video, fixed 15 FPS media clock) ===================== */
+  // Steps the file by seeking to k / TARGET_FPS and waits for each frame's results before the next,
+  // so feature values and TCN output depend only on the clip, not on machine speed.
+  async function loadReplayFile(file) {
+    if (!file) return;
+    if (runningFlag) stopProcessing();
+    const stream = videoEl.srcObject;
+    if (stream) { stream.getTracks().forEach(t => t.stop()); videoEl.srcObject = null; streamFlag = false; reqCamBtn && (reqCamBtn.disabled = false); }
+    clearReplaySource();
+    replayUrl = URL.createObjectURL(file);
+    videoEl.src = replayUrl;
+    await new Promise((resolve, reject) => {
+      videoEl.onloadeddata = () => resolve();
+      videoEl.onerror = () => reject(new Error("Unsupported or unreadable video file"));
+    }).finally(() => { videoEl.onloadeddata = null; videoEl.onerror = null; });
+    videoEl.pause();
+    replayMode = true;
+    replayFile && (replayFile.dataset.name = file.name);
+    startBtn && (startBtn.disabled = false);
+    setSessionStatus(`Replay loaded: ${file.name}`, false);
+  }
+
+  function clearReplaySource() {
+    if (!replayUrl) return;
+    videoEl.pause();
+    videoEl.removeAttribute("src");
+    videoEl.load();
+    URL.revokeObjectURL(replayUrl);
+    replayUrl = null; replayMode = false;
+  }
+
+  function seekReplay(t) {
+    return new Promise(resolve => {
+      const done = () => { videoEl.removeEventListener("seeked", done); resolve(); };
+      videoEl.addEventListener("seeked", done);
+      videoEl.currentTime = t;
+    });
+  }
+
+  async function replayLoop() {
+    await engine.reset(); // drop tracking state so every replay starts identically
+    const total = Math.floor(videoEl.duration * TARGET_FPS);
+    for (replayFrameIdx = 0; replayFrameIdx < total && runningFlag; replayFrameIdx++) {
+      frameTimeSec = replayFrameIdx / TARGET_FPS;
+      await seekReplay(frameTimeSec);
+      if (!runningFlag) break;
+      await backendSwitch.catch(() => { /* reported as a "performance" event */ });
+      frameStarted = processFrame().catch(e => console.error("Frame processing failed", e));
+      await drainPipeline(); // one frame at a time: replays stay deterministic
+      setSessionStatus(`Replay ${frameTimeSec.toFixed(1)} / ${videoEl.duration.toFixed(1)}s`, true);
+    }
+    if (runningFlag) stopProcessing();
+  }
+
   /* ===================== Public API ===================== */
+  // window.TCN:
+  //   config      configure("sensitive" | { preset?, ...values }) → active config (throws on invalid values), getConfig()
+  //               → { preset, values }, PRESETS, setNormalizationEnabled(on)
+  //   events      on(type, fn) → unsubscribe, off(type, fn), EVENTS, getFaceState() → { state, absentS }
+  //   models      useModelSet(id) → Promise<{ id, label, modelVersion, tcnInputShape }>, getModelSet(), getModelSets()
+  //   faces       setSubjectRule("baseline" | "largest"), selectFace(id | null) → Promise, getFaces()
+  //   pose        recalibratePose() → Promise<recalibration payload>, setDriftMode(mode), getPoseDrift()
+  //   annotation  setAnnotationMode(on), annotate(label | null), exportAnnotations() → export object
+  //   attribution explain() → Promise<latest window's attribution | null while the debug column is hidden>,
+  //               setExplainMethod(m)
+  //   sinks       connectStream(url), openBroadcast(channel?), addSink(sink) → remove(), closeSinks(), getSinkStatus()
+  //   performance getPerformance() → { auto, backend, scale, costMs, budgetMs, stages }, setAutoPerformance(on),
+  //               setBackend(name) → Promise<backend>, setProcessingScale(scale)
   window.TCN = window.TCN || {};
   window.TCN.setNormalizationEnabled = function (enabled) {
     normalizationEnabled = !!enabled;
     normSummary && (normSummary.textContent = normalizationEnabled ? "μ/σ — will collect on Start" : "μ/σ — disabled");
   };
+  window.TCN.configure = function (arg = {}) {
+    if (typeof arg === "string") return { ...applyConfig(arg, {}) };
+    const { preset, ...values } = arg;
+    return { ...applyConfig(preset || configPreset, preset ? values : { ...configOverrides, ...values }) };
+  };
+  window.TCN.getConfig = () => ({ preset: configPreset, values: { ...config } });
+  window.TCN.PRESETS = Object.keys(TCNConfig.PRESETS);
+  window.TCN.setSubjectRule = function (rule) {
+    subjectSelector.setRule(rule);
+    subjectRuleSel && (subjectRuleSel.value = rule);
+  };
+  window.TCN.selectFace = selectFace;
+  window.TCN.getFaces = () => ({ subjectId: subjectSelector.getSubjectId(), pinned: subjectSelector.isPinned(), faces: describeFaces(visibleFaces, visibleFaces.find(tr => tr.id === subjectSelector.getSubjectId())) });
+  window.TCN.setAnnotationMode = setAnnotationMode;
+  window.TCN.annotate = function (label) {
+    if (!annotating) throw new Error("Annotation mode is off (window.TCN.setAnnotationMode(true))");
+    return annotate(label);
+  };
+  window.TCN.exportAnnotations = exportAnnotations;
+  window.TCN.useModelSet = useModelSet;
+  window.TCN.getModelSet = describeModelSet;
+  window.TCN.explain = () => explainWindow(lastTcnWindow);
+  window.TCN.recalibratePose = () => recalibratePose("manual");
+  window.TCN.setDriftMode = setDriftMode;
+  window.TCN.getPoseDrift = () => extractor.getDrift();
+  window.TCN.setExplainMethod = setExplainMethod;
+  window.TCN.getModelSets = () => modelManifest ? modelManifest.sets.map(s => ({ id: s.id, label: s.label || s.id })) : [];
+  window.TCN.EVENTS = EVENT_TYPES.slice();
+  window.TCN.getFaceState = () => extractor.getFaceState();
+  window.TCN.connectStream = url => { connectStream(url); updateSinkStatus(); };
+  window.TCN.openBroadcast = channel => { openBroadcast(channel); updateSinkStatus(); };
+  window.TCN.addSink = sink => { publisher.add(sink); updateSinkStatus(); return () => { publisher.remove(sink); updateSinkStatus(); }; };
+  window.TCN.closeSinks = () => { publisher.close(); updateSinkStatus(); };
+  window.TCN.getSinkStatus = () => publisher.status();
+  window.TCN.getPerformance = () => ({ ...governor.state(), stages: perfStats.summary() });
+  window.TCN.setAutoPerformance = setAutoPerformance;
+  window.TCN.setBackend = name => { setAutoPerformance(false); return switchBackend(name, "manual"); };
+  window.TCN.setProcessingScale = scale => { setAutoPerformance(false); setProcessingScale(scale); };
+  window.TCN.on = function (type, fn) {
+    checkEventType(type);
+    if (typeof fn !== "function") throw new TypeError("TCN.on: listener must be a function");
+    listeners.get(type).add(fn);
+    return () => window.TCN.off(type, fn);
+  };
+  window.TCN.off = function (type, fn) {
+    checkEventType(type);
+    listeners.get(type).delete(fn);
+  };
 
   // Hook optional toggle checkbox
   toggleNorm && toggleNorm.addEventListener("change", (e) => {
@@ -806,7 +1799,118 @@
   reqCamBtn && (reqCamBtn.onclick = requestCamera);
   startBtn && (startBtn.onclick = startProcessing);
   stopBtn && (stopBtn.onclick = stopProcessing);
-  toggleRes && toggleRes.addEventListener("change", setProcResLabel);
+  replayBtn && replayFile && (replayBtn.onclick = () => replayFile.click());
+  replayFile && replayFile.addEventListener("change", async () => {
+    try { await loadReplayFile(replayFile.files[0]); }
+    catch (e) { alert("Could not load replay video: " + e.message); }
+    replayFile.value = "";
+  });
+
+  // Alert controls: buttons, a click anywhere on the flash, or Space/Enter acknowledge
+  for (const id of ["ackBtn", "flashAckBtn"]) $(id)?.addEventListener("click", e => { e.stopPropagation(); acknowledgeAlert(); });
+  for (const id of ["snoozeBtn", "flashSnoozeBtn"]) $(id)?.addEventListener("click", e => { e.stopPropagation(); snoozeAlert(); });
+  alertFlash && alertFlash.addEventListener("click", acknowledgeAlert);
+  document.addEventListener("keydown", e => {
+    if (!alerts.getLevel() || (e.code !== "Space" && e.code !== "Enter")) return;
+    // Typing in the settings or annotation fields goes on while an alert shows
+    if (e.target instanceof HTMLElement && (e.target.isContentEditable || e.target.closest("input, select, textarea"))) return;
+    e.preventDefault(); acknowledgeAlert();
+  });
+  $("saveProfileBtn")?.addEventListener("click", () => saveProfile().catch(e => alert("Could not save profile: " + e.message)));
+  $("deleteProfileBtn")?.addEventListener("click", () => deleteProfile().catch(e => alert("Could not delete profile: " + e.message)));
+  $("exportProfileBtn")?.addEventListener("click", () => exportProfile().catch(e => alert("Could not export profile: " + e.message)));
+  $("importProfileBtn")?.addEventListener("click", () => importProfileFile?.click());
+  importProfileFile && importProfileFile.addEventListener("change", async () => {
+    const file = importProfileFile.files[0];
+    importProfileFile.value = "";
+    if (!file) return;
+    try { await importProfile(file); } catch (e) { alert("Could not import profile: " + e.message); }
+  });
+  refreshProfiles();
+
+  buildSettingsPanel();
+  loadInitialConfig();
+  presetSelect && presetSelect.addEventListener("change", () => renderSettings(TCNConfig.resolveConfig(presetSelect.value, {}, modelThresholds), presetSelect.value));
+  $("applySettingsBtn")?.addEventListener("click", applySettingsPanel);
+  $("resetSettingsBtn")?.addEventListener("click", () => {
+    try { localStorage.removeItem(CONFIG_KEY); } catch { /* storage unavailable */ }
+    applyConfig("default", {});
+    settingsMsg && (settingsMsg.textContent = "Defaults restored");
+  });
+
+  muteBtn && (muteBtn.onclick = () => { alertOutput.setMuted(!alertOutput.isMuted()); setMuteLabel(); });
+  setMuteLabel();
+  exportCsvBtn && (exportCsvBtn.onclick = () => downloadText(recorder.toCSV(), `${sessionFileStem()}.csv`, "text/csv"));
+  exportJsonlBtn && (exportJsonlBtn.onclick = () => downloadText(recorder.toJSONL(), `${sessionFileStem()}.jsonl`, "application/x-ndjson"));
+  reportBtn && (reportBtn.onclick = showReport);
+  annotateBtn && (annotateBtn.onclick = () => setAnnotationMode(!annotating));
+  exportAnnotationsBtn && (exportAnnotationsBtn.onclick = () => downloadText(JSON.stringify(exportAnnotations()), `${sessionFileStem()}_annotations.json`, "application/json"));
+  updateAnnotationUI();
+  $("reportHtmlBtn")?.addEventListener("click", () => lastReport && downloadText(TCNReport.renderReportHTML(lastReport), `${sessionFileStem()}_report.html`, "text/html"));
+  $("reportJsonBtn")?.addEventListener("click", () => lastReport && downloadText(JSON.stringify(lastReport, null, 2), `${sessionFileStem()}_report.json`, "application/json"));
+  $("reportCloseBtn")?.addEventListener("click", () => reportDialog?.close ? reportDialog.close() : reportDialog?.removeAttribute("open"));
+  if (reportDialog && !document.getElementById("tcnReportCss")) {
+    const style = document.createElement("style"); style.id = "tcnReportCss"; style.textContent = TCNReport.REPORT_CSS;
+    document.head.appendChild(style);
+  }
+
+  /* ===================== Offline (service worker) ===================== */
+  // sw.js precaches the page, vendor/ and every model set, so once #offlineStatus reads "Offline ready" the app starts
+  // with no network. Without a service worker, models still load from inference_core.js's IndexedDB copy.
+  function setOfflineStatus(text, tone = null) {
+    if (!offlineStatus) return;
+    offlineStatus.textContent = text;
+    offlineStatus.classList.toggle("ready", tone === "ready");
+    offlineStatus.classList.toggle("warn", tone === "warn");
+  }
+
+  function askServiceWorker(sw, msg, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const ch = new MessageChannel();
+      const timer = setTimeout(() => reject(new Error("service worker did not answer")), timeoutMs);
+      ch.port1.onmessage = ({ data }) => { clearTimeout(timer); resolve(data); };
+      sw.postMessage(msg, [ch.port2]);
+    });
+  }
+
+  async function refreshOfflineStatus() {
+    const sw = (await navigator.serviceWorker.getRegistration())?.active;
+    if (!sw) { setOfflineStatus("Offline: caching…"); return; }
+    try {
+      const st = await askServiceWorker(sw, { type: "status" });
+      if (!st.ready) { setOfflineStatus(`Offline: cached ${st.cached}/${st.total}`, "warn"); console.warn("Not cached for offline use:", st.missing); return; }
+      setOfflineStatus(navigator.onLine ? "✓ Offline ready" : "Offline · running from cache", "ready");
+    } catch (e) {
+      console.warn("Offline status unavailable:", e.message);
+      setOfflineStatus("Offline: unknown", "warn");
+    }
+  }
+
+  async function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) {
+      setOfflineStatus(window.isSecureContext ? "Offline: unsupported" : "Offline: needs HTTPS", "warn");
+      return;
+    }
+    navigator.serviceWorker.addEventListener("message", e => { if (e.data?.type === "cached") refreshOfflineStatus(); });
+    navigator.serviceWorker.addEventListener("controllerchange", refreshOfflineStatus);
+    window.addEventListener("online", refreshOfflineStatus);
+    window.addEventListener("offline", refreshOfflineStatus);
+    try {
+      const reg = await navigator.serviceWorker.register("sw.js");
+      const installing = reg.installing;
+      if (installing) {
+        setOfflineStatus("Offline: caching…");
+        installing.addEventListener("statechange", () => {
+          if (installing.state === "redundant" && !reg.active) setOfflineStatus("Offline: caching failed", "warn");
+        });
+      }
+      await navigator.serviceWorker.ready;
+      await refreshOfflineStatus();
+    } catch (e) {
+      console.warn("Service worker registration failed:", e);
+      setOfflineStatus("Offline: unavailable", "warn");
+    }
+  }
 
   /* ===================== DEBUG TOGGLE (hide/show cards) ===================== */
 
@@ -821,7 +1925,7 @@
 
     // pause or resume dynamic updates
     window.DEBUG_VISIBLE = !hidden;
-    if (window.tcnChart) window.tcnChart.stopUpdates = hidden;
+    if (!hidden) debugChart?.render();
   }
 
   const savedDebug = localStorage.getItem('dd_debug_off');
@@ -834,17 +1938,18 @@
   });
 
   // Boot
+  registerServiceWorker();
   (async () => {
     try {
-      await initTf();
-      const warm = document.createElement('canvas'); warm.width = 4; warm.height = 4; warm.getContext('2d').fillRect(0, 0, 4, 4);
-      await faceMesh.send({ image: warm });
+      await loadModelManifest();
+      await initInference(initialModelSet());
       setProcResLabel();
       // Initialize normalization state text
       window.TCN.setNormalizationEnabled(false); // default off per user
     } catch (e) {
       console.error(e);
-      alert("Models failed to load. Check paths: web_model_eye/, web_model_yawn/, tfjs_model/.");
+      setModelStatus(e.message, true);
+      alert(`Models failed to load: ${e.message}`);
     }
   })();
 
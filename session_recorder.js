@@ -0,0 +1,152 @@
+/**
+ * session_recorder.js
+ * Per-frame session log for realtime_tcn.js · features, debounced states, TCN output, CSV/JSONL export
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="session_recorder.js"></script>
+ *
+ * Exposes window.TCNRecorder.createSessionRecorder(opts) (or module.exports in Node).
+ *
+ * JSONL layout (one JSON object per line):
+ *   {"type":"header", schema, schemaVersion, modelVersion, featOrder, stateFields, ...meta}
+ *   {"type":"baseline", t, R0, dominantEye}        (when the pose baseline is captured)
+ *   {"type":"norm", t, n, mu, sigma}               (when μ/σ is finalized)
+ *   {"type":"config", t, preset, values}            (when the runtime config changes mid-session)
+ *   {"type":"event", event, t, ...payload}          (window.TCN events except "frame", in order)
+ *   {"type":"frame", t, frame, features:{...}, states:{...}, tcnProb, tcnIsDrowsy, inputs?}
+ *     inputs = { landmarks: [x0, y0, z0, x1, …] | null, eyeLeft, eyeRight, yawn, eyeConf, yawnConf, aspect, quality }
+ *     when the caller records extractor inputs (realtime_tcn.js ?recordLandmarks), so tools/evaluate.js can
+ *     re-run the rules offline
+ *   states.eye_source / yawn_source say what eye_prob / yawn_prob came from: "cnn", "geometric" (landmark
+ *     EAR / MAR), "fused" or "none"
+ *   states.brightness … motion are the frame quality measures (feature_extractor.js out.quality); quality_flags
+ *     lists the failed checks, space-separated ("dark blurEyes"), empty on a good frame
+ *
+ * CSV layout: "# key: value" header lines carrying the same schema/meta, then one row per frame.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNRecorder = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.session";
+  const SCHEMA_VERSION = 8;
+
+  // Per-frame discrete states, in column order
+  const STATE_FIELDS = [
+    "eye_prob", "yawn_prob", "eye_source", "yawn_source", "ear", "mar",
+    "eye_closed_raw", "eye_closed_debounced", "prolonged_eye_state", "blink_state",
+    "mouth_open_state", "yawn_prolonged_state", "yawn_event_state", "nod_active", "pose_conf",
+    "brightness", "contrast", "eye_sharpness", "mouth_sharpness", "motion", "quality_flags",
+    "face_state", "imputed", "subject_id", "face_count"
+  ];
+
+  function csvCell(v) {
+    if (v === null || v === undefined) return "";
+    if (typeof v === "number") return Number.isFinite(v) ? String(v) : "";
+    if (typeof v === "boolean") return v ? "1" : "0";
+    const s = String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+  function toPlainArray(a) { return a ? Array.from(a, v => Number(v)) : null; }
+
+  function createSessionRecorder({ featOrder, modelVersion = "unknown" } = {}) {
+    if (!Array.isArray(featOrder) || !featOrder.length) throw new Error("createSessionRecorder: featOrder is required");
+    let header = null, baseline = null, norm = null;
+    const frames = [], configChanges = [], events = [];
+    let recording = false;
+
+    return {
+      /** Begins a new session, dropping any previous frames. `meta` is merged into the header. */
+      start(meta = {}) {
+        header = {
+          type: "header", schema: SCHEMA, schemaVersion: SCHEMA_VERSION, modelVersion,
+          featOrder: featOrder.slice(), stateFields: STATE_FIELDS.slice(),
+          startedAt: new Date().toISOString(), ...meta
+        };
+        baseline = null; norm = null; frames.length = 0; configChanges.length = 0; events.length = 0; recording = true;
+      },
+      stop() { if (header && recording) header.stoppedAt = new Date().toISOString(); recording = false; },
+      isRecording() { return recording; },
+      setModelVersion(v) { modelVersion = v; if (header) header.modelVersion = v; },
+      /** Adds keys to the header of the current session (e.g. the source clip name). */
+      annotate(meta) { if (header) Object.assign(header, meta); },
+
+      setBaseline(t, R0, dominantEye) {
+        if (!recording) return;
+        baseline = { type: "baseline", t, R0: R0 ? R0.map(r => r.slice()) : null, dominantEye };
+      },
+      setNormStats(t, n, mu, sigma) {
+        if (!recording) return;
+        norm = { type: "norm", t, n, mu: toPlainArray(mu), sigma: toPlainArray(sigma) };
+      },
+      /** Logs a config change during the session; the config active at start belongs in start(meta). */
+      setConfig(t, preset, values) {
+        if (!recording) return;
+        configChanges.push({ type: "config", t, preset, values: { ...values } });
+      },
+
+      /**
+       * Appends one processed frame.
+       * @param {number} t  frame time in seconds (session clock)
+       * @param {Object|null} features  raw (pre-μ/σ) features keyed by featOrder; null while no face is tracked
+       * @param {Object} states  values keyed by STATE_FIELDS
+       * @param {number|null} tcnProb  null while the TCN window is warming up
+       * @param {Object|null} [inputs]  extractor inputs of the frame (JSONL only)
+       */
+      addFrame(t, features, states, tcnProb, tcnIsDrowsy, inputs = null) {
+        if (!recording) return;
+        const f = {};
+        for (const k of featOrder) f[k] = features ? Number(features[k]) : null;
+        const s = {};
+        for (const k of STATE_FIELDS) s[k] = states[k] ?? null;
+        const fr = { type: "frame", t, frame: frames.length, features: f, states: s, tcnProb: tcnProb ?? null, tcnIsDrowsy: !!tcnIsDrowsy };
+        if (inputs) fr.inputs = inputs;
+        frames.push(fr);
+      },
+
+      /** Appends a detector/alert event (window.TCN event payload) to the session log. */
+      addEvent(type, payload) {
+        if (!recording) return;
+        events.push({ type: "event", event: type, ...payload });
+      },
+
+      frameCount() { return frames.length; },
+      getHeader() { return header ? { ...header } : null; },
+      getFrames() { return frames; },
+      getEvents() { return events; },
+
+      toJSONL() {
+        if (!header) return "";
+        const lines = [JSON.stringify(header)];
+        if (baseline) lines.push(JSON.stringify(baseline));
+        if (norm) lines.push(JSON.stringify(norm));
+        for (const c of configChanges) lines.push(JSON.stringify(c));
+        for (const e of events) lines.push(JSON.stringify(e));
+        for (const fr of frames) lines.push(JSON.stringify(fr));
+        return lines.join("\n") + "\n";
+      },
+
+      toCSV() {
+        if (!header) return "";
+        const out = [];
+        const { type, ...meta } = header;
+        for (const [k, v] of Object.entries(meta)) out.push(`# ${k}: ${typeof v === "string" ? v : JSON.stringify(v)}`);
+        if (baseline) out.push(`# baseline: ${JSON.stringify({ t: baseline.t, R0: baseline.R0, dominantEye: baseline.dominantEye })}`);
+        if (norm) out.push(`# norm: ${JSON.stringify({ t: norm.t, n: norm.n, mu: norm.mu, sigma: norm.sigma })}`);
+        for (const c of configChanges) out.push(`# config: ${JSON.stringify({ t: c.t, preset: c.preset, values: c.values })}`);
+        out.push(["t", "frame", ...featOrder, ...STATE_FIELDS, "tcn_prob", "tcn_is_drowsy"].join(","));
+        for (const fr of frames) {
+          const row = [fr.t, fr.frame];
+          for (const k of featOrder) row.push(fr.features[k]);
+          for (const k of STATE_FIELDS) row.push(fr.states[k]);
+          row.push(fr.tcnProb, fr.tcnIsDrowsy);
+          out.push(row.map(csvCell).join(","));
+        }
+        return out.join("\n") + "\n";
+      }
+    };
+  }
+
+  return { SCHEMA, SCHEMA_VERSION, STATE_FIELDS, createSessionRecorder };
+});
@@ -0,0 +1,261 @@
+/**
+ * session_report.js
+ * End-of-session fatigue report · statistics, drowsy episodes, PERCLOS distribution, tcnProb timeline
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="session_report.js"></script>
+ *
+ * Exposes window.TCNReport (or module.exports in Node):
+ *   - buildReport({ header, frames, events })  → plain JSON report (see below); inputs are what
+ *       session_recorder.js holds (getHeader(), getFrames(), getEvents()) or a parsed JSONL log.
+ *   - renderReportBody(report)  → HTML fragment (stat tables + inline SVG timeline), styled by REPORT_CSS
+ *   - renderReportHTML(report)  → self-contained HTML document (no external assets; the report JSON is
+ *       embedded as <script type="application/json" id="report-data">)
+ *
+ * Report JSON: { schema: "snoozenet.report", version: 1, session: {...header meta}, stats: {...},
+ *   drowsyEpisodes: [{ start, end, durS, peakProb, drivers }], perclos: { mean, p50, p95, max, bins: [{ lo, hi, fraction }] },
+ *   timeline: { t: [], prob: [] } (≤ MAX_TIMELINE_POINTS), markers: [{ t, type, label }] }
+ * Durations are in seconds of the session clock; each frame counts for the time until the next one.
+ * drivers: the features that pushed the TCN towards drowsy at the episode's onset (up to 3, strongest first), from
+ * the "explanation" event realtime_tcn.js logs for it; [] for logs without one.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNReport = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SCHEMA = "snoozenet.report";
+  const VERSION = 1;
+  const MAX_TIMELINE_POINTS = 900;
+  const MAX_FRAME_S = 0.5; // a gap longer than this is a stall; it is not counted as observed time
+  const PERCLOS_EDGES = [0, 0.05, 0.10, 0.15, 0.20, 0.30, 1.0000001];
+  const SESSION_KEYS = ["startedAt", "stoppedAt", "source", "clip", "profile", "configPreset", "modelSet", "modelVersion", "targetFps"];
+
+  function frameDurations(frames) {
+    const d = new Float64Array(frames.length);
+    for (let i = 0; i < frames.length; i++) {
+      const next = i + 1 < frames.length ? frames[i + 1].t - frames[i].t : (i > 0 ? frames[i].t - frames[i - 1].t : 0);
+      d[i] = Math.min(Math.max(next, 0), MAX_FRAME_S);
+    }
+    return d;
+  }
+
+  function quantile(sorted, q) {
+    if (!sorted.length) return null;
+    const i = (sorted.length - 1) * q, lo = Math.floor(i), hi = Math.ceil(i);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+  }
+
+  function drowsyEpisodes(frames, dur) {
+    const out = [];
+    let cur = null;
+    frames.forEach((fr, i) => {
+      if (fr.tcnIsDrowsy) {
+        if (!cur) cur = { start: fr.t, end: fr.t, durS: 0, peakProb: 0 };
+        cur.end = fr.t + dur[i]; cur.durS += dur[i];
+        if (fr.tcnProb != null && fr.tcnProb > cur.peakProb) cur.peakProb = fr.tcnProb;
+      } else if (cur) { out.push(cur); cur = null; }
+    });
+    if (cur) out.push(cur);
+    return out;
+  }
+
+  function downsample(frames, maxPoints) {
+    const pts = frames.filter(fr => fr.tcnProb != null);
+    const step = Math.max(1, Math.ceil(pts.length / maxPoints));
+    const t = [], prob = [];
+    for (let i = 0; i < pts.length; i += step) {
+      // Keep the peak of each bucket so short spikes survive downsampling
+      let best = pts[i];
+      for (let j = i + 1; j < Math.min(i + step, pts.length); j++) if (pts[j].tcnProb > best.tcnProb) best = pts[j];
+      t.push(best.t); prob.push(best.tcnProb);
+    }
+    return { t, prob };
+  }
+
+  const MARKER_LABELS = {
+    yawn: e => `Yawn ${e.durS?.toFixed(1)}s`,
+    nod: () => "Nod",
+    eyeClosure: e => `Eye closure (PERCLOS ${(e.perclos * 100).toFixed(0)}%)`,
+    alert: e => `Alert: ${e.name} (${e.reason})`,
+    face: () => "Face lost",
+    drowsy: e => `Drowsy ON (${e.prob?.toFixed(2)})`,
+    modelSet: e => `Model set: ${e.id}`
+  };
+  function isMarker(e) {
+    if (e.event === "nod" || e.event === "eyeClosure" || e.event === "drowsy") return !!e.active;
+    if (e.event === "alert") return e.level > 0;
+    if (e.event === "face") return e.state === "lost";
+    return e.event === "yawn" || e.event === "modelSet";
+  }
+
+  function buildReport({ header = {}, frames = [], events = [] }) {
+    const dur = frameDurations(frames);
+    let monitoredS = 0, drowsyS = 0, longestClosureS = 0;
+    const perclos = [], perclosW = [];
+    frames.forEach((fr, i) => {
+      if (fr.states?.face_state === "lost" || !fr.features) return;
+      monitoredS += dur[i];
+      if (fr.tcnIsDrowsy) drowsyS += dur[i];
+      const p = fr.features.perclos_30s, c = fr.features.eye_close_dur_s;
+      if (Number.isFinite(p)) { perclos.push(p); perclosW.push(dur[i]); }
+      if (Number.isFinite(c) && c > longestClosureS) longestClosureS = c;
+    });
+
+    const count = (type, pred = () => true) => events.filter(e => e.event === type && pred(e)).length;
+    const blinkCount = count("blink");
+    const episodes = drowsyEpisodes(frames, dur);
+    const explanations = events.filter(e => e.event === "explanation");
+    for (const ep of episodes) {
+      const ex = explanations.find(e => e.t >= ep.start - 1 && e.t <= ep.end);
+      ep.drivers = ex ? ex.top.filter(f => f.score > 0).slice(0, 3).map(f => f.feature) : [];
+    }
+    const maxAlert = events.filter(e => e.event === "alert").reduce((m, e) => Math.max(m, e.level), 0);
+
+    const sorted = perclos.slice().sort((a, b) => a - b);
+    const wTotal = perclosW.reduce((a, b) => a + b, 0);
+    const bins = [];
+    for (let b = 0; b + 1 < PERCLOS_EDGES.length; b++) {
+      const lo = PERCLOS_EDGES[b], hi = PERCLOS_EDGES[b + 1];
+      let w = 0;
+      perclos.forEach((p, i) => { if (p >= lo && p < hi) w += perclosW[i]; });
+      bins.push({ lo, hi: Math.min(hi, 1), fraction: wTotal > 0 ? w / wTotal : 0 });
+    }
+
+    const session = {};
+    for (const k of SESSION_KEYS) if (header[k] !== undefined) session[k] = header[k];
+    if (header.config) session.config = header.config;
+
+    return {
+      schema: SCHEMA, version: VERSION, generatedAt: new Date().toISOString(), session,
+      stats: {
+        durationS: frames.length ? frames[frames.length - 1].t - frames[0].t + dur[dur.length - 1] : 0,
+        monitoredS, drowsyS, drowsyFraction: monitoredS > 0 ? drowsyS / monitoredS : 0,
+        drowsyEpisodes: episodes.length,
+        meanEpisodeS: episodes.length ? episodes.reduce((a, e) => a + e.durS, 0) / episodes.length : 0,
+        longestEpisodeS: episodes.reduce((m, e) => Math.max(m, e.durS), 0),
+        blinkCount, blinksPerMin: monitoredS > 0 ? blinkCount / (monitoredS / 60) : 0,
+        yawnCount: count("yawn"), nodCount: count("nod", e => e.active),
+        eyeClosureCount: count("eyeClosure", e => e.active),
+        longestEyeClosureS: longestClosureS,
+        faceLostCount: count("face", e => e.state === "lost"),
+        alertCount: count("alert", e => e.level > 0), maxAlertLevel: maxAlert
+      },
+      drowsyEpisodes: episodes,
+      perclos: {
+        mean: wTotal > 0 ? perclos.reduce((a, p, i) => a + p * perclosW[i], 0) / wTotal : null,
+        p50: quantile(sorted, 0.5), p95: quantile(sorted, 0.95), max: sorted.length ? sorted[sorted.length - 1] : null,
+        bins
+      },
+      timeline: downsample(frames, MAX_TIMELINE_POINTS),
+      markers: events.filter(isMarker).map(e => ({ t: e.t, type: e.event, label: MARKER_LABELS[e.event](e) }))
+    };
+  }
+
+  /* ===================== HTML rendering ===================== */
+  const REPORT_CSS = `
+.tcn-report { font: 14px system-ui, sans-serif; color: #d8f5e2; }
+.tcn-report h2 { font-size: 1.1rem; margin: 0 0 8px; }
+.tcn-report h3 { font-size: 0.95rem; margin: 16px 0 6px; color: #7ab891; }
+.tcn-report table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+.tcn-report td, .tcn-report th { border-bottom: 1px solid #1d2a35; padding: 4px 6px; text-align: left; }
+.tcn-report td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.tcn-report .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 6px; }
+.tcn-report .stat { background: #10161d; border: 1px solid #1d2a35; border-radius: 8px; padding: 8px; }
+.tcn-report .stat b { display: block; font-size: 1.2rem; color: #3fff9e; }
+.tcn-report .stat span { font-size: 0.75rem; color: #7ab891; }
+.tcn-report svg { width: 100%; height: auto; background: #0b1116; border: 1px solid #1d2a35; border-radius: 8px; }
+.tcn-report .bar { background: #3fff9e; height: 10px; border-radius: 3px; }
+.tcn-report .legend span { margin-right: 12px; font-size: 0.75rem; }
+`;
+  const MARKER_COLORS = { yawn: "#ffd166", nod: "#ff7ae0", eyeClosure: "#ff9f43", alert: "#ff4b4b", face: "#8aa0b4", drowsy: "#ff4b4b", modelSet: "#3fb8ff" };
+
+  function esc(v) {
+    return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+  function fmtS(s) {
+    if (!Number.isFinite(s)) return "—";
+    if (s < 60) return `${s.toFixed(1)} s`;
+    const m = Math.floor(s / 60);
+    return m < 60 ? `${m} min ${Math.round(s % 60)} s` : `${Math.floor(m / 60)} h ${m % 60} min`;
+  }
+  const pct = v => Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "—";
+
+  function timelineSvg(report) {
+    const W = 900, H = 220, padL = 34, padR = 8, padT = 10, plotH = 150, markY = padT + plotH + 18;
+    const { t, prob } = report.timeline;
+    const t0 = t.length ? t[0] : 0, t1 = Math.max(t.length ? t[t.length - 1] : 1, t0 + 1);
+    const X = v => padL + (v - t0) / (t1 - t0) * (W - padL - padR);
+    const Y = p => padT + (1 - p) * plotH;
+    const parts = [`<svg viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="TCN probability timeline">`];
+    for (const ep of report.drowsyEpisodes) {
+      parts.push(`<rect x="${X(ep.start).toFixed(1)}" y="${padT}" width="${Math.max(1, X(ep.end) - X(ep.start)).toFixed(1)}" height="${plotH}" fill="#ff4b4b" fill-opacity="0.18"/>`);
+    }
+    for (const p of [0, 0.5, 1]) {
+      parts.push(`<line x1="${padL}" x2="${W - padR}" y1="${Y(p)}" y2="${Y(p)}" stroke="#1d2a35"/><text x="4" y="${Y(p) + 4}" fill="#7ab891" font-size="11">${p.toFixed(1)}</text>`);
+    }
+    const cfg = report.session.config;
+    if (cfg) {
+      parts.push(`<line x1="${padL}" x2="${W - padR}" y1="${Y(cfg.ON_THRESH)}" y2="${Y(cfg.ON_THRESH)}" stroke="#ff4b4b" stroke-dasharray="4 4"/>`);
+      parts.push(`<line x1="${padL}" x2="${W - padR}" y1="${Y(cfg.OFF_THRESH)}" y2="${Y(cfg.OFF_THRESH)}" stroke="#ffb380" stroke-dasharray="2 4"/>`);
+    }
+    if (t.length) {
+      const pts = t.map((v, i) => `${X(v).toFixed(1)},${Y(prob[i]).toFixed(1)}`).join(" ");
+      parts.push(`<polyline points="${pts}" fill="none" stroke="#3fff9e" stroke-width="1.5"/>`);
+    }
+    for (const m of report.markers) {
+      parts.push(`<line x1="${X(m.t).toFixed(1)}" x2="${X(m.t).toFixed(1)}" y1="${markY - 8}" y2="${markY + 8}" stroke="${MARKER_COLORS[m.type] || "#fff"}" stroke-width="2"><title>${esc(`${fmtS(m.t - t0)}: ${m.label}`)}</title></line>`);
+    }
+    parts.push(`<text x="${padL}" y="${H - 6}" fill="#7ab891" font-size="11">0 s</text><text x="${W - padR}" y="${H - 6}" fill="#7ab891" font-size="11" text-anchor="end">${esc(fmtS(t1 - t0))}</text>`);
+    parts.push("</svg>");
+    return parts.join("");
+  }
+
+  function renderReportBody(report) {
+    const s = report.stats, sess = report.session;
+    const stat = (value, label) => `<div class="stat"><b>${esc(value)}</b><span>${esc(label)}</span></div>`;
+    const legend = Object.entries(MARKER_COLORS).filter(([k]) => k !== "drowsy")
+      .map(([k, c]) => `<span style="color:${c}">▮ ${esc(k)}</span>`).join("");
+    const perclosRows = report.perclos.bins.map(b => `<tr><td>${(b.lo * 100).toFixed(0)}–${(b.hi * 100).toFixed(0)}%</td><td class="num">${pct(b.fraction)}</td><td style="width:60%"><div class="bar" style="width:${(b.fraction * 100).toFixed(1)}%"></div></td></tr>`).join("");
+    const episodeRows = report.drowsyEpisodes.length
+      ? report.drowsyEpisodes.map((e, i) => `<tr><td>${i + 1}</td><td class="num">${esc(fmtS(e.start - (report.timeline.t[0] ?? e.start)))}</td><td class="num">${esc(fmtS(e.durS))}</td><td class="num">${e.peakProb.toFixed(2)}</td><td>${esc((e.drivers || []).join(", ") || "—")}</td></tr>`).join("")
+      : `<tr><td colspan="5">No drowsy episodes</td></tr>`;
+    return `<div class="tcn-report">
+<h2>Session fatigue report</h2>
+<div>${esc(sess.startedAt || "")}${sess.stoppedAt ? ` → ${esc(sess.stoppedAt)}` : ""} · ${esc(sess.source || "live")}${sess.clip ? ` (${esc(sess.clip)})` : ""}${sess.profile ? ` · profile ${esc(sess.profile)}` : ""}${sess.configPreset ? ` · preset ${esc(sess.configPreset)}` : ""}</div>
+<h3>Summary</h3>
+<div class="grid">
+${stat(fmtS(s.monitoredS), "monitored (face visible)")}
+${stat(`${fmtS(s.drowsyS)} · ${pct(s.drowsyFraction)}`, "in drowsy state")}
+${stat(s.drowsyEpisodes, `drowsy episodes (longest ${fmtS(s.longestEpisodeS)})`)}
+${stat(`${s.blinkCount} · ${s.blinksPerMin.toFixed(1)}/min`, "blinks")}
+${stat(s.yawnCount, "yawns")}
+${stat(s.nodCount, "nod events")}
+${stat(fmtS(s.longestEyeClosureS), "longest eye closure")}
+${stat(pct(report.perclos.mean), "mean PERCLOS (30 s)")}
+${stat(s.alertCount, `alerts (max level ${s.maxAlertLevel})`)}
+${stat(s.faceLostCount, "face lost")}
+</div>
+<h3>TCN probability</h3>
+${timelineSvg(report)}
+<div class="legend"><span style="color:#3fff9e">— tcnProb</span><span style="color:#ff4b4b">▮ drowsy episode / ON threshold</span>${legend}</div>
+<h3>Drowsy episodes</h3>
+<table><tr><th>#</th><th>Start</th><th>Duration</th><th>Peak prob</th><th>Main signals</th></tr>${episodeRows}</table>
+<h3>PERCLOS distribution (share of monitored time)</h3>
+<table>${perclosRows}</table>
+<div>median ${pct(report.perclos.p50)} · p95 ${pct(report.perclos.p95)} · max ${pct(report.perclos.max)}</div>
+</div>`;
+  }
+
+  function renderReportHTML(report) {
+    return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>SnoozeNet session report ${esc(report.session.startedAt || "")}</title>
+<style>body { background: #070b0f; margin: 24px; }${REPORT_CSS}</style></head>
+<body>${renderReportBody(report)}
+<script type="application/json" id="report-data">${JSON.stringify(report).replace(/</g, "\\u003c")}</script>
+</body></html>
+`;
+  }
+
+  return { SCHEMA, VERSION, MAX_TIMELINE_POINTS, REPORT_CSS, buildReport, renderReportBody, renderReportHTML };
+});
@@ -0,0 +1,182 @@
+/**
+ * sw.js
+ * Offline support · precaches the app, the vendored libraries and every model set in model_manifest.json
+ *
+ * Registered by realtime_tcn.js. Installation only completes once everything below is cached, so an active
+ * worker means the dashboard can start with no network at all.
+ *
+ * Strategies:
+ *   - app files (HTML, page scripts, web manifest): stale-while-revalidate — served from the cache, refreshed in
+ *     the background so edits arrive on the next load when online
+ *   - model_manifest.json and the model files (model.json, weight shards): network-first — a retrained model is
+ *     used as soon as it is deployed, and manifest and weights stay in step; the cached copy when offline
+ *   - vendor/ (versioned directories) and icons: cache-first
+ *   - TF.js FaceMesh models the inference worker fetches from tfhub.dev (redirected to Kaggle / Google Storage):
+ *     cache-first in RUNTIME_CACHE once fetched online; without them the page falls back to the main-thread
+ *     MediaPipe FaceMesh, which is vendored
+ *
+ * Messages in (page → worker), answered on the transferred MessagePort:
+ *   { type: "status" } → { type: "status", version, ready, cached, total, missing: [url] }
+ * Messages out (worker → all pages): { type: "cached", version } when a new version finished precaching.
+ */
+
+// Bump with every change to APP_SHELL or VENDOR: installing a new version re-fetches everything (vendor/ files are
+// reused, their paths are versioned) and activate deletes the previous version's cache. Models need no bump.
+const CACHE_VERSION = "v2";
+const CACHE = `snoozenet-${CACHE_VERSION}`;
+const RUNTIME_CACHE = "snoozenet-runtime";
+
+const APP_SHELL = [
+  "./", "index.html", "manifest.webmanifest", "model_manifest.json",
+  "feature_extractor.js", "tcn_config.js", "model_manifest.js", "inference_core.js", "inference_worker.js",
+  "face_tracker.js", "session_recorder.js", "alert_manager.js", "profile_store.js", "session_report.js",
+  "annotation_recorder.js", "debug_chart.js", "output_sinks.js", "perf_governor.js", "realtime_tcn.js", "icons/icon-192.png", "icons/icon-512.png"
+];
+
+const FACE_MESH_DIR = "vendor/face_mesh@0.4.1633559619/";
+const VENDOR = [
+  "vendor/tfjs@4.22.0/tf.min.js",
+  ...["tf-backend-wasm.min.js", "tfjs-backend-wasm.wasm", "tfjs-backend-wasm-simd.wasm", "tfjs-backend-wasm-threaded-simd.wasm"]
+    .map(f => "vendor/tfjs-backend-wasm@4.22.0/" + f),
+  "vendor/face-landmarks-detection@1.0.6/face-landmarks-detection.min.js",
+  "vendor/chart.js@4.4.0/chart.umd.js",
+  ...[
+    "face_mesh.js", "face_mesh.binarypb", "face_mesh_solution_packed_assets.data", "face_mesh_solution_packed_assets_loader.js",
+    "face_mesh_solution_simd_wasm_bin.data", "face_mesh_solution_simd_wasm_bin.js", "face_mesh_solution_simd_wasm_bin.wasm",
+    "face_mesh_solution_wasm_bin.js", "face_mesh_solution_wasm_bin.wasm"
+  ].map(f => FACE_MESH_DIR + f)
+];
+
+const RUNTIME_HOSTS = ["tfhub.dev", "www.kaggle.com", "storage.googleapis.com"];
+
+const abs = path => new URL(path, self.registration.scope).href;
+
+// model.json of every eye/yawn/TCN model in every set, plus the weight shards each one lists
+async function modelFiles(fetchJson) {
+  const manifest = await fetchJson(abs("model_manifest.json"));
+  const files = new Set();
+  for (const set of manifest.sets) {
+    for (const key of ["eye", "yawn", "tcn"]) {
+      const modelUrl = abs(set[key].path);
+      files.add(modelUrl);
+      const model = await fetchJson(modelUrl);
+      for (const group of model.weightsManifest || []) {
+        for (const p of group.paths) files.add(new URL(p, modelUrl).href);
+      }
+    }
+  }
+  return [...files];
+}
+
+async function precacheList(fetchJson) {
+  return [...APP_SHELL.map(abs), ...VENDOR.map(abs), ...await modelFiles(fetchJson)];
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const fetchJson = async url => {
+      const res = await fetch(url, { cache: "no-cache" });
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      await cache.put(url, res.clone());
+      return res.json();
+    };
+    const urls = await precacheList(fetchJson);
+    const cached = new Set((await cache.keys()).map(r => r.url));
+    const todo = [];
+    for (const u of urls) {
+      if (cached.has(u)) continue;
+      // Vendored files never change under the same path: reuse the copy from the previous version
+      const previous = u.includes("/vendor/") ? await caches.match(u) : null;
+      if (previous) await cache.put(u, previous); else todo.push(u);
+    }
+    await cache.addAll(todo.map(u => new Request(u, { cache: "no-cache" }))); // revalidate: not the HTTP cache's old copy
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith("snoozenet-") && name !== CACHE && name !== RUNTIME_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+    for (const client of await self.clients.matchAll()) client.postMessage({ type: "cached", version: CACHE_VERSION });
+  })());
+});
+
+function strategyFor(url) {
+  if (url.origin !== self.location.origin) return RUNTIME_HOSTS.includes(url.hostname) ? "runtime" : null;
+  if (url.pathname.includes("/vendor/")) return "cache-first";
+  if (/(model_manifest\.json|\/model\.json|\.bin)$/.test(url.pathname)) return "network-first";
+  if (/(\/|\.html|\.js|\.webmanifest)$/.test(url.pathname)) return "stale-while-revalidate";
+  return "cache-first";
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request, { cache: "no-cache" });
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+// Query strings (?preset=…, ?models=…) select settings, not content: they share one cache entry
+async function staleWhileRevalidate(event) {
+  const url = new URL(event.request.url);
+  const key = url.origin + url.pathname;
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(key);
+  const refresh = fetch(event.request).then(async res => {
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  });
+  if (!hit) return refresh;
+  event.waitUntil(refresh.catch(() => { /* offline: the cached copy stays */ }));
+  return hit;
+}
+
+self.addEventListener("fetch", event => {
+  if (event.request.method !== "GET") return;
+  const url = new URL(event.request.url);
+  const strategy = strategyFor(url);
+  if (strategy === "stale-while-revalidate") event.respondWith(staleWhileRevalidate(event));
+  else if (strategy === "network-first") event.respondWith(networkFirst(event.request));
+  else if (strategy === "cache-first") event.respondWith(cacheFirst(event.request, CACHE));
+  else if (strategy === "runtime") event.respondWith(cacheFirst(event.request, RUNTIME_CACHE));
+});
+
+async function cacheStatus() {
+  const cache = await caches.open(CACHE);
+  const fetchJson = async url => {
+    const res = await cache.match(url);
+    if (!res) throw new Error(`${url} is not cached`);
+    return res.json();
+  };
+  let urls;
+  try { urls = await precacheList(fetchJson); }
+  catch (e) { return { type: "status", version: CACHE_VERSION, ready: false, cached: 0, total: 0, missing: [e.message] }; }
+  const missing = [];
+  for (const u of urls) if (!(await cache.match(u))) missing.push(u);
+  return { type: "status", version: CACHE_VERSION, ready: !missing.length, cached: urls.length - missing.length, total: urls.length, missing };
+}
+
+self.addEventListener("message", event => {
+  if (event.data?.type !== "status") return;
+  const reply = event.ports[0] || event.source;
+  event.waitUntil(cacheStatus().then(status => reply.postMessage(status)));
+});
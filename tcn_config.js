@@ -0,0 +1,129 @@
+/**
+ * tcn_config.js
+ * Runtime thresholds and timing constants · schema, validation, named presets, URL parsing
+ *
+ * Usage (in HTML, before realtime_tcn.js):
+ * <script src="tcn_config.js"></script>
+ *
+ * Exposes window.TCNConfig (or module.exports in Node):
+ *   - FIELDS                 schema: key → { def, min, max, int, group, label }
+ *   - PRESETS                name → { label, values, offsets } (partial; unset keys keep what lies beneath)
+ *       values are absolute; offsets (the TCN thresholds) shift whatever lies beneath, so a preset moves a model
+ *       set's calibrated ON/OFF_THRESH instead of replacing them (results are clamped to the field's range)
+ *   - resolveConfig(preset, overrides, base)  → frozen full config, throws Error listing every problem;
+ *       `base` is e.g. a model set's thresholds from model_manifest.json
+ *   - validateConfig(cfg)    same checks on an already complete object
+ *   - parseQuery(search)     → { preset, overrides } from "?preset=sensitive&EYE_CLOSE_T=0.45"
+ *
+ * Precedence (resolveConfig; realtime_tcn.js adds the last three as overrides):
+ *   defaults < preset values < model set (base) < preset offsets < settings saved from the panel < URL < TCN.configure()
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TCNConfig = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const FIELDS = {
+    // Eye
+    EYE_CLOSE_T: { def: 0.40, min: 0.05, max: 0.95, group: "Eye", label: "Closed below (eye prob)" },
+    BLINK_MIN_F: { def: 2, min: 1, max: 30, int: true, group: "Eye", label: "Blink min (frames @15 FPS)" },
+    BLINK_MAX_F: { def: 6, min: 1, max: 30, int: true, group: "Eye", label: "Blink max (frames @15 FPS)" },
+    // Mouth
+    MOUTH_ON_T: { def: 0.55, min: 0.05, max: 0.95, group: "Mouth", label: "Open above (EMA)" },
+    MOUTH_OFF_T: { def: 0.45, min: 0.05, max: 0.95, group: "Mouth", label: "Closed below (EMA)" },
+    MOUTH_PROLONG_S: { def: 1.3, min: 0.2, max: 10, group: "Mouth", label: "Yawn min duration (s)" },
+    // Nod rule (degrees relative to the baseline pose)
+    NOD_PITCH_ON_DEG: { def: -4, min: -45, max: 0, group: "Nod", label: "Starts at pitch ≤ (°)" },
+    NOD_PITCH_OFF_DEG: { def: -2, min: -45, max: 0, group: "Nod", label: "Ends at pitch ≥ (°)" },
+    NOD_YAW_MAX_DEG: { def: 10, min: 1, max: 90, group: "Nod", label: "Max |yaw| (°)" },
+    NOD_ROLL_MAX_DEG: { def: 20, min: 1, max: 90, group: "Nod", label: "Max |roll| (°)" },
+    NOD_MIN_POSE_CONF: { def: 0.5, min: 0, max: 1, group: "Nod", label: "Min pose confidence" },
+    // Landmark EAR/MAR estimates fused with the eye/yawn CNNs
+    GEO_WEIGHT: { def: 0.25, min: 0, max: 4, group: "Geometry", label: "EAR/MAR weight vs CNN (0: fallback only)" },
+    // Frame quality: below these a crop's CNN output is not trusted (blur is relative to the user's median sharpness)
+    QUALITY_MIN_BRIGHTNESS: { def: 0.12, min: 0, max: 0.5, group: "Quality", label: "Min face brightness (0…1)" },
+    QUALITY_MIN_CONTRAST: { def: 0.03, min: 0, max: 0.3, group: "Quality", label: "Min face contrast (std)" },
+    QUALITY_BLUR_FRAC: { def: 0.4, min: 0, max: 1, group: "Quality", label: "Blurred below (× median sharpness)" },
+    QUALITY_MAX_MOTION: { def: 2.0, min: 0.2, max: 20, group: "Quality", label: "Max face motion (eye distances/s)" },
+    // Pose baseline drift (a new resting head pose, e.g. after a seat change)
+    DRIFT_DEG: { def: 8, min: 2, max: 45, group: "Pose", label: "Drift offset (°)" },
+    DRIFT_S: { def: 30, min: 5, max: 600, group: "Pose", label: "Drift held for (s)" },
+    // TCN
+    ON_THRESH: { def: 0.65, min: 0.01, max: 0.99, group: "TCN", label: "Drowsy on (prob)" },
+    OFF_THRESH: { def: 0.55, min: 0.01, max: 0.99, group: "TCN", label: "Drowsy off (prob)" },
+    TCN_STRIDE: { def: 1, min: 1, max: 15, int: true, group: "TCN", label: "Predict every (grid rows @15 Hz)" },
+    NORM_SECONDS: { def: 10, min: 2, max: 120, group: "TCN", label: "μ/σ capture (s)" }
+  };
+
+  const DEFAULTS = Object.freeze(Object.fromEntries(Object.entries(FIELDS).map(([k, f]) => [k, f.def])));
+
+  const PRESETS = {
+    default: { label: "Default", values: {}, offsets: {} },
+    sensitive: {
+      label: "Sensitive",
+      values: { EYE_CLOSE_T: 0.45, MOUTH_PROLONG_S: 1.0, NOD_PITCH_ON_DEG: -3 },
+      offsets: { ON_THRESH: -0.10, OFF_THRESH: -0.10 }
+    },
+    // Low light makes the eye CNN read slightly "more closed"; demand firmer evidence before alerting
+    "night-driving": {
+      label: "Night driving",
+      values: { EYE_CLOSE_T: 0.32, MOUTH_ON_T: 0.60, MOUTH_OFF_T: 0.50, NORM_SECONDS: 15 },
+      offsets: { ON_THRESH: 0.05, OFF_THRESH: 0.05 }
+    },
+    // Slow machines: the TCN predicts at 5 Hz instead of every grid row (tcnProb holds in between)
+    "low-power": { label: "Low power", values: { TCN_STRIDE: 3 }, offsets: {} }
+  };
+
+  // Pairs that must stay ordered: [lower, upper]
+  const ORDERED = [
+    ["BLINK_MIN_F", "BLINK_MAX_F"],
+    ["MOUTH_OFF_T", "MOUTH_ON_T"],
+    ["OFF_THRESH", "ON_THRESH"],
+    ["NOD_PITCH_ON_DEG", "NOD_PITCH_OFF_DEG"]
+  ];
+
+  function validateConfig(cfg) {
+    const errors = [];
+    for (const [k, f] of Object.entries(FIELDS)) {
+      const v = cfg[k];
+      if (typeof v !== "number" || !Number.isFinite(v)) { errors.push(`${k} must be a number`); continue; }
+      if (f.int && !Number.isInteger(v)) errors.push(`${k} must be an integer`);
+      if (v < f.min || v > f.max) errors.push(`${k} must be within ${f.min}…${f.max} (got ${v})`);
+    }
+    for (const [lo, hi] of ORDERED) {
+      if (Number.isFinite(cfg[lo]) && Number.isFinite(cfg[hi]) && cfg[lo] > cfg[hi]) errors.push(`${lo} must not exceed ${hi}`);
+    }
+    if (errors.length) throw new Error("Invalid config: " + errors.join("; "));
+    return cfg;
+  }
+
+  const round6 = v => Math.round(v * 1e6) / 1e6;
+
+  /** Layers preset values, base, preset offsets and overrides over the defaults (see the header). Unknown keys and preset names are errors. */
+  function resolveConfig(preset = "default", overrides = {}, base = {}) {
+    if (!PRESETS[preset]) throw new Error(`Unknown preset "${preset}". Expected one of: ${Object.keys(PRESETS).join(", ")}`);
+    const unknown = [...Object.keys(base), ...Object.keys(overrides)].filter(k => !(k in FIELDS));
+    if (unknown.length) throw new Error(`Unknown config key(s): ${unknown.join(", ")}`);
+    const { values, offsets = {} } = PRESETS[preset];
+    const cfg = { ...DEFAULTS, ...values, ...base };
+    for (const [k, d] of Object.entries(offsets)) cfg[k] = Math.min(FIELDS[k].max, Math.max(FIELDS[k].min, round6(cfg[k] + d)));
+    for (const [k, v] of Object.entries(overrides)) cfg[k] = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    return Object.freeze(validateConfig(cfg));
+  }
+
+  /** Reads `preset` and any FIELDS key (case-insensitive) from a query string; other params are ignored. */
+  function parseQuery(search) {
+    const params = new URLSearchParams(search);
+    const byLower = new Map(Object.keys(FIELDS).map(k => [k.toLowerCase(), k]));
+    let preset = null;
+    const overrides = {};
+    for (const [name, value] of params) {
+      if (name === "preset") { preset = value; continue; }
+      const key = byLower.get(name.toLowerCase());
+      if (key) overrides[key] = value;
+    }
+    return { preset, overrides };
+  }
+
+  return { FIELDS, DEFAULTS, PRESETS, validateConfig, resolveConfig, parseQuery };
+});
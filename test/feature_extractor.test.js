@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * test/feature_extractor.test.js
+ * Node check of feature_extractor.js · a synthetic face through createFeatureExtractor: vector, blink, PERCLOS, face loss
+ *
+ * Usage:
+ *   node test/feature_extractor.test.js      exits 1 on the first failed assertion
+ *
+ * The landmarks are a fixed, deterministic face (no head motion), so pose is neutral and only the eye probabilities
+ * passed in change. GEO_WEIGHT is 0: the landmark EAR is a fallback only and the CNN probabilities decide alone.
+ */
+
+const assert = require("assert/strict");
+const path = require("path");
+const { createFeatureExtractor, FEAT_ORDER, F, FACE_GRACE_S } = require(path.join(__dirname, "..", "feature_extractor.js"));
+
+const OPEN = 0.9, CLOSED = 0.1;
+
+// 468 FaceMesh-like points: a deterministic scatter over the face box, with the head-frame landmarks where they belong
+function syntheticFace() {
+  let seed = 7;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const lm = Array.from({ length: 468 }, () => ({ x: 0.4 + 0.2 * rand(), y: 0.35 + 0.3 * rand(), z: -0.03 * rand() }));
+  Object.assign(lm[33], { x: 0.42, y: 0.45, z: -0.01 });  // right eye outer corner
+  Object.assign(lm[263], { x: 0.58, y: 0.45, z: -0.01 }); // left eye outer corner
+  Object.assign(lm[152], { x: 0.50, y: 0.68, z: -0.01 }); // chin
+  Object.assign(lm[10], { x: 0.50, y: 0.32, z: -0.02 });  // forehead
+  return lm;
+}
+
+// Runs eyeAt(t) → probability at `fps` for `seconds`; returns every output
+function run(fx, { fps = 15, seconds, t0 = 0, eyeAt, face = () => true }) {
+  const lm = syntheticFace(), outs = [];
+  for (let k = 0; k < Math.round(seconds * fps); k++) {
+    const t = t0 + k / fps, eye = eyeAt(t);
+    outs.push(fx.step({ t, landmarks: face(t) ? lm : null, eyeLeft: eye, eyeRight: eye, yawn: 0.05 }));
+  }
+  return outs;
+}
+
+const newExtractor = () => createFeatureExtractor({ rules: { GEO_WEIGHT: 0 } });
+const events = (outs, type) => outs.flatMap(o => o.events).filter(e => e.type === type);
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test("step() returns a finite vector in FEAT_ORDER", () => {
+  const outs = run(newExtractor(), { seconds: 2, eyeAt: () => OPEN });
+  const last = outs.at(-1);
+  assert.equal(last.vector.length, F);
+  assert.deepEqual(Object.keys(last.features), FEAT_ORDER);
+  assert.ok(Array.from(last.vector).every(Number.isFinite));
+  assert.ok(Math.abs(last.pose.yawDeg) < 1 && Math.abs(last.pose.pitchDeg) < 1, "a still face is at the baseline pose");
+});
+
+test("a short closure is one blink, a long one is an eye closure", () => {
+  const blinkAt = 3, closeAt = 6;
+  const outs = run(newExtractor(), {
+    seconds: 12,
+    eyeAt: t => (t >= blinkAt && t < blinkAt + 0.25) || (t >= closeAt && t < closeAt + 3) ? CLOSED : OPEN
+  });
+  const blinks = events(outs, "blink");
+  assert.equal(blinks.length, 1);
+  assert.ok(blinks[0].t > blinkAt && blinks[0].t < blinkAt + 1);
+  const closures = events(outs, "eyeClosure");
+  assert.deepEqual(closures.map(e => e.active), [true, false]);
+  assert.ok(closures[0].t > closeAt && closures[1].t > closeAt + 3 - 0.5);
+});
+
+test("PERCLOS is the closed fraction of the last 30 s", () => {
+  // 20 s open, then 10 s closed
+  const outs = run(newExtractor(), { seconds: 30, eyeAt: t => (t < 20 ? OPEN : CLOSED) });
+  assert.ok(Math.abs(outs.at(-1).features.perclos_30s - 10 / 30) < 0.02, `perclos ${outs.at(-1).features.perclos_30s}`);
+});
+
+test("PERCLOS and durations follow timestamps, not the frame rate", () => {
+  const eyeAt = t => (t % 6 < 2 ? CLOSED : OPEN);
+  const at15 = run(newExtractor(), { fps: 15, seconds: 30, eyeAt }).at(-1).features;
+  const at30 = run(newExtractor(), { fps: 30, seconds: 30, eyeAt }).at(-1).features;
+  assert.ok(Math.abs(at15.perclos_30s - at30.perclos_30s) < 0.02);
+  assert.ok(Math.abs(at15.eye_close_dur_s - at30.eye_close_dur_s) < 0.15);
+});
+
+test("a missing face is held for FACE_GRACE_S, then lost with a window reset", () => {
+  const outs = run(newExtractor(), { seconds: 4, eyeAt: () => OPEN, face: t => t < 2 });
+  const states = events(outs, "face").map(e => e.state);
+  assert.deepEqual(states, ["present", "grace", "lost"]);
+  const firstGone = outs.findIndex(o => o.face.state !== "present" && o.t >= 2);
+  assert.equal(outs[firstGone].imputed, true);
+  assert.equal(outs[firstGone].vector.length, F);
+  const lost = outs.find(o => o.face.state === "lost" && o.windowReset);
+  assert.ok(lost && lost.vector === null && lost.t - 2 >= FACE_GRACE_S - 1e-6);
+});
+
+let failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log(`ok   ${name}`); }
+  catch (e) { failed++; console.log(`FAIL ${name}\n     ${e.message}`); }
+}
+console.log(`${tests.length - failed}/${tests.length} passed`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+/**
+ * tools/evaluate.js
+ * Offline evaluation · replays labeled sessions through the TCN and rule detectors, scores them, sweeps thresholds
+ *
+ * Usage:
+ *   node tools/evaluate.js [options] <session.jsonl | annotations.json> …
+ *
+ * Inputs
+ *   - session logs exported by the dashboard (JSONL, session_recorder.js). Frames recorded with ?recordLandmarks
+ *     carry the extractor inputs and are re-run through feature_extractor.js with the evaluated rules (recorded
+ *     pose recalibrations are re-applied where they happened); otherwise the recorded features and rule events
+ *     are scored as they are.
+ *   - annotation exports (annotation_recorder.js): raw 15 Hz rows + intervals; TCN only (needs a model).
+ * Ground truth: "annotation" events in the session, plus an optional sidecar <session>.labels.json:
+ *   { "labels": [{ "label": "yawn", "t0": 12.3, "t1": 15.0 }, …], "types": ["yawn", "nod"] }
+ * (or a bare array, or an annotation export). Times are on the session clock. A detector is scored on a session
+ * only when its label type is covered there: listed in "types", present in the labels, or — for "drowsy" — when
+ * the session was annotated at all (operators mark drowsy/alert/talking/other, so unlabeled time is not drowsy).
+ *
+ * Options
+ *   --model-set <id>    run that model_manifest.json set's TCN (input columns, thresholds) — needs @tensorflow/tfjs
+ *   --model <model.json> run this TCN on FEAT_ORDER columns — needs @tensorflow/tfjs
+ *                       without either, the tcnProb recorded in each session is scored
+ *   --preset <name>, --set KEY=VALUE (repeatable)
+ *                       rules/thresholds (tcn_config.js); default: the config each session was recorded with
+ *   --tolerance <s>     slack around ground-truth intervals when matching detections (default 2)
+ *   --sweep-on a:b:step, --sweep-gap a:b:step
+ *                       ON_THRESH values and ON−OFF gaps of the threshold sweep (default 0.4:0.9:0.05, 0:0.2:0.05)
+ *   --gate <metric><op><value> (repeatable), e.g. --gate "drowsy.recall>=0.8" --gate "drowsy.falseAlarmsPerHour<=1"
+ *                       metrics are keys of report.overall; any failing gate makes the exit code 1
+ *   --out <file>        write the report there instead of stdout
+ *
+ * Scoring, per detector (drowsy = TCN hysteresis, yawn, nod, eyeClosure):
+ *   a detection is an interval (alarm raised at tDetect); it is a true positive when it overlaps a ground-truth
+ *   interval of its type widened by the tolerance, otherwise a false alarm. A ground-truth interval is found when
+ *   any detection overlaps it; its latency is tDetect − t0 of the first such detection (0 if already raised).
+ *   precision = TP detections / detections, recall = found / ground truth, falseAlarmsPerHour over session time.
+ *
+ * Report (JSON, schema "snoozenet.evaluation", version 1):
+ *   { options, model, sessions: [{ file, durationS, source, labels, detectors }], overall: { <detector>: metrics },
+ *     sweep: [{ ON_THRESH, OFF_THRESH, precision, recall, f1, falseAlarmsPerHour, latencyS }], gates, pass }
+ * source.faceMeshRuntime is the recording's landmark runtime ("mediapipe" or "tfjs", null in older logs). Sessions
+ * of different runtimes are refused as one evaluation: their landmark distributions differ.
+ * Exit code: 0 pass, 1 a gate failed, 2 bad input.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const TCNFeatures = require("../feature_extractor.js");
+const TCNConfig = require("../tcn_config.js");
+const TCNModels = require("../model_manifest.js");
+const TCNAnnotations = require("../annotation_recorder.js");
+
+const { FEAT_ORDER, TARGET_FPS } = TCNFeatures;
+const REPO = path.resolve(__dirname, "..");
+const SCHEMA = "snoozenet.evaluation";
+const VERSION = 1;
+const DETECTORS = ["drowsy", "yawn", "nod", "eyeClosure"];
+const BATCH = 256;
+
+/* ===================== Inputs ===================== */
+function readSession(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".json")) {
+    const d = JSON.parse(text);
+    if (d.schema !== TCNAnnotations.SCHEMA) throw new Error(`${file}: expected a session JSONL or an annotation export`);
+    // Its μ/σ belongs to the whole export (no finalization time): normalize every row
+    const norm = d.norm ? { ...d.norm, t: -Infinity } : null;
+    return { kind: "annotations", header: d.meta || {}, norm, annotations: d, frames: [], events: [] };
+  }
+  const s = { kind: "session", header: null, norm: null, frames: [], events: [] };
+  text.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let o;
+    try { o = JSON.parse(line); } catch (e) { throw new Error(`${file}:${i + 1}: ${e.message}`); }
+    if (o.type === "header") s.header = o;
+    else if (o.type === "norm") s.norm = o;
+    else if (o.type === "event") s.events.push(o);
+    else if (o.type === "frame") s.frames.push(o);
+  });
+  if (!s.header || s.header.schema !== "snoozenet.session") throw new Error(`${file}: not a snoozenet session log`);
+  return s;
+}
+
+function intervalsFrom(obj) {
+  if (Array.isArray(obj)) return { labels: obj, types: null };
+  if (obj.schema === TCNAnnotations.SCHEMA) return { labels: obj.intervals, types: ["drowsy"] };
+  return { labels: obj.labels || [], types: obj.types || null };
+}
+
+// Ground truth: annotation events (open/close pairs) + the optional sidecar file
+function readLabels(file, session) {
+  const labels = [], types = new Set();
+  const open = new Map();
+  for (const e of session.events) {
+    if (e.event !== "annotation") continue;
+    types.add("drowsy");
+    if (e.active) open.set(e.label, e.t);
+    else if (open.has(e.label)) { labels.push({ label: e.label, t0: open.get(e.label), t1: e.t }); open.delete(e.label); }
+  }
+  if (session.kind === "annotations") {
+    labels.push(...session.annotations.intervals);
+    types.add("drowsy");
+  }
+  const sidecar = file.replace(/\.(jsonl|json)$/, "") + ".labels.json";
+  if (fs.existsSync(sidecar)) {
+    const extra = intervalsFrom(JSON.parse(fs.readFileSync(sidecar, "utf8")));
+    labels.push(...extra.labels);
+    (extra.types || extra.labels.map(l => l.label)).forEach(t => types.add(t));
+  }
+  for (const l of labels) if (!(l.t1 >= l.t0)) throw new Error(`${file}: label ${JSON.stringify(l)} ends before it starts`);
+  return { labels, types };
+}
+
+/* ===================== TCN ===================== */
+function loadTfjs() {
+  try { return require("@tensorflow/tfjs"); }
+  catch { throw new Error("Replaying the TCN needs @tensorflow/tfjs (npm install @tensorflow/tfjs), or omit --model/--model-set to score the recorded tcnProb"); }
+}
+
+// tf.loadLayersModel cannot read files without tfjs-node; hand it the artifacts from disk instead
+async function loadLayersFromDisk(tf, modelJson) {
+  const json = JSON.parse(fs.readFileSync(modelJson, "utf8"));
+  const weightSpecs = [], buffers = [];
+  for (const group of json.weightsManifest) {
+    weightSpecs.push(...group.weights);
+    for (const p of group.paths) buffers.push(fs.readFileSync(path.join(path.dirname(modelJson), p)));
+  }
+  const all = Buffer.concat(buffers);
+  const weightData = all.buffer.slice(all.byteOffset, all.byteOffset + all.byteLength);
+  return tf.loadLayersModel(tf.io.fromMemory({ modelTopology: json.modelTopology, weightSpecs, weightData }));
+}
+
+async function loadTcn(opts) {
+  if (!opts.modelSet && !opts.model) return null;
+  const tf = loadTfjs();
+  await tf.setBackend("cpu");
+  let set = null, file = opts.model, featOrder = FEAT_ORDER;
+  if (opts.modelSet) {
+    const manifest = TCNModels.parseManifest(JSON.parse(fs.readFileSync(path.join(REPO, TCNModels.MANIFEST_URL), "utf8")), {
+      featOrder: FEAT_ORDER, validateThresholds: t => TCNConfig.resolveConfig("default", {}, t)
+    });
+    set = TCNModels.getSet(manifest, opts.modelSet);
+    file = path.join(REPO, set.tcn.path);
+    featOrder = set.tcn.featOrder;
+  }
+  const model = await loadLayersFromDisk(tf, file);
+  const [, T, F] = model.inputs[0].shape;
+  if (F !== featOrder.length) throw new Error(`${file}: TCN expects F=${F} but ${featOrder.length} feature columns are configured`);
+  const cols = set ? TCNModels.featureIndex(set, FEAT_ORDER) : Int32Array.from(FEAT_ORDER, (_, i) => i);
+  return {
+    tf, model, T, F, cols, set, file: path.relative(REPO, file),
+    thresholds: set?.thresholds || {},
+    async predict(windows) {
+      const x = tf.tensor3d(concatWindows(windows, T * F), [windows.length, T, F]);
+      const y = model.predict(x);
+      try { return Array.from(await y.data()); } finally { x.dispose(); y.dispose(); }
+    }
+  };
+}
+
+function concatWindows(windows, size) {
+  const flat = new Float32Array(windows.length * size);
+  windows.forEach((w, i) => flat.set(w, i * size));
+  return flat;
+}
+
+// Same path as realtime_tcn.js: grid resampling, μ/σ from the moment it was finalized, a prediction every `stride`
+// grid rows once the window is full, held by the frames in between; a lost face or a stalled grid empties the window.
+async function replayTcn(tcn, steps, norm, stride) {
+  const grid = TCNFeatures.createGridResampler({ hz: TARGET_FPS });
+  const win = TCNFeatures.createTcnWindow({ T: tcn.T, F: tcn.F, stride });
+  const frames = [], windows = [], probs = [];
+  let current = -1; // index into windows of the prediction a frame shows
+  for (const st of steps) {
+    if (st.windowReset) { win.reset(); grid.reset(); current = -1; }
+    if (!st.vector) { frames.push({ t: st.t, src: -1 }); continue; }
+    const { rows, restarted } = grid.push(st.t, st.vector);
+    if (restarted) { win.reset(); current = -1; }
+    const useNorm = norm && st.t >= norm.t;
+    for (const v of rows) {
+      const row = win.nextRow();
+      for (let j = 0; j < tcn.F; j++) {
+        const i = tcn.cols[j];
+        const mu = useNorm ? norm.mu[i] : 0, s = useNorm ? Math.max(1e-3, norm.sigma[i]) : 1;
+        row[j] = (v[i] - mu) / s;
+      }
+    }
+    if (win.length() < tcn.T) current = -1;
+    else if (rows.length && win.due()) { windows.push(win.read().slice()); current = windows.length - 1; }
+    frames.push({ t: st.t, src: current });
+  }
+  for (let i = 0; i < windows.length; i += BATCH) probs.push(...await tcn.predict(windows.slice(i, i + BATCH)));
+  return frames.map(f => ({ t: f.t, prob: f.src < 0 ? null : probs[f.src] }));
+}
+
+/* ===================== Session replay ===================== */
+function vectorOf(features) {
+  if (!features || FEAT_ORDER.some(k => features[k] === null || features[k] === undefined)) return null;
+  return Float32Array.from(FEAT_ORDER, k => features[k]);
+}
+
+function landmarksOf(flat) {
+  if (!flat) return null;
+  const lm = [];
+  for (let i = 0; i < flat.length; i += 3) lm.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
+  return lm;
+}
+
+const num = v => (v === null || v === undefined ? NaN : v);
+
+// Per-frame steps { t, vector, windowReset } plus the rule events, re-extracted when the inputs were recorded
+function sessionSteps(session, config) {
+  if (session.kind === "annotations") {
+    const a = session.annotations, steps = [];
+    for (const seg of a.segments) {
+      seg.rows.forEach((row, k) => steps.push({ t: seg.t0 + k / a.hz, vector: Float32Array.from(row), windowReset: k === 0 }));
+    }
+    return { steps, events: [], features: "annotations" };
+  }
+  const frames = session.frames;
+  if (frames.length && frames.every(fr => fr.inputs)) {
+    const fx = TCNFeatures.createFeatureExtractor({ rules: config });
+    const steps = [], events = [];
+    // Recalibrations were user-triggered: re-apply the recorded baselines at the same point of the session
+    const rebaselines = session.events.filter(e => e.event === "recalibration" && e.ok && e.R0);
+    let next = 0;
+    for (const fr of frames) {
+      for (; next < rebaselines.length && rebaselines[next].t <= fr.t; next++) fx.rebaseline(rebaselines[next].R0, rebaselines[next].dominantEye);
+      const out = fx.step({ t: fr.t, landmarks: landmarksOf(fr.inputs.landmarks), eyeLeft: num(fr.inputs.eyeLeft), eyeRight: num(fr.inputs.eyeRight), yawn: num(fr.inputs.yawn), aspect: fr.inputs.aspect ?? 1, eyeConf: fr.inputs.eyeConf ?? 1, yawnConf: fr.inputs.yawnConf ?? 1, quality: fr.inputs.quality ?? null });
+      steps.push({ t: fr.t, vector: out.vector, windowReset: !!out.windowReset });
+      for (const ev of out.events) { const { type, ...payload } = ev; events.push({ event: type, ...payload }); }
+    }
+    return { steps, events, features: "replayed" };
+  }
+  let lost = false;
+  const steps = frames.map(fr => {
+    const isLost = fr.states?.face_state === "lost";
+    const step = { t: fr.t, vector: vectorOf(fr.features), windowReset: isLost && !lost };
+    lost = isLost;
+    return step;
+  });
+  return { steps, events: session.events, features: "recorded" };
+}
+
+/* ===================== Detections & matching ===================== */
+function drowsyDetections(probs, on, off) {
+  const dets = [];
+  let cur = null;
+  for (const { t, prob } of probs) {
+    if (prob === null) { if (cur) { cur.t1 = t; dets.push(cur); cur = null; } continue; }
+    if (!cur && prob >= on) cur = { tDetect: t, t0: t, t1: t };
+    else if (cur && prob <= off) { cur.t1 = t; dets.push(cur); cur = null; }
+  }
+  if (cur) { cur.t1 = probs[probs.length - 1].t; dets.push(cur); }
+  return dets;
+}
+
+// Active/inactive pairs (nod, eyeClosure) become intervals; yawns are reported when they end
+function ruleDetections(events, type, endT) {
+  const dets = [];
+  let open = null;
+  for (const e of events) {
+    if (e.event !== type) continue;
+    if (type === "yawn") { dets.push({ tDetect: e.t, t0: e.t - (e.durS || 0), t1: e.t }); continue; }
+    if (e.active) open = { tDetect: e.t, t0: e.t, t1: e.t };
+    else if (open) { open.t1 = e.t; dets.push(open); open = null; }
+  }
+  if (open) { open.t1 = endT; dets.push(open); }
+  return dets;
+}
+
+function match(dets, truth, tol) {
+  const overlaps = (d, g) => d.t0 <= g.t1 + tol && d.t1 >= g.t0 - tol;
+  const tp = dets.filter(d => truth.some(g => overlaps(d, g))).length;
+  const latencies = [];
+  let found = 0;
+  for (const g of truth) {
+    const hits = dets.filter(d => overlaps(d, g));
+    if (!hits.length) continue;
+    found++;
+    latencies.push(Math.max(0, Math.min(...hits.map(d => d.tDetect)) - g.t0));
+  }
+  return { detections: dets.length, truePositives: tp, falsePositives: dets.length - tp, groundTruth: truth.length, found, latencies };
+}
+
+function percentile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * q, lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function metrics(parts, hours) {
+  const sum = k => parts.reduce((n, p) => n + p[k], 0);
+  const det = sum("detections"), tp = sum("truePositives"), fp = sum("falsePositives"), gt = sum("groundTruth"), found = sum("found");
+  const lat = parts.flatMap(p => p.latencies).sort((a, b) => a - b);
+  const precision = det ? tp / det : null, recall = gt ? found / gt : null;
+  const r4 = v => (v === null ? null : Math.round(v * 1e4) / 1e4);
+  return {
+    groundTruth: gt, found, detections: det, truePositives: tp, falsePositives: fp,
+    precision: r4(precision), recall: r4(recall),
+    f1: r4(precision !== null && recall !== null && precision + recall > 0 ? 2 * precision * recall / (precision + recall) : null),
+    falseAlarmsPerHour: r4(hours > 0 ? fp / hours : null),
+    latencyS: { mean: r4(lat.length ? lat.reduce((a, b) => a + b, 0) / lat.length : null), median: r4(percentile(lat, 0.5)), p90: r4(percentile(lat, 0.9)), max: r4(lat.length ? lat[lat.length - 1] : null) }
+  };
+}
+
+function range(spec) {
+  const [a, b, step] = spec.split(":").map(Number);
+  if (![a, b, step].every(Number.isFinite) || step <= 0 || b < a) throw new Error(`Bad range "${spec}" (expected from:to:step)`);
+  const out = [];
+  for (let k = 0; a + k * step <= b + 1e-9; k++) out.push(Math.round((a + k * step) * 1e4) / 1e4);
+  return out;
+}
+
+/* ===================== Gates ===================== */
+const GATE_RE = /^([\w.]+)\s*(>=|<=|>|<|==)\s*(-?[\d.]+)$/;
+function checkGate(expr, overall) {
+  const m = GATE_RE.exec(expr.trim());
+  if (!m) throw new Error(`Bad gate "${expr}" (expected e.g. drowsy.recall>=0.8)`);
+  const [, key, op, rhs] = m;
+  const value = key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), overall);
+  const limit = Number(rhs);
+  const pass = typeof value === "number" && { ">=": value >= limit, "<=": value <= limit, ">": value > limit, "<": value < limit, "==": value === limit }[op];
+  return { gate: expr, value: value ?? null, pass: !!pass };
+}
+
+/* ===================== Main ===================== */
+function parseArgs(argv) {
+  const opts = { files: [], set: {}, gates: [], tolerance: 2, sweepOn: "0.4:0.9:0.05", sweepGap: "0:0.2:0.05" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i], next = () => { if (i + 1 >= argv.length) throw new Error(`${a} needs a value`); return argv[++i]; };
+    if (a === "--model-set") opts.modelSet = next();
+    else if (a === "--model") opts.model = path.resolve(next());
+    else if (a === "--preset") opts.preset = next();
+    else if (a === "--set") { const [k, v] = next().split("="); opts.set[k] = v; }
+    else if (a === "--tolerance") opts.tolerance = Number(next());
+    else if (a === "--sweep-on") opts.sweepOn = next();
+    else if (a === "--sweep-gap") opts.sweepGap = next();
+    else if (a === "--gate") opts.gates.push(next());
+    else if (a === "--out") opts.out = next();
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else if (a.startsWith("--")) throw new Error(`Unknown option ${a}`);
+    else opts.files.push(a);
+  }
+  if (opts.modelSet && opts.model) throw new Error("Use either --model-set or --model");
+  if (!(opts.tolerance >= 0)) throw new Error("--tolerance must be a non-negative number");
+  return opts;
+}
+
+function sessionConfig(session, opts, tcn) {
+  const base = tcn?.thresholds || {};
+  if (opts.preset || Object.keys(opts.set).length) return TCNConfig.resolveConfig(opts.preset || "default", opts.set, base);
+  const recorded = session.header.config || {};
+  const known = Object.fromEntries(Object.entries(recorded).filter(([k]) => k in TCNConfig.FIELDS));
+  return TCNConfig.resolveConfig(session.header.configPreset && TCNConfig.PRESETS[session.header.configPreset] ? session.header.configPreset : "default", known, base);
+}
+
+// The two FaceMesh runtimes place landmarks differently (realtime_tcn.js, "Inference"): features, rule events and
+// TCN output of a tfjs-runtime session are not comparable with a MediaPipe one. Older logs without the key pass.
+function checkFaceMeshRuntimes(files, sessions) {
+  const known = sessions.map((s, i) => ({ file: path.basename(files[i]), runtime: s.header.faceMeshRuntime })).filter(x => x.runtime);
+  if (new Set(known.map(x => x.runtime)).size > 1) {
+    throw new Error(`Sessions were recorded with different FaceMesh runtimes (${known.map(x => `${x.file}: ${x.runtime}`).join(", ")}); ` +
+      "their landmarks differ, so evaluate each runtime separately");
+  }
+}
+
+async function evaluate(opts) {
+  const inputs = opts.files.map(readSession);
+  checkFaceMeshRuntimes(opts.files, inputs);
+  const tcn = await loadTcn(opts);
+  const runs = [];
+  for (const [i, file] of opts.files.entries()) {
+    const session = inputs[i];
+    const config = sessionConfig(session, opts, tcn);
+    const { labels, types } = readLabels(file, session);
+    const { steps, events, features } = sessionSteps(session, config);
+    if (!steps.length) throw new Error(`${file}: no frames`);
+    const t0 = steps[0].t, t1 = steps[steps.length - 1].t;
+    let probs;
+    if (tcn) probs = await replayTcn(tcn, steps, session.norm, config.TCN_STRIDE);
+    else if (session.kind === "session") probs = session.frames.map(fr => ({ t: fr.t, prob: fr.tcnProb }));
+    else probs = null; // an annotation export has no recorded TCN output
+    const faceMeshRuntime = session.header.faceMeshRuntime ?? null;
+    runs.push({ file, config, labels, types, events, probs, durationS: t1 - t0, endT: t1, source: { features, tcn: tcn ? "model" : probs ? "recorded" : "none", faceMeshRuntime } });
+  }
+
+  const truthOf = (run, type) => run.labels.filter(l => l.label === type);
+  const partsFor = (run, type, on, off) => {
+    if (!run.types.has(type)) return null;
+    if (type === "drowsy") return run.probs ? match(drowsyDetections(run.probs, on ?? run.config.ON_THRESH, off ?? run.config.OFF_THRESH), truthOf(run, type), opts.tolerance) : null;
+    if (run.source.features === "annotations") return null;
+    return match(ruleDetections(run.events, type, run.endT), truthOf(run, type), opts.tolerance);
+  };
+
+  const sessions = runs.map(run => {
+    const detectors = {};
+    for (const type of DETECTORS) {
+      const p = partsFor(run, type);
+      if (p) detectors[type] = metrics([p], run.durationS / 3600);
+    }
+    const labelCounts = {};
+    for (const l of run.labels) labelCounts[l.label] = (labelCounts[l.label] || 0) + 1;
+    return {
+      file: path.basename(run.file), durationS: Math.round(run.durationS * 1000) / 1000, source: run.source,
+      config: { ON_THRESH: run.config.ON_THRESH, OFF_THRESH: run.config.OFF_THRESH }, labels: labelCounts, detectors
+    };
+  });
+
+  const overall = {};
+  for (const type of DETECTORS) {
+    const scored = runs.map(run => ({ run, p: partsFor(run, type) })).filter(x => x.p);
+    if (scored.length) overall[type] = { sessions: scored.length, ...metrics(scored.map(x => x.p), scored.reduce((h, x) => h + x.run.durationS, 0) / 3600) };
+  }
+
+  const sweep = [];
+  const drowsyRuns = runs.filter(run => run.types.has("drowsy") && run.probs);
+  if (drowsyRuns.length) {
+    const hours = drowsyRuns.reduce((h, run) => h + run.durationS, 0) / 3600;
+    for (const on of range(opts.sweepOn)) {
+      for (const gap of range(opts.sweepGap)) {
+        const off = Math.round((on - gap) * 1e4) / 1e4;
+        if (off <= 0) continue;
+        const { precision, recall, f1, falseAlarmsPerHour, latencyS } = metrics(drowsyRuns.map(run => partsFor(run, "drowsy", on, off)), hours);
+        sweep.push({ ON_THRESH: on, OFF_THRESH: off, precision, recall, f1, falseAlarmsPerHour, latencyS });
+      }
+    }
+  }
+
+  const gates = opts.gates.map(g => checkGate(g, overall));
+  return {
+    schema: SCHEMA, version: VERSION, createdAt: new Date().toISOString(),
+    options: { modelSet: opts.modelSet || null, model: opts.model ? path.relative(REPO, opts.model) : null, preset: opts.preset || null, set: opts.set, tolerance: opts.tolerance, sweepOn: opts.sweepOn, sweepGap: opts.sweepGap },
+    model: tcn ? { file: tcn.file, set: tcn.set?.id || null, inputShape: [null, tcn.T, tcn.F] } : null,
+    sessions, overall, sweep, gates, pass: gates.every(g => g.pass)
+  };
+}
+
+async function main() {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help || !opts.files.length) {
+    console.error("Usage: node tools/evaluate.js [--model-set id | --model model.json] [--preset name] [--set KEY=VALUE] [--tolerance s] [--sweep-on a:b:step] [--sweep-gap a:b:step] [--gate expr] [--out report.json] <session.jsonl | annotations.json> …");
+    process.exit(opts.help ? 0 : 2);
+  }
+  let report;
+  try { report = await evaluate(opts); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  const json = JSON.stringify(report, null, 2) + "\n";
+  if (opts.out) fs.writeFileSync(opts.out, json); else process.stdout.write(json);
+  for (const g of report.gates) console.error(`${g.pass ? "PASS" : "FAIL"} ${g.gate} (${g.value})`);
+  process.exit(report.pass ? 0 : 1);
+}
+
+if (require.main === module) main();
+
+module.exports = { SCHEMA, VERSION, DETECTORS, readSession, readLabels, sessionSteps, replayTcn, drowsyDetections, ruleDetections, match, metrics, checkGate, evaluate };
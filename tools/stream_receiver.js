@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * tools/stream_receiver.js
+ * Reference receiver for the dashboard's WebSocket stream · accepts connections, checks the schema, logs messages
+ *
+ * Usage:
+ *   node tools/stream_receiver.js [--port 8765] [--host 127.0.0.1] [--out stream.jsonl] [--frames] [--delay-ms <n>]
+ * then open the dashboard with ?ws=ws://127.0.0.1:8765 (or call window.TCN.connectStream(url)).
+ *
+ * Prints hello/session/event/dropped messages as they arrive and a frame summary every 5 s (rate, last tcnProb,
+ * drowsy state); --frames prints every frame instead. Gaps in `seq` are reported, and flagged as a sender bug when
+ * no "dropped" message accounts for them; so is a seq on hello/dropped or a missing one elsewhere. --out appends
+ * every message to a JSONL file. --delay-ms pauses reading after each message to play a slow consumer, which
+ * exercises the sender's backpressure handling. Message schema: output_sinks.js.
+ *
+ * Plain Node (http + crypto): just enough of RFC 6455 for text messages, ping/pong and close.
+ */
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const { SCHEMA, VERSION } = require("../output_sinks.js");
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const SUMMARY_S = 5;
+const UNNUMBERED = ["hello", "dropped"]; // seq: null by schema; every other message is numbered
+
+function parseArgs(argv) {
+  const opts = { port: 8765, host: "127.0.0.1", out: null, frames: false, delayMs: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i], next = () => { if (i + 1 >= argv.length) throw new Error(`${a} needs a value`); return argv[++i]; };
+    if (a === "--port") opts.port = Number(next());
+    else if (a === "--host") opts.host = next();
+    else if (a === "--out") opts.out = next();
+    else if (a === "--frames") opts.frames = true;
+    else if (a === "--delay-ms") opts.delayMs = Number(next());
+    else if (a === "-h" || a === "--help") { opts.help = true; }
+    else throw new Error(`Unknown option ${a}`);
+  }
+  if (!Number.isInteger(opts.port) || opts.port <= 0) throw new Error("--port must be a positive integer");
+  if (!(opts.delayMs >= 0)) throw new Error("--delay-ms must be ≥ 0");
+  return opts;
+}
+
+// Server → client frame (never masked)
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x80 | opcode, len])
+    : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(len)); return b; })()]);
+  return Buffer.concat([head, payload]);
+}
+
+// Splits complete frames off the front of `buf`; returns { frames: [{ fin, opcode, payload }], rest }
+function decodeFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const b0 = buf[off], b1 = buf[off + 1];
+    let len = b1 & 127, pos = off + 2;
+    if (len === 126) { if (buf.length < pos + 2) break; len = buf.readUInt16BE(pos); pos += 2; }
+    else if (len === 127) { if (buf.length < pos + 8) break; len = Number(buf.readBigUInt64BE(pos)); pos += 8; }
+    const masked = (b1 & 128) !== 0;
+    if (buf.length < pos + (masked ? 4 : 0) + len) break;
+    let payload = buf.subarray(pos + (masked ? 4 : 0), pos + (masked ? 4 : 0) + len);
+    if (masked) {
+      const mask = buf.subarray(pos, pos + 4);
+      payload = Buffer.from(payload);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    }
+    frames.push({ fin: (b0 & 128) !== 0, opcode: b0 & 15, payload });
+    off = pos + (masked ? 4 : 0) + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+function createClientLog(id, opts, out) {
+  let lastSeq = null, schemaWarned = false, reportedDrops = 0;
+  let frames = 0, lastFrame = null, windowStart = Date.now();
+  const log = (...a) => console.log(`[${id}]`, ...a);
+
+  function summary() {
+    const s = (Date.now() - windowStart) / 1000;
+    if (frames && !opts.frames) {
+      const p = lastFrame.tcnProb;
+      log(`frames: ${frames} (${(frames / s).toFixed(1)}/s) · t=${lastFrame.t?.toFixed(1)} · tcnProb=${p === null ? "warming up" : p.toFixed(3)}${lastFrame.tcnIsDrowsy ? " · DROWSY" : ""}`);
+    }
+    frames = 0; windowStart = Date.now();
+  }
+  const timer = setInterval(summary, SUMMARY_S * 1000);
+
+  return {
+    message(text) {
+      let msg;
+      try { msg = JSON.parse(text); } catch { log("not JSON:", text.slice(0, 80)); return; }
+      if (out) out.write(text + "\n");
+      if (!schemaWarned && (msg.schema !== SCHEMA || msg.v !== VERSION)) {
+        schemaWarned = true;
+        log(`warning: schema ${msg.schema} v${msg.v}, expected ${SCHEMA} v${VERSION}`);
+      }
+      if (UNNUMBERED.includes(msg.type) ? msg.seq !== null : !Number.isInteger(msg.seq)) {
+        log(`sender bug: ${msg.type} message with seq ${msg.seq} (hello and dropped carry null, everything else a number)`);
+      }
+      if (msg.type === "dropped") reportedDrops += (msg.frames || 0) + (msg.events || 0);
+      if (Number.isInteger(msg.seq)) {
+        if (lastSeq !== null && msg.seq > lastSeq + 1) {
+          // Every message the sender discards is announced by a "dropped" message before the gap shows up
+          const missing = msg.seq - lastSeq - 1, explained = Math.min(missing, reportedDrops);
+          reportedDrops -= explained;
+          log(`gap: ${missing} message(s) missing before seq ${msg.seq}` +
+            (explained < missing ? ` (${missing - explained} not reported as dropped: sender bug, numbers skipped)` : ""));
+        }
+        lastSeq = msg.seq;
+      }
+      if (msg.type === "frame") {
+        frames++; lastFrame = msg;
+        if (opts.frames) log(`frame t=${msg.t?.toFixed(2)} tcnProb=${msg.tcnProb} drowsy=${msg.tcnIsDrowsy} eye=${msg.eyeProb} (${msg.eyeSource}) yawn=${msg.yawnProb} face=${msg.face?.state}`);
+      } else if (msg.type === "event") {
+        const { schema, v, seq, type, event, ...rest } = msg;
+        log(`event ${event}`, JSON.stringify(rest));
+      } else {
+        const { schema, v, seq, ...rest } = msg;
+        log(msg.type, JSON.stringify({ ...rest, type: undefined, featOrder: rest.featOrder ? `${rest.featOrder.length} features` : undefined }));
+      }
+    },
+    close() { summary(); clearInterval(timer); }
+  };
+}
+
+function main() {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); }
+  catch (e) { console.error(e.message); process.exit(2); }
+  if (opts.help) { console.log(fs.readFileSync(__filename, "utf8").split("*/")[0]); return; }
+  const out = opts.out ? fs.createWriteStream(opts.out, { flags: "a" }) : null;
+  let nextId = 1;
+
+  const server = http.createServer((req, res) => { res.writeHead(426, { "Content-Type": "text/plain" }); res.end("WebSocket endpoint\n"); });
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") { socket.end("HTTP/1.1 400 Bad Request\r\n\r\n"); return; }
+    const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const id = nextId++;
+    const client = createClientLog(id, opts, out);
+    console.log(`[${id}] connected from ${socket.remoteAddress}`);
+    let buf = Buffer.alloc(0), fragments = [];
+
+    socket.on("data", chunk => {
+      const { frames, rest } = decodeFrames(Buffer.concat([buf, chunk]));
+      buf = rest;
+      for (const f of frames) {
+        if (f.opcode === 0x8) { socket.end(encodeFrame(0x8, f.payload.subarray(0, 2))); return; }
+        if (f.opcode === 0x9) { socket.write(encodeFrame(0xA, f.payload)); continue; }
+        if (f.opcode === 0x1 || f.opcode === 0x0) {
+          fragments.push(f.payload);
+          if (!f.fin) continue;
+          client.message(Buffer.concat(fragments).toString("utf8"));
+          fragments = [];
+        }
+      }
+      if (opts.delayMs && frames.length) { socket.pause(); setTimeout(() => socket.resume(), opts.delayMs * frames.length); }
+    });
+    socket.on("close", () => { client.close(); console.log(`[${id}] disconnected`); });
+    socket.on("error", e => console.error(`[${id}] ${e.message}`));
+  });
+  server.on("error", e => { console.error(e.message); process.exit(2); });
+  server.listen(opts.port, opts.host, () => console.log(`Listening on ws://${opts.host}:${opts.port} (schema ${SCHEMA} v${VERSION})`));
+}
+
+if (require.main === module) main();
+
+module.exports = { encodeFrame, decodeFrames };